@@ -1,135 +1,277 @@
 /**
- * AWS S3 Configuration
- * Handles S3 client setup and multer-s3 storage configuration
+ * Storage Configuration
+ * Picks a storage driver and exposes the helpers the routes use for uploads and deletes.
+ *
+ * STORAGE_DRIVER:
+ *   s3    - AWS S3, or any S3-compatible service when AWS_S3_ENDPOINT is set (default)
+ *   local - files under LOCAL_STORAGE_DIR (uploads/), served from /uploads
  */
 
-const { S3Client, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const multerS3 = require('multer-s3');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
+const { Transform } = require('stream');
+const mime = require('mime-types');
 const { v4: uuidv4 } = require('uuid');
+const createS3Driver = require('./storage/s3');
+const createLocalDriver = require('./storage/local');
 
-// Validate required environment variables
-const requiredEnvVars = ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_S3_BUCKET_NAME'];
-const missingVars = requiredEnvVars.filter(v => !process.env[v]);
-
-if (missingVars.length > 0) {
-    console.error('\n╔══════════════════════════════════════════════════════════════╗');
-    console.error('║  ⚠️  AWS S3 Configuration Error                               ║');
-    console.error('╠══════════════════════════════════════════════════════════════╣');
-    console.error('║  Missing required environment variables:                      ║');
-    missingVars.forEach(v => {
-        console.error(`║    - ${v.padEnd(52)}║`);
-    });
-    console.error('║                                                              ║');
-    console.error('║  Please configure your .env file:                            ║');
-    console.error('║    1. cp server/.env.example server/.env                     ║');
-    console.error('║    2. Add your AWS credentials to server/.env                ║');
-    console.error('║                                                              ║');
-    console.error('║  See docs/AWS_SETUP.md for detailed instructions.            ║');
-    console.error('╚══════════════════════════════════════════════════════════════╝\n');
+const drivers = {
+    s3: createS3Driver,
+    local: createLocalDriver
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 's3').toLowerCase();
+
+if (!drivers[driverName]) {
+    console.error(`\n❌ Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}\n`);
     process.exit(1);
 }
 
-// Initialize S3 client
-const region = process.env.AWS_REGION || 'ap-south-1';
-const s3Client = new S3Client({
-    region: region,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
-});
+const driver = drivers[driverName]();
 
-const bucketName = process.env.AWS_S3_BUCKET_NAME;
+// Lifetime of direct upload URLs, in seconds
+const PRESIGNED_URL_TTL = parseInt(process.env.PRESIGNED_URL_TTL) || 15 * 60;
 
 // Log successful configuration
 console.log('\n╔══════════════════════════════════════════════════════════════╗');
-console.log('║  ✅ AWS S3 Configuration Loaded                              ║');
+console.log('║  ✅ Storage Configuration Loaded                             ║');
 console.log('╠══════════════════════════════════════════════════════════════╣');
-console.log(`║  Bucket: ${bucketName.padEnd(52)}║`);
-console.log(`║  Region: ${region.padEnd(52)}║`);
+console.log(`║  Driver: ${driver.name.padEnd(52)}║`);
+Object.entries(driver.summary).forEach(([label, value]) => {
+    console.log(`║  ${`${label}: ${value}`.padEnd(60)}║`);
+});
 console.log('╚══════════════════════════════════════════════════════════════╝\n');
 
 /**
- * Generate the public URL for an S3 object
+ * Generate the public URL for a stored object
  */
 function getS3Url(key) {
-    return `https://${bucketName}.s3.${process.env.AWS_REGION || 'ap-south-1'}.amazonaws.com/${key}`;
+    return driver.getUrl(key);
 }
 
 /**
- * Delete an object from S3
+ * Delete an object from storage
  */
 async function deleteFromS3(key) {
-    console.log(`[S3 DELETE] Attempting to delete: ${key}`);
-    try {
-        await s3Client.send(new DeleteObjectCommand({
-            Bucket: bucketName,
-            Key: key
-        }));
-        console.log(`[S3 DELETE] ✅ Successfully deleted: ${key}`);
-        return true;
-    } catch (error) {
-        console.error(`[S3 DELETE] ❌ Failed to delete: ${key}`, error.message);
-        return false;
+    return driver.deleteObject(key);
+}
+
+/**
+ * Upload a file from disk to storage under the given key
+ */
+async function uploadFile(key, filePath, contentType) {
+    return driver.uploadFile(key, filePath, contentType);
+}
+
+/**
+ * Upload every file in a local directory under a key prefix, returning the uploaded keys
+ */
+async function uploadDirectory(prefix, dirPath) {
+    const keys = [];
+    for (const entry of await fs.promises.readdir(dirPath, { withFileTypes: true })) {
+        const filePath = path.join(dirPath, entry.name);
+        const key = `${prefix}/${entry.name}`;
+        if (entry.isDirectory()) {
+            keys.push(...await uploadDirectory(key, filePath));
+        } else {
+            await driver.uploadFile(key, filePath, mime.lookup(entry.name) || 'application/octet-stream');
+            keys.push(key);
+        }
     }
+    return keys;
+}
+
+/**
+ * Download a stored object to a file on disk
+ */
+async function downloadFile(key, filePath) {
+    return driver.downloadFile(key, filePath);
+}
+
+/**
+ * Readable stream of a stored object, for passing it on without a temporary file
+ */
+async function getObjectStream(key) {
+    return driver.getObjectStream(key);
+}
+
+/**
+ * Copy a stored object to another key, server-side
+ */
+async function copyObject(sourceKey, destKey) {
+    return driver.copyObject(sourceKey, destKey);
+}
+
+/**
+ * Copy every stored object under one key prefix to another, returning the new keys
+ */
+async function copyPrefix(sourcePrefix, destPrefix) {
+    const keys = [];
+    for (const object of await driver.listObjects(sourcePrefix)) {
+        const key = destPrefix + object.key.slice(sourcePrefix.length);
+        await driver.copyObject(object.key, key);
+        keys.push(key);
+    }
+    return keys;
+}
+
+/**
+ * List stored objects under a key prefix, as [{ key, size, lastModified }]
+ */
+async function listObjects(prefix) {
+    return driver.listObjects(prefix);
+}
+
+/**
+ * Delete every stored object under a key prefix
+ */
+async function deletePrefix(prefix) {
+    return driver.deletePrefix(prefix);
 }
 
 /**
- * Extract S3 key from a full S3 URL
+ * Get size and content type of a stored object, or null if it doesn't exist
+ */
+async function headObject(key) {
+    return driver.headObject(key);
+}
+
+/**
+ * Signed URL the client can PUT a file to directly, bypassing the API server
+ */
+async function getUploadUrl(key, { contentType, size, expiresIn = PRESIGNED_URL_TTL }) {
+    return driver.getUploadUrl(key, { contentType, size, expiresIn });
+}
+
+/**
+ * Start a multipart upload, returning its upload id
+ */
+async function createMultipartUpload(key, contentType) {
+    return driver.createMultipartUpload(key, contentType);
+}
+
+/**
+ * Signed URL the client can PUT one part of a multipart upload to
+ */
+async function getPartUploadUrl(key, uploadId, partNumber, { size, expiresIn = PRESIGNED_URL_TTL }) {
+    return driver.getPartUploadUrl(key, uploadId, partNumber, { size, expiresIn });
+}
+
+/**
+ * Parts of a multipart upload stored so far, as [{ partNumber, etag, size }]
+ */
+async function listParts(key, uploadId) {
+    return driver.listParts(key, uploadId);
+}
+
+/**
+ * Assemble the uploaded parts into the final object
+ */
+async function completeMultipartUpload(key, uploadId, parts) {
+    return driver.completeMultipartUpload(key, uploadId, parts);
+}
+
+/**
+ * Abort a multipart upload and discard any uploaded parts
+ */
+async function abortMultipartUpload(key, uploadId) {
+    return driver.abortMultipartUpload(key, uploadId);
+}
+
+/**
+ * Extract the storage key from a stored URL.
+ * Returns null for URLs the active driver doesn't manage (e.g. legacy local paths on S3).
  */
 function getKeyFromUrl(url) {
     if (!url) return null;
-    
-    // Handle full S3 URLs
-    if (url.includes('.s3.') && url.includes('.amazonaws.com/')) {
-        const match = url.match(/\.amazonaws\.com\/(.+)$/);
-        return match ? match[1] : null;
-    }
-    
-    // Handle legacy local paths - extract just the filename
-    if (url.startsWith('/uploads/')) {
-        return null; // Local file, not in S3
-    }
-    
-    return null;
+    return driver.getKeyFromUrl(url);
+}
+
+/**
+ * Generate a fresh storage key for a file in the given folder
+ */
+function generateKey(folder, originalName) {
+    const ext = path.extname(originalName);
+    return `${folder}/${uuidv4()}${ext}`;
 }
 
 /**
- * Create multer-s3 storage configuration
+ * Create multer storage for the active driver, uploading into the given folder
  */
 function createS3Storage(folder) {
-    return multerS3({
-        s3: s3Client,
-        bucket: bucketName,
-        contentType: multerS3.AUTO_CONTENT_TYPE,
-        key: (req, file, cb) => {
-            const ext = path.extname(file.originalname);
-            const filename = `${uuidv4()}${ext}`;
-            const key = `${folder}/${filename}`;
-            console.log(`[S3 UPLOAD] 📤 Uploading file:`);
-            console.log(`[S3 UPLOAD]    Original name: ${file.originalname}`);
-            console.log(`[S3 UPLOAD]    Content type: ${file.mimetype}`);
-            console.log(`[S3 UPLOAD]    S3 Key: ${key}`);
-            console.log(`[S3 UPLOAD]    Bucket: ${bucketName}`);
-            cb(null, key);
-        }
+    return driver.createStorage(file => {
+        const key = generateKey(folder, file.originalname);
+        console.log(`[UPLOAD] 📤 Uploading file:`);
+        console.log(`[UPLOAD]    Original name: ${file.originalname}`);
+        console.log(`[UPLOAD]    Content type: ${file.mimetype}`);
+        console.log(`[UPLOAD]    Key: ${key}`);
+        console.log(`[UPLOAD]    Driver: ${driver.name}`);
+        return key;
     });
 }
 
-// Pre-configured storage instances for each file type
+/**
+ * Wrap a multer storage engine to compute each file's SHA-256 as it streams through,
+ * set as file.contentHash
+ */
+function withContentHash(storage) {
+    return {
+        _handleFile(req, file, cb) {
+            const hash = crypto.createHash('sha256');
+            const hashing = new Transform({
+                transform(chunk, encoding, done) {
+                    hash.update(chunk);
+                    done(null, chunk);
+                }
+            });
+            file.stream.on('error', error => hashing.destroy(error));
+            file.stream.pipe(hashing);
+
+            storage._handleFile(req, Object.create(file, { stream: { value: hashing } }), (error, info) => {
+                if (error) return cb(error);
+                cb(null, { ...info, contentHash: hash.digest('hex') });
+            });
+        },
+        _removeFile(req, file, cb) {
+            storage._removeFile(req, file, cb);
+        }
+    };
+}
+
+// Pre-configured storage instances for each file type; media is hashed for deduplication
 const seriesThumbnailStorage = createS3Storage('series-thumbnails');
 const thumbnailStorage = createS3Storage('thumbnails');
-const mediaStorage = createS3Storage('media');
+const mediaStorage = withContentHash(createS3Storage('media'));
 const musicStorage = createS3Storage('music');
 
 module.exports = {
-    s3Client,
-    bucketName,
+    PRESIGNED_URL_TTL,
+    driver,
+    s3Client: driver.client,
+    bucketName: driver.bucketName,
+    uploadsDir: createLocalDriver.UPLOADS_DIR,
     getS3Url,
     deleteFromS3,
+    uploadFile,
+    uploadDirectory,
+    downloadFile,
+    getObjectStream,
+    copyObject,
+    copyPrefix,
+    listObjects,
+    deletePrefix,
+    headObject,
+    getUploadUrl,
+    createMultipartUpload,
+    getPartUploadUrl,
+    listParts,
+    completeMultipartUpload,
+    abortMultipartUpload,
     getKeyFromUrl,
+    generateKey,
     createS3Storage,
+    withContentHash,
     seriesThumbnailStorage,
     thumbnailStorage,
     mediaStorage,
@@ -0,0 +1,387 @@
+/**
+ * Local Filesystem Storage Driver
+ * Stores files under the uploads directory, served by the /uploads static mount
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const mime = require('mime-types');
+
+const UPLOADS_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads'));
+// Dot-directory, so the /uploads static mount never serves in-progress parts
+const MULTIPART_DIR = path.join(UPLOADS_DIR, '.multipart');
+
+function createLocalDriver() {
+    // Public base URL for stored files, defaults to the static mount in index.js
+    const baseUrl = (process.env.LOCAL_STORAGE_PUBLIC_URL || '/uploads').replace(/\/+$/, '');
+    // Endpoint that accepts signed direct uploads, see routes/storage.js
+    const uploadEndpoint = process.env.LOCAL_STORAGE_UPLOAD_URL || '/api/storage/upload';
+    // Signing secret for direct upload URLs; a random one means URLs don't survive a restart
+    const secret = process.env.LOCAL_STORAGE_SECRET || crypto.randomBytes(32).toString('hex');
+
+    /**
+     * Resolve a key to an absolute path, refusing anything outside the uploads directory
+     */
+    function resolvePath(key) {
+        const filePath = path.resolve(UPLOADS_DIR, key);
+        if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Generate the public URL for a stored file
+     */
+    function getUrl(key) {
+        return `${baseUrl}/${key}`;
+    }
+
+    /**
+     * Delete a file from the uploads directory
+     */
+    async function deleteObject(key) {
+        console.log(`[LOCAL DELETE] Attempting to delete: ${key}`);
+        try {
+            await fs.promises.unlink(resolvePath(key));
+            console.log(`[LOCAL DELETE] ✅ Successfully deleted: ${key}`);
+            return true;
+        } catch (error) {
+            console.error(`[LOCAL DELETE] ❌ Failed to delete: ${key}`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Copy a file from disk into the uploads directory
+     */
+    async function uploadFile(key, filePath) {
+        const target = resolvePath(key);
+        if (target === path.resolve(filePath)) return;
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.copyFile(filePath, target);
+        console.log(`[LOCAL UPLOAD] ✅ Stored: ${key}`);
+    }
+
+    /**
+     * Copy a stored file out to another path on disk
+     */
+    async function downloadFile(key, filePath) {
+        await fs.promises.copyFile(resolvePath(key), filePath);
+    }
+
+    /**
+     * Readable stream of a stored file
+     */
+    async function getObjectStream(key) {
+        const filePath = resolvePath(key);
+        await fs.promises.access(filePath);
+        return fs.createReadStream(filePath);
+    }
+
+    /**
+     * Copy a stored file to another key
+     */
+    async function copyObject(sourceKey, destKey) {
+        const target = resolvePath(destKey);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.copyFile(resolvePath(sourceKey), target);
+        console.log(`[LOCAL COPY] ✅ Copied: ${sourceKey} -> ${destKey}`);
+    }
+
+    /**
+     * List stored files under a prefix, as [{ key, size, lastModified }]
+     */
+    async function listObjects(prefix) {
+        const objects = [];
+        const walk = async (dir) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+            for (const entry of entries) {
+                if (entry.name.startsWith('.')) continue;
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                    continue;
+                }
+                const key = path.relative(UPLOADS_DIR, fullPath).split(path.sep).join('/');
+                if (!key.startsWith(prefix)) continue;
+                const stats = await fs.promises.stat(fullPath);
+                objects.push({ key, size: stats.size, lastModified: stats.mtime });
+            }
+        };
+        // Only walk the top-level folder the prefix points into
+        await walk(path.join(UPLOADS_DIR, prefix.split('/')[0]));
+        return objects;
+    }
+
+    /**
+     * Delete every stored file under a prefix
+     */
+    async function deletePrefix(prefix) {
+        console.log(`[LOCAL DELETE] Attempting to delete everything under: ${prefix}`);
+        try {
+            const objects = await listObjects(prefix);
+            for (const object of objects) {
+                await fs.promises.unlink(resolvePath(object.key));
+            }
+            console.log(`[LOCAL DELETE] ✅ Deleted ${objects.length} file(s) under: ${prefix}`);
+            return true;
+        } catch (error) {
+            console.error(`[LOCAL DELETE] ❌ Failed to delete under: ${prefix}`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get size and content type of a stored file, or null if it doesn't exist
+     */
+    async function headObject(key) {
+        try {
+            const stats = await fs.promises.stat(resolvePath(key));
+            return { size: stats.size, contentType: mime.lookup(key) || 'application/octet-stream' };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Signature over everything a direct upload URL allows (part fields are empty for whole files)
+    function sign({ key, size, expires, uploadId = '', partNumber = '' }) {
+        return crypto.createHmac('sha256', secret)
+            .update([key, size, expires, uploadId, partNumber].join('\n'))
+            .digest('hex');
+    }
+
+    function signedUploadUrl(fields, expiresIn) {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const params = new URLSearchParams({ ...fields, expires, signature: sign({ ...fields, expires }) });
+        return `${uploadEndpoint}?${params}`;
+    }
+
+    /**
+     * Signed URL for uploading straight to the uploads directory, mirroring S3 presigned PUTs
+     */
+    async function getUploadUrl(key, { contentType, size, expiresIn }) {
+        return { method: 'PUT', url: signedUploadUrl({ key, size }, expiresIn), headers: { 'Content-Type': contentType } };
+    }
+
+    /**
+     * Check the query of a signed upload URL, returning what it allows
+     * ({ key, size } plus { uploadId, partNumber } for multipart parts)
+     */
+    function verifyUploadUrl({ key, size, expires, signature, uploadId, partNumber }) {
+        if (!key || !size || !expires || !signature) return null;
+        if (Number(expires) < Date.now() / 1000) return null;
+        const expected = Buffer.from(sign({ key, size, expires, uploadId, partNumber }));
+        const actual = Buffer.from(String(signature));
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+        return uploadId
+            ? { key, size: Number(size), uploadId, partNumber: Number(partNumber) }
+            : { key, size: Number(size) };
+    }
+
+    // Write a stream to disk, failing (and removing the file) if it is larger than maxSize bytes
+    async function writeFile(filePath, stream, maxSize) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        return new Promise((resolve, reject) => {
+            const out = fs.createWriteStream(filePath);
+            let size = 0;
+            let failed = false;
+            const fail = (error) => {
+                if (failed) return;
+                failed = true;
+                stream.unpipe(out);
+                out.destroy();
+                fs.unlink(filePath, () => reject(error));
+            };
+            stream.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxSize) fail(new Error('Upload exceeds the signed size'));
+            });
+            stream.on('error', fail);
+            out.on('error', fail);
+            out.on('finish', () => resolve(size));
+            stream.pipe(out);
+        });
+    }
+
+    /**
+     * Write a stream to the given key, failing if it is larger than maxSize bytes
+     */
+    async function writeObject(key, stream, maxSize) {
+        return writeFile(resolvePath(key), stream, maxSize);
+    }
+
+    // Parts of a multipart upload live in .multipart/<uploadId>/<partNumber> until completed
+    function resolvePartsDir(uploadId) {
+        if (!/^[0-9a-f-]{36}$/.test(uploadId)) {
+            throw new Error(`Invalid upload id: ${uploadId}`);
+        }
+        return path.join(MULTIPART_DIR, uploadId);
+    }
+
+    /**
+     * Start a multipart upload, returning its upload id
+     */
+    async function createMultipartUpload(key) {
+        resolvePath(key);
+        const uploadId = crypto.randomUUID();
+        await fs.promises.mkdir(resolvePartsDir(uploadId), { recursive: true });
+        return uploadId;
+    }
+
+    /**
+     * Signed URL for one part of a multipart upload
+     */
+    async function getPartUploadUrl(key, uploadId, partNumber, { size, expiresIn }) {
+        return { method: 'PUT', url: signedUploadUrl({ key, size, uploadId, partNumber }, expiresIn), headers: {} };
+    }
+
+    /**
+     * Write one part of a multipart upload, failing if it is larger than maxSize bytes
+     */
+    async function writePart(uploadId, partNumber, stream, maxSize) {
+        const dir = resolvePartsDir(uploadId);
+        if (!fs.existsSync(dir)) {
+            throw new Error('Multipart upload not found');
+        }
+        return writeFile(path.join(dir, String(partNumber)), stream, maxSize);
+    }
+
+    /**
+     * Parts uploaded so far, as [{ partNumber, etag, size }]
+     */
+    async function listParts(key, uploadId) {
+        const dir = resolvePartsDir(uploadId);
+        if (!fs.existsSync(dir)) return [];
+
+        const names = (await fs.promises.readdir(dir)).filter(name => /^\d+$/.test(name));
+        const parts = await Promise.all(names.map(async (name) => {
+            const { size } = await fs.promises.stat(path.join(dir, name));
+            return { partNumber: Number(name), etag: `${name}-${size}`, size };
+        }));
+        return parts.sort((a, b) => a.partNumber - b.partNumber);
+    }
+
+    /**
+     * Concatenate uploaded parts into the final file
+     */
+    async function completeMultipartUpload(key, uploadId, parts) {
+        const dir = resolvePartsDir(uploadId);
+        const filePath = resolvePath(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        const out = fs.createWriteStream(filePath);
+        for (const part of parts) {
+            await pipeline(fs.createReadStream(path.join(dir, String(part.partNumber))), out, { end: false });
+        }
+        await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        console.log(`[LOCAL MULTIPART] ✅ Completed: ${key} (${parts.length} parts)`);
+    }
+
+    /**
+     * Abort a multipart upload and discard its parts
+     */
+    async function abortMultipartUpload(key, uploadId) {
+        try {
+            await fs.promises.rm(resolvePartsDir(uploadId), { recursive: true, force: true });
+            console.log(`[LOCAL MULTIPART] 🗑️  Aborted: ${key}`);
+            return true;
+        } catch (error) {
+            console.error(`[LOCAL MULTIPART] ❌ Failed to abort: ${key}`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Extract the storage key from a URL produced by this driver
+     */
+    function getKeyFromUrl(url) {
+        if (url.startsWith(`${baseUrl}/`)) {
+            return url.slice(baseUrl.length + 1);
+        }
+        return null;
+    }
+
+    /**
+     * Create a multer storage engine that writes to the key chosen by getKey.
+     * Sets file.key like multer-s3 does so routes don't care which driver is active.
+     */
+    function createStorage(getKey) {
+        return {
+            _handleFile(req, file, cb) {
+                let key;
+                let filePath;
+                try {
+                    key = getKey(file);
+                    filePath = resolvePath(key);
+                } catch (error) {
+                    return cb(error);
+                }
+
+                fs.promises.mkdir(path.dirname(filePath), { recursive: true }).then(() => {
+                    const out = fs.createWriteStream(filePath);
+                    file.stream.pipe(out);
+                    out.on('error', cb);
+                    out.on('finish', () => {
+                        cb(null, {
+                            key,
+                            path: filePath,
+                            size: out.bytesWritten,
+                            contentType: file.mimetype,
+                            location: getUrl(key)
+                        });
+                    });
+                }, cb);
+            },
+            _removeFile(req, file, cb) {
+                fs.unlink(file.path, cb);
+            }
+        };
+    }
+
+    return {
+        name: 'local',
+        client: null,
+        bucketName: null,
+        summary: {
+            Directory: UPLOADS_DIR,
+            URLs: baseUrl
+        },
+        getUrl,
+        deleteObject,
+        uploadFile,
+        downloadFile,
+        getObjectStream,
+        copyObject,
+        listObjects,
+        deletePrefix,
+        headObject,
+        getUploadUrl,
+        verifyUploadUrl,
+        writeObject,
+        createMultipartUpload,
+        getPartUploadUrl,
+        writePart,
+        listParts,
+        completeMultipartUpload,
+        abortMultipartUpload,
+        getKeyFromUrl,
+        createStorage
+    };
+}
+
+createLocalDriver.UPLOADS_DIR = UPLOADS_DIR;
+
+module.exports = createLocalDriver;
@@ -0,0 +1,375 @@
+/**
+ * S3 Storage Driver
+ * Works with AWS S3 and S3-compatible services (MinIO, R2, Spaces, ...)
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+    S3Client,
+    DeleteObjectCommand,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    CopyObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectsCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    ListPartsCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const multerS3 = require('multer-s3');
+
+function createS3Driver() {
+    // Validate required environment variables
+    const requiredEnvVars = ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_S3_BUCKET_NAME'];
+    const missingVars = requiredEnvVars.filter(v => !process.env[v]);
+
+    if (missingVars.length > 0) {
+        console.error('\n╔══════════════════════════════════════════════════════════════╗');
+        console.error('║  ⚠️  AWS S3 Configuration Error                               ║');
+        console.error('╠══════════════════════════════════════════════════════════════╣');
+        console.error('║  Missing required environment variables:                      ║');
+        missingVars.forEach(v => {
+            console.error(`║    - ${v.padEnd(52)}║`);
+        });
+        console.error('║                                                              ║');
+        console.error('║  Please configure your .env file:                            ║');
+        console.error('║    1. cp server/.env.example server/.env                     ║');
+        console.error('║    2. Add your AWS credentials to server/.env                ║');
+        console.error('║                                                              ║');
+        console.error('║  Or run without a bucket using STORAGE_DRIVER=local          ║');
+        console.error('║                                                              ║');
+        console.error('║  See docs/AWS_SETUP.md for detailed instructions.            ║');
+        console.error('╚══════════════════════════════════════════════════════════════╝\n');
+        process.exit(1);
+    }
+
+    const region = process.env.AWS_REGION || 'ap-south-1';
+    const bucketName = process.env.AWS_S3_BUCKET_NAME;
+    // Custom endpoint for S3-compatible services, e.g. http://localhost:9000 for MinIO
+    const endpoint = process.env.AWS_S3_ENDPOINT ? process.env.AWS_S3_ENDPOINT.replace(/\/+$/, '') : null;
+    // Most S3-compatible services want path-style URLs (endpoint/bucket/key)
+    const forcePathStyle = process.env.AWS_S3_FORCE_PATH_STYLE
+        ? process.env.AWS_S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(endpoint);
+
+    const s3Client = new S3Client({
+        region: region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        // Otherwise presigned PUT URLs carry a checksum of the empty body and uploads fail
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        credentials: {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+        }
+    });
+
+    // Base URL that object keys are appended to
+    let baseUrl;
+    if (process.env.AWS_S3_PUBLIC_URL) {
+        baseUrl = process.env.AWS_S3_PUBLIC_URL.replace(/\/+$/, '');
+    } else if (endpoint && forcePathStyle) {
+        baseUrl = `${endpoint}/${bucketName}`;
+    } else if (endpoint) {
+        const { protocol, host } = new URL(endpoint);
+        baseUrl = `${protocol}//${bucketName}.${host}`;
+    } else if (forcePathStyle) {
+        baseUrl = `https://s3.${region}.amazonaws.com/${bucketName}`;
+    } else {
+        baseUrl = `https://${bucketName}.s3.${region}.amazonaws.com`;
+    }
+
+    /**
+     * Generate the public URL for an S3 object
+     */
+    function getUrl(key) {
+        return `${baseUrl}/${key}`;
+    }
+
+    /**
+     * Delete an object from the bucket
+     */
+    async function deleteObject(key) {
+        console.log(`[S3 DELETE] Attempting to delete: ${key}`);
+        try {
+            await s3Client.send(new DeleteObjectCommand({
+                Bucket: bucketName,
+                Key: key
+            }));
+            console.log(`[S3 DELETE] ✅ Successfully deleted: ${key}`);
+            return true;
+        } catch (error) {
+            console.error(`[S3 DELETE] ❌ Failed to delete: ${key}`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Upload a file from disk to the bucket
+     */
+    async function uploadFile(key, filePath, contentType) {
+        const { size } = await fs.promises.stat(filePath);
+        await s3Client.send(new PutObjectCommand({
+            Bucket: bucketName,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: size,
+            ContentType: contentType
+        }));
+        console.log(`[S3 UPLOAD] ✅ Uploaded: ${key}`);
+    }
+
+    /**
+     * Download an object to a file on disk
+     */
+    async function downloadFile(key, filePath) {
+        const { Body } = await s3Client.send(new GetObjectCommand({
+            Bucket: bucketName,
+            Key: key
+        }));
+        await pipeline(Body, fs.createWriteStream(filePath));
+    }
+
+    /**
+     * Readable stream of an object, read from the bucket as it is consumed
+     */
+    async function getObjectStream(key) {
+        const { Body } = await s3Client.send(new GetObjectCommand({
+            Bucket: bucketName,
+            Key: key
+        }));
+        return Body;
+    }
+
+    /**
+     * Copy an object to another key inside the bucket, without downloading it
+     */
+    async function copyObject(sourceKey, destKey) {
+        await s3Client.send(new CopyObjectCommand({
+            Bucket: bucketName,
+            Key: destKey,
+            CopySource: `${bucketName}/${encodeURIComponent(sourceKey).replace(/%2F/g, '/')}`
+        }));
+        console.log(`[S3 COPY] ✅ Copied: ${sourceKey} -> ${destKey}`);
+    }
+
+    /**
+     * List objects under a prefix, as [{ key, size, lastModified }]
+     */
+    async function listObjects(prefix) {
+        const objects = [];
+        let token;
+        do {
+            const page = await s3Client.send(new ListObjectsV2Command({
+                Bucket: bucketName,
+                Prefix: prefix,
+                ContinuationToken: token
+            }));
+            (page.Contents || []).forEach(o => objects.push({ key: o.Key, size: o.Size, lastModified: o.LastModified }));
+            token = page.IsTruncated ? page.NextContinuationToken : null;
+        } while (token);
+        return objects;
+    }
+
+    /**
+     * Delete every object under a prefix
+     */
+    async function deletePrefix(prefix) {
+        console.log(`[S3 DELETE] Attempting to delete everything under: ${prefix}`);
+        try {
+            const objects = await listObjects(prefix);
+            // DeleteObjects takes at most 1000 keys per request
+            for (let i = 0; i < objects.length; i += 1000) {
+                await s3Client.send(new DeleteObjectsCommand({
+                    Bucket: bucketName,
+                    Delete: { Objects: objects.slice(i, i + 1000).map(o => ({ Key: o.key })) }
+                }));
+            }
+            console.log(`[S3 DELETE] ✅ Deleted ${objects.length} object(s) under: ${prefix}`);
+            return true;
+        } catch (error) {
+            console.error(`[S3 DELETE] ❌ Failed to delete under: ${prefix}`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get size and content type of an object, or null if it doesn't exist
+     */
+    async function headObject(key) {
+        try {
+            const head = await s3Client.send(new HeadObjectCommand({
+                Bucket: bucketName,
+                Key: key
+            }));
+            return { size: head.ContentLength, contentType: head.ContentType };
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Presigned PUT URL for uploading straight to the bucket.
+     * Content type and length are signed, so the client must send exactly what it declared.
+     */
+    async function getUploadUrl(key, { contentType, size, expiresIn }) {
+        const url = await getSignedUrl(s3Client, new PutObjectCommand({
+            Bucket: bucketName,
+            Key: key,
+            ContentType: contentType,
+            ContentLength: size
+        }), {
+            expiresIn,
+            signableHeaders: new Set(['content-type', 'content-length'])
+        });
+        return { method: 'PUT', url, headers: { 'Content-Type': contentType } };
+    }
+
+    /**
+     * Start a multipart upload, returning its upload id
+     */
+    async function createMultipartUpload(key, contentType) {
+        const { UploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+            Bucket: bucketName,
+            Key: key,
+            ContentType: contentType
+        }));
+        return UploadId;
+    }
+
+    /**
+     * Presigned PUT URL for one part of a multipart upload
+     */
+    async function getPartUploadUrl(key, uploadId, partNumber, { size, expiresIn }) {
+        const url = await getSignedUrl(s3Client, new UploadPartCommand({
+            Bucket: bucketName,
+            Key: key,
+            UploadId: uploadId,
+            PartNumber: partNumber,
+            ContentLength: size
+        }), {
+            expiresIn,
+            signableHeaders: new Set(['content-length'])
+        });
+        return { method: 'PUT', url, headers: {} };
+    }
+
+    /**
+     * Parts uploaded so far, as [{ partNumber, etag, size }]
+     */
+    async function listParts(key, uploadId) {
+        const parts = [];
+        let marker;
+        do {
+            const page = await s3Client.send(new ListPartsCommand({
+                Bucket: bucketName,
+                Key: key,
+                UploadId: uploadId,
+                PartNumberMarker: marker
+            }));
+            (page.Parts || []).forEach(p => parts.push({ partNumber: p.PartNumber, etag: p.ETag, size: p.Size }));
+            marker = page.IsTruncated ? page.NextPartNumberMarker : null;
+        } while (marker);
+        return parts;
+    }
+
+    /**
+     * Assemble uploaded parts into the final object
+     */
+    async function completeMultipartUpload(key, uploadId, parts) {
+        await s3Client.send(new CompleteMultipartUploadCommand({
+            Bucket: bucketName,
+            Key: key,
+            UploadId: uploadId,
+            MultipartUpload: {
+                Parts: parts.map(p => ({ PartNumber: p.partNumber, ETag: p.etag }))
+            }
+        }));
+        console.log(`[S3 MULTIPART] ✅ Completed: ${key} (${parts.length} parts)`);
+    }
+
+    /**
+     * Abort a multipart upload and discard its parts
+     */
+    async function abortMultipartUpload(key, uploadId) {
+        try {
+            await s3Client.send(new AbortMultipartUploadCommand({
+                Bucket: bucketName,
+                Key: key,
+                UploadId: uploadId
+            }));
+            console.log(`[S3 MULTIPART] 🗑️  Aborted: ${key}`);
+            return true;
+        } catch (error) {
+            if (error.name === 'NoSuchUpload') return true;
+            console.error(`[S3 MULTIPART] ❌ Failed to abort: ${key}`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Extract the object key from a URL produced by this driver
+     */
+    function getKeyFromUrl(url) {
+        if (url.startsWith(`${baseUrl}/`)) {
+            return url.slice(baseUrl.length + 1);
+        }
+
+        // URLs stored before a custom endpoint or public URL was configured
+        if (url.includes('.s3.') && url.includes('.amazonaws.com/')) {
+            const match = url.match(/\.amazonaws\.com\/(.+)$/);
+            return match ? match[1] : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Create multer-s3 storage that uploads under the key chosen by getKey
+     */
+    function createStorage(getKey) {
+        return multerS3({
+            s3: s3Client,
+            bucket: bucketName,
+            contentType: multerS3.AUTO_CONTENT_TYPE,
+            key: (req, file, cb) => cb(null, getKey(file))
+        });
+    }
+
+    return {
+        name: endpoint ? 's3-compatible' : 's3',
+        client: s3Client,
+        bucketName,
+        summary: {
+            Bucket: bucketName,
+            Region: region,
+            Endpoint: endpoint || 'AWS',
+            URLs: baseUrl
+        },
+        getUrl,
+        deleteObject,
+        uploadFile,
+        downloadFile,
+        getObjectStream,
+        copyObject,
+        listObjects,
+        deletePrefix,
+        headObject,
+        getUploadUrl,
+        createMultipartUpload,
+        getPartUploadUrl,
+        listParts,
+        completeMultipartUpload,
+        abortMultipartUpload,
+        getKeyFromUrl,
+        createStorage
+    };
+}
+
+module.exports = createS3Driver;
@@ -0,0 +1,116 @@
+/**
+ * Upload Rules
+ * Allowed file types, size limits and storage folders for each upload slot.
+ * Shared by the multer upload routes and the direct-to-bucket upload routes.
+ */
+
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+const IMAGE_EXTENSIONS = ['jpeg', 'jpg', 'png', 'gif', 'webp'];
+const VIDEO_EXTENSIONS = ['mp4', 'mov', 'avi', 'webm', 'mkv'];
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'm4a', 'aac'];
+
+const UPLOAD_RULES = {
+    seriesThumbnail: {
+        folder: 'series-thumbnails',
+        maxSize: 50 * MB,
+        maxFiles: 1,
+        extensions: IMAGE_EXTENSIONS,
+        contentTypes: ['image/']
+    },
+    thumbnail: {
+        folder: 'thumbnails',
+        maxSize: 50 * MB,
+        maxFiles: 1,
+        extensions: IMAGE_EXTENSIONS,
+        contentTypes: ['image/']
+    },
+    media: {
+        folder: 'media',
+        maxSize: 500 * MB,
+        maxFiles: 50,
+        extensions: [...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS],
+        contentTypes: ['image/', 'video/']
+    },
+    music: {
+        folder: 'music',
+        maxSize: 50 * MB,
+        maxFiles: 1,
+        extensions: AUDIO_EXTENSIONS,
+        contentTypes: ['audio/']
+    }
+};
+
+// WebVTT subtitle tracks. Not an upload slot: tracks are uploaded through the server,
+// which checks the file format (see routes/subtitles.js)
+const SUBTITLE_RULES = {
+    folder: 'subtitles',
+    maxSize: 2 * MB,
+    maxFiles: 1,
+    extensions: ['vtt'],
+    contentTypes: ['text/vtt', 'text/plain']
+};
+
+// Multipart uploads: S3 needs parts of at least 5 MB (except the last) and at most 10,000 parts
+const MULTIPART_PART_SIZE = Math.max(parseInt(process.env.MULTIPART_PART_SIZE_MB) || 10, 5) * MB;
+const MULTIPART_MAX_PARTS = 10000;
+// Sessions with no activity for this long are aborted by the sweeper
+const MULTIPART_SESSION_TTL = (parseInt(process.env.MULTIPART_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Lowercase extension without the dot
+function getExtension(filename) {
+    return path.extname(filename || '').toLowerCase().slice(1);
+}
+
+/**
+ * Check a filename against the allowed extensions for a slot
+ */
+function isAllowedFile(slot, filename) {
+    return UPLOAD_RULES[slot].extensions.includes(getExtension(filename));
+}
+
+/**
+ * Check a MIME type against the allowed content types for a slot
+ */
+function isAllowedContentType(slot, contentType) {
+    if (!contentType) return false;
+    return UPLOAD_RULES[slot].contentTypes.some(prefix => contentType.startsWith(prefix));
+}
+
+/**
+ * Check a file's name, size and content type against the slot rules.
+ * Returns an error message, or null if the file is acceptable.
+ */
+function validateUpload(slot, { name, size, contentType }) {
+    const rule = UPLOAD_RULES[slot];
+    if (!isAllowedFile(slot, name)) return `File type not allowed: ${name}`;
+    if (!Number.isInteger(size) || size <= 0) return `Invalid file size for ${name}`;
+    if (size > rule.maxSize) return `${name} exceeds the ${rule.maxSize / MB} MB limit`;
+    if (!isAllowedContentType(slot, contentType)) return `Content type not allowed for ${name}: ${contentType}`;
+    return null;
+}
+
+/**
+ * Media type stored on the media subdocument for an uploaded file
+ */
+function getMediaType(filename) {
+    return VIDEO_EXTENSIONS.includes(getExtension(filename)) ? 'video' : 'image';
+}
+
+module.exports = {
+    UPLOAD_RULES,
+    SUBTITLE_RULES,
+    MULTIPART_PART_SIZE,
+    MULTIPART_MAX_PARTS,
+    MULTIPART_SESSION_TTL,
+    IMAGE_EXTENSIONS,
+    VIDEO_EXTENSIONS,
+    AUDIO_EXTENSIONS,
+    getExtension,
+    isAllowedFile,
+    isAllowedContentType,
+    validateUpload,
+    getMediaType
+};
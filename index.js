@@ -3,7 +3,24 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const connectDB = require('./config/db');
+const { uploadsDir } = require('./config/s3');
 const apiRoutes = require('./routes/api');
+const publicRoutes = require('./routes/public');
+const { startUploadSessionSweeper } = require('./services/uploadSessionSweeper');
+const { startTrashPurger } = require('./services/trash');
+const { registerJobHandler, startJobWorker } = require('./services/jobQueue');
+const { transcodeJob } = require('./services/transcoder');
+const { thumbnailJob, heroJob } = require('./services/thumbnails');
+const { metadataJob } = require('./services/mediaMetadata');
+const { renderJob } = require('./services/renderer');
+const { checkFfmpeg } = require('./services/ffmpeg');
+
+// Background job handlers
+registerJobHandler('transcode', transcodeJob);
+registerJobHandler('thumbnail', thumbnailJob);
+registerJobHandler('hero', heroJob);
+registerJobHandler('metadata', metadataJob);
+registerJobHandler('render', renderJob);
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -13,8 +30,11 @@ const isProduction = process.env.NODE_ENV === 'production';
 app.use(cors());
 app.use(express.json());
 
-// Serve uploaded files (for legacy local files only)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded files (local storage driver and legacy local files)
+app.use('/uploads', express.static(uploadsDir));
+
+// Public share links, kept apart from the API so no editing route is reachable through them
+app.use('/api/public', publicRoutes);
 
 // API routes
 app.use('/api', apiRoutes);
@@ -37,6 +57,10 @@ if (isProduction) {
 // Connect to MongoDB and start server
 const startServer = async () => {
     await connectDB();
+    startUploadSessionSweeper();
+    startTrashPurger();
+    await checkFfmpeg();
+    await startJobWorker();
     
     app.listen(PORT, () => {
         console.log(`
@@ -0,0 +1,30 @@
+/**
+ * Asset Model
+ * A stored media file registered by the SHA-256 of its content, with the number of media
+ * items that use it. Identical uploads share one object, see services/assetRegistry.js
+ */
+const mongoose = require('mongoose');
+
+const assetSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Hex SHA-256 of the file
+    hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    size: Number,
+    // Media items (in series or in the trash) referencing the key; the file is deleted with the last
+    refCount: {
+        type: Number,
+        default: 1
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Asset', assetSchema);
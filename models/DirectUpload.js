@@ -0,0 +1,47 @@
+/**
+ * Direct Upload Model
+ * A key issued by the presign route for one series/episode slot. The confirm route only
+ * attaches (or deletes) keys issued to that series and slot, each once.
+ */
+const mongoose = require('mongoose');
+
+const directUploadSchema = new mongoose.Schema({
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Series',
+        required: true
+    },
+    // Target episode (null for the series thumbnail)
+    episode: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    slot: {
+        type: String,
+        enum: ['seriesThumbnail', 'thumbnail', 'media', 'music'],
+        required: true
+    },
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // File name given at presign time, checked again against the slot on confirm
+    name: String,
+    status: {
+        type: String,
+        enum: ['issued', 'confirmed', 'rejected'],
+        default: 'issued'
+    },
+    // Last moment the upload can be confirmed; the record is removed after it
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+directUploadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DirectUpload', directUploadSchema);
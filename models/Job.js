@@ -0,0 +1,54 @@
+/**
+ * Job Model
+ * Background work (transcoding, thumbnails, ...) queued in MongoDB and run by services/jobQueue.js
+ */
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const jobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: JOB_STATUSES,
+        default: 'queued'
+    },
+    // Handler input, e.g. { seriesId, mediaId }
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Handler output once completed
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+    progress: {
+        type: Number,
+        default: 0
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    // Earliest time the job may run (pushed back between retries)
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    startedAt: Date,
+    finishedAt: Date
+}, {
+    timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ 'payload.seriesId': 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
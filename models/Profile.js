@@ -3,6 +3,19 @@
  */
 const mongoose = require('mongoose');
 
+// Series saved to a profile's "My List" (embedded in Profile), in display order
+const myListEntrySchema = new mongoose.Schema({
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Series',
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const profileSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -16,9 +29,18 @@ const profileSchema = new mongoose.Schema({
     color: {
         type: String,
         default: '#e50914'
+    },
+    myList: [myListEntrySchema],
+    // Id from the pre-MongoDB showData.json, set by scripts/migrateShowData.js
+    legacyId: {
+        type: String,
+        index: true,
+        sparse: true
     }
 }, {
     timestamps: true
 });
 
+profileSchema.index({ 'myList.series': 1 });
+
 module.exports = mongoose.model('Profile', profileSchema);
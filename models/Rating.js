@@ -0,0 +1,35 @@
+/**
+ * Rating Model
+ * A profile's thumbs up (1) or down (-1) on a series, or on one of its episodes
+ */
+const mongoose = require('mongoose');
+
+const ratingSchema = new mongoose.Schema({
+    profile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profile',
+        required: true
+    },
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Series',
+        required: true
+    },
+    // Null for a rating of the series itself
+    episode: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    value: {
+        type: Number,
+        enum: [1, -1],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+ratingSchema.index({ profile: 1, series: 1, episode: 1 }, { unique: true });
+ratingSchema.index({ series: 1, episode: 1 });
+
+module.exports = mongoose.model('Rating', ratingSchema);
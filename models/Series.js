@@ -3,15 +3,149 @@
  */
 const mongoose = require('mongoose');
 
+// Caps on series structure, shared by the routes that create seasons and episodes
+const MAX_SEASONS = 10;
+const MAX_EPISODES_PER_SEASON = 10;
+// How one slide leads into the next, see services/timeline.js
+const TRANSITIONS = ['cut', 'crossfade', 'fade-black', 'slide-left', 'slide-right', 'wipe-left'];
+const MEDIA_TYPES = ['image', 'video'];
+const ORIENTATIONS = ['landscape', 'portrait', 'square'];
+
+// HLS rendition of a transcoded video (embedded in Media)
+const renditionSchema = new mongoose.Schema({
+    name: String,
+    width: Number,
+    height: Number,
+    bandwidth: Number,
+    url: String
+}, { _id: false });
+
+// Metadata read from the file itself (embedded in Media), see services/mediaMetadata.js
+const mediaMetadataSchema = new mongoose.Schema({
+    // Capture time from EXIF / container tags
+    takenAt: Date,
+    // Displayed size, after applying rotation
+    width: Number,
+    height: Number,
+    orientation: {
+        type: String,
+        enum: ORIENTATIONS
+    },
+    // Seconds (videos only)
+    duration: Number,
+    // Video codec, or image format for images
+    codec: String,
+    audioCodec: String,
+    // Bytes
+    size: Number,
+    gps: {
+        latitude: Number,
+        longitude: Number,
+        altitude: Number
+    },
+    extractedAt: Date
+}, { _id: false });
+
+// Slideshow video rendered from an episode, season or whole series, see services/renderer.js
+const renderSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'completed', 'failed']
+    },
+    jobId: mongoose.Schema.Types.ObjectId,
+    error: String,
+    // Options the render was made with (durations, transitions, resolution, ...)
+    options: mongoose.Schema.Types.Mixed,
+    url: String,
+    // Seconds
+    duration: Number,
+    size: Number,
+    completedAt: Date
+}, { _id: false });
+
+// WebVTT subtitle track (embedded in Media for videos, and in Episode for the slideshow),
+// see services/subtitles.js
+const subtitleTrackSchema = new mongoose.Schema({
+    // BCP 47 language tag, e.g. 'en' or 'pt-BR'
+    language: {
+        type: String,
+        required: true
+    },
+    label: String,
+    // 'generated' tracks are built from media captions and are replaced when regenerated
+    source: {
+        type: String,
+        enum: ['upload', 'generated'],
+        default: 'upload'
+    },
+    url: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: true });
+
+// Person shown in a media item (embedded in Media). The optional region marks them on a
+// photo, as fractions (0-1) of the displayed width and height.
+const personTagSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    region: {
+        x: Number,
+        y: Number,
+        width: Number,
+        height: Number
+    }
+}, { _id: false });
+
 // Media schema (embedded in Episode)
 const mediaSchema = new mongoose.Schema({
     filename: String,
     originalName: String,
     type: {
         type: String,
-        enum: ['image', 'video']
+        enum: MEDIA_TYPES
     },
-    url: String
+    url: String,
+    // Hex SHA-256 of the file; media with the same content share one stored file (see services/assetRegistry.js)
+    contentHash: String,
+    metadata: mediaMetadataSchema,
+    // Free-form lowercase labels and the people in it (see services/tags.js)
+    tags: [String],
+    people: [personTagSchema],
+    caption: String,
+    // Slideshow timing (see services/timeline.js); unset fields fall back to the episode's
+    // slideDefaults. Duration is for images, videos play from trimStart to trimEnd.
+    duration: Number,
+    transition: {
+        type: String,
+        enum: TRANSITIONS
+    },
+    // Point to keep in frame when cropping, as fractions (0-1) of the displayed size
+    focalPoint: {
+        x: Number,
+        y: Number
+    },
+    trimStart: Number,
+    trimEnd: Number,
+    subtitles: [subtitleTrackSchema],
+    // Browser-friendly versions of videos, produced by the transcode job
+    transcode: {
+        status: {
+            type: String,
+            enum: ['queued', 'processing', 'completed', 'failed']
+        },
+        jobId: mongoose.Schema.Types.ObjectId,
+        error: String,
+        // Storage key prefix holding all transcoded output, next to the original
+        folder: String,
+        mp4Url: String,
+        hlsUrl: String,
+        renditions: [renditionSchema],
+        completedAt: Date
+    }
 }, { _id: true });
 
 // Episode schema (embedded in Season)
@@ -21,21 +155,80 @@ const episodeSchema = new mongoose.Schema({
         default: 'Episode'
     },
     thumbnail: String,
+    // 'upload' for manually uploaded thumbnails, which generation never replaces
+    thumbnailSource: {
+        type: String,
+        enum: ['upload', 'generated']
+    },
+    // Media item a generated thumbnail was taken from
+    thumbnailMediaId: mongoose.Schema.Types.ObjectId,
     description: String,
     music: String,
     musicOriginalName: String,
-    media: [mediaSchema]
-}, { _id: false });
+    // Seconds, read from the file by the metadata job
+    musicDuration: Number,
+    // Timing for media that doesn't set its own, see services/timeline.js
+    slideDefaults: {
+        imageDuration: Number,
+        transition: {
+            type: String,
+            enum: TRANSITIONS
+        },
+        transitionDuration: Number
+    },
+    subtitles: [subtitleTrackSchema],
+    media: [mediaSchema],
+    render: renderSchema
+}, { _id: true });
 
 // Season schema (embedded in Series)
+// Seasons and episodes are addressed by _id; documents created before they had ids are
+// backfilled by scripts/backfillIds.js
 const seasonSchema = new mongoose.Schema({
     title: {
         type: String,
         default: 'Season 1'
     },
-    episodes: [episodeSchema]
+    episodes: [episodeSchema],
+    render: renderSchema
+}, { _id: true });
+
+// Profile a series is shared with (embedded in Series), see services/seriesAccess.js
+const shareSchema = new mongoose.Schema({
+    profile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profile',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['viewer', 'editor'],
+        default: 'viewer'
+    }
+}, { _id: false });
+
+// Counts kept on the series (embedded in Series) so list views never load the media arrays
+const statsSchema = new mongoose.Schema({
+    seasonCount: { type: Number, default: 0 },
+    episodeCount: { type: Number, default: 0 },
+    mediaCount: { type: Number, default: 0 },
+    imageCount: { type: Number, default: 0 },
+    videoCount: { type: Number, default: 0 }
 }, { _id: false });
 
+// Counts for a series' seasons, see statsSchema
+function computeStats(seasons) {
+    const episodes = seasons.flatMap(season => season.episodes);
+    const media = episodes.flatMap(episode => episode.media);
+    return {
+        seasonCount: seasons.length,
+        episodeCount: episodes.length,
+        mediaCount: media.length,
+        imageCount: media.filter(m => m.type === 'image').length,
+        videoCount: media.filter(m => m.type === 'video').length
+    };
+}
+
 // Series schema
 const seriesSchema = new mongoose.Schema({
     title: {
@@ -45,9 +238,94 @@ const seriesSchema = new mongoose.Schema({
     },
     description: String,
     thumbnail: String,
-    seasons: [seasonSchema]
+    thumbnailSource: {
+        type: String,
+        enum: ['upload', 'generated']
+    },
+    // Wide collage built from episode thumbnails, see services/thumbnails.js
+    heroImage: String,
+    // Lowercase labels (see services/tags.js); each one gets a row on the browse page
+    tags: {
+        type: [String],
+        index: true
+    },
+    seasons: [seasonSchema],
+    render: renderSchema,
+    // Maintained on save from seasons; see scripts/backfillStats.js for older series
+    stats: {
+        type: statsSchema,
+        default: () => ({})
+    },
+    // Owning profile; series without an owner (from before ownership, or orphaned when
+    // their owner was deleted) are open to every profile
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profile',
+        index: true
+    },
+    sharedWith: [shareSchema],
+    // 'household' series can be watched by every profile, 'private' ones only by the owner and shares
+    visibility: {
+        type: String,
+        enum: ['private', 'household'],
+        default: 'private'
+    },
+    // Id from the pre-MongoDB showData.json, set by scripts/migrateShowData.js
+    legacyId: {
+        type: String,
+        index: true,
+        sparse: true
+    }
 }, {
     timestamps: true
 });
 
+seriesSchema.index({ 'sharedWith.profile': 1 });
+seriesSchema.index({ 'stats.mediaCount': -1 });
+seriesSchema.index({ 'seasons.episodes.media.tags': 1 });
+seriesSchema.index({ 'seasons.episodes.media.people.name': 1 });
+
+// Text index behind /api/search (see services/search.js). MongoDB keeps it up to date
+// on every write.
+seriesSchema.index({
+    title: 'text',
+    description: 'text',
+    tags: 'text',
+    'seasons.title': 'text',
+    'seasons.episodes.title': 'text',
+    'seasons.episodes.description': 'text',
+    'seasons.episodes.media.originalName': 'text',
+    'seasons.episodes.media.caption': 'text',
+    'seasons.episodes.media.tags': 'text',
+    'seasons.episodes.media.people.name': 'text'
+}, {
+    name: 'series_search',
+    weights: {
+        title: 10,
+        tags: 5,
+        'seasons.episodes.title': 5,
+        'seasons.title': 4,
+        description: 2,
+        'seasons.episodes.description': 2,
+        'seasons.episodes.media.caption': 2,
+        'seasons.episodes.media.tags': 2,
+        'seasons.episodes.media.people.name': 2
+    },
+    default_language: 'english'
+});
+
+// Every structural change (adding, moving or deleting seasons, episodes and media)
+// goes through save(); targeted updates only touch fields of existing items
+seriesSchema.pre('save', function () {
+    if (this.isNew || this.isModified('seasons')) {
+        this.stats = computeStats(this.seasons);
+    }
+});
+
 module.exports = mongoose.model('Series', seriesSchema);
+module.exports.MAX_SEASONS = MAX_SEASONS;
+module.exports.MAX_EPISODES_PER_SEASON = MAX_EPISODES_PER_SEASON;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.MEDIA_TYPES = MEDIA_TYPES;
+module.exports.ORIENTATIONS = ORIENTATIONS;
+module.exports.computeStats = computeStats;
@@ -0,0 +1,59 @@
+/**
+ * Share Link Model
+ * A public, read-only link to a series, season or episode for people without a profile,
+ * see services/shareLinks.js
+ */
+const mongoose = require('mongoose');
+
+const shareLinkSchema = new mongoose.Schema({
+    // Random secret in the link; whoever has it can view the shared content
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Series',
+        required: true,
+        index: true
+    },
+    // What the link shows: the whole series, one season or one episode
+    scope: {
+        type: String,
+        enum: ['series', 'season', 'episode'],
+        default: 'series'
+    },
+    season: mongoose.Schema.Types.ObjectId,
+    episode: mongoose.Schema.Types.ObjectId,
+    label: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profile'
+    },
+    expiresAt: Date,
+    // "salt:hash" (scrypt) when the link needs a passcode
+    passcodeHash: String,
+    maxViews: Number,
+    revokedAt: Date,
+    // Analytics
+    viewCount: {
+        type: Number,
+        default: 0
+    },
+    lastAccessedAt: Date,
+    failedPasscodeAttempts: {
+        type: Number,
+        default: 0
+    },
+    // Wrong passcodes since the last right one (or unlock); the link locks at
+    // MAX_PASSCODE_FAILURES, see services/shareLinks.js
+    passcodeFailures: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,58 @@
+/**
+ * Trash Item Model
+ * A deleted series, season, episode or media item, kept whole until it is restored or
+ * purged along with its stored files, see services/trash.js
+ */
+const mongoose = require('mongoose');
+
+const TRASH_KINDS = ['series', 'season', 'episode', 'media'];
+
+const trashItemSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: TRASH_KINDS,
+        required: true
+    },
+    // Series the item belonged to (the deleted series itself for kind 'series')
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Series',
+        required: true,
+        index: true
+    },
+    seriesTitle: String,
+    // Where it goes back to: the parent season (episodes) or episode (media), and its index there
+    season: mongoose.Schema.Types.ObjectId,
+    episode: mongoose.Schema.Types.ObjectId,
+    position: Number,
+    // For the trash listing
+    title: String,
+    thumbnail: String,
+    // Owner of the series when the item was deleted, and who deleted it
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profile',
+        index: true
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profile'
+    },
+    // The item as it was stored
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    },
+    purgeAt: {
+        type: Date,
+        required: true,
+        index: true
+    }
+});
+
+module.exports = mongoose.model('TrashItem', trashItemSchema);
+module.exports.TRASH_KINDS = TRASH_KINDS;
@@ -0,0 +1,51 @@
+/**
+ * Upload Session Model
+ * Tracks a resumable multipart upload into one series/season/episode slot
+ */
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Series',
+        required: true
+    },
+    // Target episode; the indices are kept for sessions started before episodes had ids
+    episode: mongoose.Schema.Types.ObjectId,
+    seasonIndex: Number,
+    episodeIndex: Number,
+    slot: {
+        type: String,
+        enum: ['seriesThumbnail', 'thumbnail', 'media', 'music'],
+        default: 'media'
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    uploadId: {
+        type: String,
+        required: true
+    },
+    originalName: String,
+    contentType: String,
+    size: Number,
+    partSize: Number,
+    partCount: Number,
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'aborted', 'expired'],
+        default: 'active'
+    },
+    // Bumped whenever the client asks for part URLs, used by the stale session sweeper
+    lastActivityAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+uploadSessionSchema.index({ status: 1, lastActivityAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
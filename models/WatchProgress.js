@@ -0,0 +1,50 @@
+/**
+ * Watch Progress Model
+ * How far a profile got through one episode, for the "Continue Watching" row
+ */
+const mongoose = require('mongoose');
+
+const watchProgressSchema = new mongoose.Schema({
+    profile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profile',
+        required: true
+    },
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Series',
+        required: true
+    },
+    episode: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Media item being shown, and the playback position in seconds when it is a video
+    mediaIndex: {
+        type: Number,
+        default: 0
+    },
+    mediaId: mongoose.Schema.Types.ObjectId,
+    position: {
+        type: Number,
+        default: 0
+    },
+    duration: Number,
+    completed: {
+        type: Boolean,
+        default: false
+    },
+    completedAt: Date,
+    lastWatchedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+watchProgressSchema.index({ profile: 1, episode: 1 }, { unique: true });
+watchProgressSchema.index({ profile: 1, lastWatchedAt: -1 });
+watchProgressSchema.index({ series: 1 });
+
+module.exports = mongoose.model('WatchProgress', watchProgressSchema);
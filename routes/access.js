@@ -0,0 +1,92 @@
+/**
+ * Netflix Life Story - Profile Access Middleware
+ * The active profile ("Who's watching?") is sent in the X-Profile-Id header. Every
+ * /series/:seriesId/... route checks it against the series' owner, shares and visibility
+ * (see services/seriesAccess.js): reads, watch progress and ratings need view access, sharing,
+ * share links and transfers need manage access, and everything else needs edit access.
+ */
+
+const mongoose = require('mongoose');
+const { hasAccess } = require('../services/seriesAccess');
+const Profile = require('../models/Profile');
+const Series = require('../models/Series');
+
+// Read X-Profile-Id into req.profileId (null when absent)
+async function loadProfile(req, res, next) {
+    try {
+        const profileId = req.get('X-Profile-Id');
+        req.profileId = null;
+        if (!profileId) return next();
+
+        if (!mongoose.isValidObjectId(profileId) || !await Profile.exists({ _id: profileId })) {
+            return res.status(401).json({ error: 'Unknown profile in X-Profile-Id' });
+        }
+        req.profileId = profileId;
+        next();
+    } catch (error) {
+        console.error('Error loading profile:', error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+// Reject requests made without a profile
+function requireProfile(req, res, next) {
+    if (!req.profileId) {
+        return res.status(401).json({ error: 'X-Profile-Id header required' });
+    }
+    next();
+}
+
+// Reject changes to a profile (/profiles/:id) other than the active one; use after requireProfile
+function requireOwnProfile(req, res, next) {
+    if (req.profileId !== req.params.id) {
+        return res.status(403).json({ error: 'You can only change your own profile' });
+    }
+    next();
+}
+
+// Access level a /series/:seriesId/... request needs, from its method and the rest of the path
+function requiredAccess(req) {
+    // Share links carry their tokens, so even listing them needs manage access
+    if (/^\/share-links(\/|$)/.test(req.path)) return 'manage';
+    if (req.method === 'GET' || req.method === 'HEAD') return 'view';
+    // Viewers record their own watch progress and ratings
+    if (/\/(progress|watched|rating)\/?$/.test(req.path)) return 'view';
+    if (req.method === 'DELETE' && req.path === '/') return 'manage';
+    if (/^\/(sharing|transfer)\/?$/.test(req.path)) return 'manage';
+    return 'edit';
+}
+
+// Helper: check a series exists and the profile may act on it, responding with an error if not.
+// Series the profile can't see at all are reported as not found.
+async function checkSeriesAccess(res, seriesId, profileId, level) {
+    const series = await Series.findById(seriesId).select('owner sharedWith visibility').lean();
+    if (!series || !hasAccess(series, profileId, 'view')) {
+        res.status(404).json({ error: 'Series not found' });
+        return false;
+    }
+    if (!hasAccess(series, profileId, level)) {
+        res.status(403).json({ error: `You need ${level} access to this series` });
+        return false;
+    }
+    return true;
+}
+
+// Mounted on /series/:seriesId; non-id segments (e.g. /series/import) are left to their routes
+async function requireSeriesAccess(req, res, next) {
+    try {
+        if (!mongoose.isValidObjectId(req.params.seriesId)) return next();
+        if (await checkSeriesAccess(res, req.params.seriesId, req.profileId, requiredAccess(req))) next();
+    } catch (error) {
+        console.error('Error checking series access:', error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+module.exports = {
+    loadProfile,
+    requireProfile,
+    requireOwnProfile,
+    checkSeriesAccess,
+    requireSeriesAccess
+};
@@ -1,96 +1,83 @@
 /**
  * Netflix Life Story - API Routes (MongoDB Version)
- * Handles file uploads to AWS S3 and data management with MongoDB
+ * Handles file uploads to the configured storage driver and data management with MongoDB
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
-const path = require('path');
 const {
     seriesThumbnailStorage,
     thumbnailStorage,
     mediaStorage,
     musicStorage,
-    getS3Url,
     deleteFromS3,
     getKeyFromUrl
 } = require('../config/s3');
+const { UPLOAD_RULES, isAllowedFile } = require('../config/uploads');
+const {
+    findSeason,
+    resolveEpisode,
+    setSeriesThumbnail,
+    setEpisodeThumbnail,
+    addEpisodeMedia,
+    setEpisodeMusic
+} = require('../services/seriesAssets');
+const { processNewMedia, processNewThumbnail, processNewMusic } = require('../services/mediaPipeline');
+const { registerUploads } = require('../services/assetRegistry');
+const { PROFILE_DELETE_MODES, visibleSeriesFilter, releaseProfileSeries } = require('../services/seriesAccess');
+const { clearProfileData } = require('../services/profileData');
+const { trashSeries, trashSeason, trashEpisode, trashMedia } = require('../services/trash');
+const { annotateSeries } = require('../services/library');
+const { normalizeTags } = require('../services/tags');
+const { parseListQuery, listSeries } = require('../services/seriesList');
+const { findSeasonTarget, findEpisodeTarget } = require('./episodeRefs');
+const { loadProfile, requireProfile, requireOwnProfile, requireSeriesAccess } = require('./access');
 const Profile = require('../models/Profile');
 const Series = require('../models/Series');
+const storageRoutes = require('./storage');
+const directUploadRoutes = require('./directUploads');
+const multipartUploadRoutes = require('./multipartUploads');
+const jobRoutes = require('./jobs');
+const thumbnailRoutes = require('./thumbnails');
+const mediaRoutes = require('./media');
+const importRoutes = require('./imports');
+const arrangeRoutes = require('./arrange');
+const sharingRoutes = require('./sharing');
+const progressRoutes = require('./progress');
+const libraryRoutes = require('./library');
+const browseRoutes = require('./browse');
+const detailRoutes = require('./detail');
+const searchRoutes = require('./search');
+const tagRoutes = require('./tags');
+const shareLinkRoutes = require('./shareLinks');
+const archiveRoutes = require('./archives');
+const renderRoutes = require('./renders');
+const slideRoutes = require('./slides');
+const subtitleRoutes = require('./subtitles');
+const trashRoutes = require('./trash');
 
 const router = express.Router();
 
-// Configure multer with S3 storage
-const uploadSeriesThumbnail = multer({
-    storage: seriesThumbnailStorage,
-    limits: { fileSize: 50 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp/;
-        const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        cb(null, allowedTypes.test(ext));
-    }
-});
-
-const uploadThumbnail = multer({ 
-    storage: thumbnailStorage,
-    limits: { fileSize: 50 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp/;
-        const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        cb(null, allowedTypes.test(ext));
-    }
-});
-
-const uploadMedia = multer({ 
-    storage: mediaStorage,
-    limits: { fileSize: 500 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp|mp4|mov|avi|webm|mkv/;
-        const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        cb(null, allowedTypes.test(ext));
-    }
-});
-
-const uploadMusic = multer({
-    storage: musicStorage,
-    limits: { fileSize: 50 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /mp3|wav|ogg|m4a|aac/;
-        const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        cb(null, allowedTypes.test(ext));
-    }
-});
-
-// Helper: get episode from series by season/episode index
-function getEpisode(series, seasonIndex, episodeIndex) {
-    if (seasonIndex >= series.seasons.length) return null;
-    const season = series.seasons[seasonIndex];
-    if (episodeIndex >= season.episodes.length) return null;
-    return season.episodes[episodeIndex];
+// Configure multer with the active storage driver
+function createUploader(slot, storage) {
+    return multer({
+        storage,
+        limits: { fileSize: UPLOAD_RULES[slot].maxSize },
+        fileFilter: (req, file, cb) => {
+            cb(null, isAllowedFile(slot, file.originalname));
+        }
+    });
 }
 
-// Helper: delete all S3 assets for an episode
-async function deleteEpisodeAssets(episode) {
-    if (episode.thumbnail) {
-        const key = getKeyFromUrl(episode.thumbnail);
-        if (key) await deleteFromS3(key);
-    }
-    if (episode.music) {
-        const key = getKeyFromUrl(episode.music);
-        if (key) await deleteFromS3(key);
-    }
-    for (const media of episode.media || []) {
-        const key = getKeyFromUrl(media.url);
-        if (key) await deleteFromS3(key);
-    }
-}
+const uploadSeriesThumbnail = createUploader('seriesThumbnail', seriesThumbnailStorage);
+const uploadThumbnail = createUploader('thumbnail', thumbnailStorage);
+const uploadMedia = createUploader('media', mediaStorage);
+const uploadMusic = createUploader('music', musicStorage);
 
-// Helper: delete all S3 assets for a season
-async function deleteSeasonAssets(season) {
-    for (const episode of season.episodes) {
-        await deleteEpisodeAssets(episode);
-    }
-}
+// Active profile from X-Profile-Id, and access checks for everything under a series
+router.use(loadProfile);
+router.use('/series/:seriesId', requireSeriesAccess);
 
 // ============================================
 // PROFILE ROUTES
@@ -123,8 +110,8 @@ router.post('/profiles', async (req, res) => {
     }
 });
 
-// PUT /api/profiles/:id - Update profile
-router.put('/profiles/:id', async (req, res) => {
+// PUT /api/profiles/:id - Update the active profile
+router.put('/profiles/:id', requireProfile, requireOwnProfile, async (req, res) => {
     try {
         const { name, avatar, color } = req.body;
         const profile = await Profile.findByIdAndUpdate(
@@ -142,14 +129,37 @@ router.put('/profiles/:id', async (req, res) => {
     }
 });
 
-// DELETE /api/profiles/:id - Delete profile
-router.delete('/profiles/:id', async (req, res) => {
+// DELETE /api/profiles/:id - Delete the active profile
+// Query: series=transfer|cascade|orphan (required if the profile owns series), transferTo=<profileId>
+// (cascade moves the series to the trash)
+router.delete('/profiles/:id', requireProfile, requireOwnProfile, async (req, res) => {
     try {
-        const profile = await Profile.findByIdAndDelete(req.params.id);
+        const { series: mode, transferTo } = req.query;
+        
+        const profile = await Profile.findById(req.params.id);
         if (!profile) {
             return res.status(404).json({ error: 'Profile not found' });
         }
-        res.json({ success: true });
+        
+        const ownedCount = await Series.countDocuments({ owner: profile._id });
+        if (ownedCount > 0 && !PROFILE_DELETE_MODES.includes(mode)) {
+            return res.status(409).json({
+                error: `Profile owns ${ownedCount} series. Choose what happens to them with ?series=${PROFILE_DELETE_MODES.join('|')}`,
+                ownedSeries: ownedCount
+            });
+        }
+        if (ownedCount > 0 && mode === 'transfer') {
+            if (!mongoose.isValidObjectId(transferTo) || transferTo === req.params.id ||
+                !await Profile.exists({ _id: transferTo })) {
+                return res.status(400).json({ error: 'transferTo must be another existing profile' });
+            }
+        }
+        
+        const released = await releaseProfileSeries(profile._id, mode, transferTo);
+        await clearProfileData(profile._id);
+        await Profile.findByIdAndDelete(profile._id);
+        
+        res.json({ success: true, series: { mode: released > 0 ? mode : null, count: released } });
     } catch (error) {
         console.error('Error deleting profile:', error);
         res.status(500).json({ error: error.message });
@@ -160,11 +170,22 @@ router.delete('/profiles/:id', async (req, res) => {
 // SERIES ROUTES
 // ============================================
 
-// GET /api/series - Get all series
+// GET /api/series - Get the series visible to the active profile, with rating counts
+// and (for a profile) inMyList and myRating
+// Query: scope=all|owned|shared, view=summary|full, fields=title,stats,..., sort=-createdAt|title|-mediaCount|...
+// With limit or cursor, responds with a page: { items, nextCursor }
 router.get('/series', async (req, res) => {
     try {
-        const series = await Series.find().sort({ createdAt: -1 });
-        res.json(series);
+        const options = parseListQuery(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        const result = await listSeries(visibleSeriesFilter(req.profileId, req.query.scope), options);
+        if (!options.paginated) {
+            return res.json(await annotateSeries(result, req.profileId));
+        }
+        res.json({ items: await annotateSeries(result.items, req.profileId), nextCursor: result.nextCursor });
     } catch (error) {
         console.error('Error getting series:', error);
         res.status(500).json({ error: error.message });
@@ -178,19 +199,26 @@ router.get('/series/:id', async (req, res) => {
         if (!series) {
             return res.status(404).json({ error: 'Series not found' });
         }
-        res.json(series);
+        const [annotated] = await annotateSeries([series], req.profileId);
+        res.json(annotated);
     } catch (error) {
         console.error('Error getting series:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// POST /api/series - Create new series
-router.post('/series', async (req, res) => {
+// POST /api/series - Create new series, owned by the active profile
+router.post('/series', requireProfile, async (req, res) => {
     try {
-        const { title, description, seasonCount, episodesPerSeason } = req.body;
-        const numSeasons = Math.min(Math.max(seasonCount || 1, 1), 10);
-        const numEpisodes = Math.min(Math.max(episodesPerSeason || 1, 1), 10);
+        const { title, description, seasonCount, episodesPerSeason, visibility, tags } = req.body;
+        let seriesTags = [];
+        try {
+            if (tags !== undefined) seriesTags = normalizeTags(tags);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const numSeasons = Math.min(Math.max(seasonCount || 1, 1), Series.MAX_SEASONS);
+        const numEpisodes = Math.min(Math.max(episodesPerSeason || 1, 1), Series.MAX_EPISODES_PER_SEASON);
         
         // Create seasons with episodes
         const seasons = Array.from({ length: numSeasons }, (_, si) => ({
@@ -209,7 +237,10 @@ router.post('/series', async (req, res) => {
             title: title || 'My Story',
             description: description || '',
             thumbnail: null,
-            seasons
+            seasons,
+            owner: req.profileId,
+            visibility,
+            tags: seriesTags
         });
         
         res.json({ success: true, series });
@@ -222,7 +253,7 @@ router.post('/series', async (req, res) => {
 // PUT /api/series/:id - Update series
 router.put('/series/:id', async (req, res) => {
     try {
-        const { title, description, seasons } = req.body;
+        const { title, description, tags, seasons } = req.body;
         const series = await Series.findById(req.params.id);
         
         if (!series) {
@@ -232,17 +263,26 @@ router.put('/series/:id', async (req, res) => {
         // Update basic info
         if (title) series.title = title;
         if (description !== undefined) series.description = description;
+        if (tags !== undefined) {
+            try {
+                series.tags = normalizeTags(tags);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        }
         
-        // Update seasons if provided
+        // Update seasons if provided, matched by _id (or by position when no _id is given)
         if (seasons && Array.isArray(seasons)) {
             seasons.forEach((seasonData, si) => {
-                if (series.seasons[si]) {
-                    if (seasonData.title !== undefined) series.seasons[si].title = seasonData.title;
+                const season = findSeason(series, seasonData._id || si);
+                if (season) {
+                    if (seasonData.title !== undefined) season.title = seasonData.title;
                     if (seasonData.episodes && Array.isArray(seasonData.episodes)) {
                         seasonData.episodes.forEach((ep, ei) => {
-                            if (series.seasons[si].episodes[ei]) {
-                                if (ep.title !== undefined) series.seasons[si].episodes[ei].title = ep.title;
-                                if (ep.description !== undefined) series.seasons[si].episodes[ei].description = ep.description;
+                            const found = resolveEpisode(series, { seasonId: season._id, episodeId: ep._id || ei });
+                            if (found) {
+                                if (ep.title !== undefined) found.episode.title = ep.title;
+                                if (ep.description !== undefined) found.episode.description = ep.description;
                             }
                         });
                     }
@@ -258,7 +298,7 @@ router.put('/series/:id', async (req, res) => {
     }
 });
 
-// DELETE /api/series/:id - Delete series
+// DELETE /api/series/:id - Move a series to the trash
 router.delete('/series/:id', async (req, res) => {
     try {
         const series = await Series.findById(req.params.id);
@@ -266,18 +306,8 @@ router.delete('/series/:id', async (req, res) => {
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        // Delete all S3 files
-        if (series.thumbnail) {
-            const key = getKeyFromUrl(series.thumbnail);
-            if (key) await deleteFromS3(key);
-        }
-        
-        for (const season of series.seasons) {
-            await deleteSeasonAssets(season);
-        }
-        
-        await Series.findByIdAndDelete(req.params.id);
-        res.json({ success: true });
+        const item = await trashSeries(series, req.profileId);
+        res.json({ success: true, trashItemId: item._id });
     } catch (error) {
         console.error('Error deleting series:', error);
         res.status(500).json({ error: error.message });
@@ -292,15 +322,15 @@ router.delete('/series/:id', async (req, res) => {
 router.post('/series/:seriesId/seasons', async (req, res) => {
     try {
         const { episodeCount } = req.body;
-        const numEpisodes = Math.min(Math.max(episodeCount || 1, 1), 10);
+        const numEpisodes = Math.min(Math.max(episodeCount || 1, 1), Series.MAX_EPISODES_PER_SEASON);
         
         const series = await Series.findById(req.params.seriesId);
         if (!series) {
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        if (series.seasons.length >= 10) {
-            return res.status(400).json({ error: 'Maximum 10 seasons allowed' });
+        if (series.seasons.length >= Series.MAX_SEASONS) {
+            return res.status(400).json({ error: `Maximum ${Series.MAX_SEASONS} seasons allowed` });
         }
         
         const seasonNumber = series.seasons.length + 1;
@@ -324,54 +354,43 @@ router.post('/series/:seriesId/seasons', async (req, res) => {
     }
 });
 
-// DELETE /api/series/:seriesId/seasons/:seasonIndex - Remove a season
-router.delete('/series/:seriesId/seasons/:seasonIndex', async (req, res) => {
+// DELETE /api/series/:seriesId/seasons/:seasonId - Move a season to the trash (a season index is still accepted, deprecated)
+router.delete('/series/:seriesId/seasons/:seasonId', async (req, res) => {
     try {
-        const seasonIndex = parseInt(req.params.seasonIndex);
-        
         const series = await Series.findById(req.params.seriesId);
         if (!series) {
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        if (seasonIndex >= series.seasons.length) {
-            return res.status(400).json({ error: 'Invalid season index' });
-        }
+        const season = findSeasonTarget(res, series, req.params.seasonId);
+        if (!season) return;
         
         if (series.seasons.length <= 1) {
             return res.status(400).json({ error: 'Cannot delete the last season' });
         }
         
-        // Delete all S3 assets for the season
-        await deleteSeasonAssets(series.seasons[seasonIndex]);
+        const item = await trashSeason(series, season, req.profileId);
         
-        series.seasons.splice(seasonIndex, 1);
-        await series.save();
-        
-        res.json({ success: true, series });
+        res.json({ success: true, series, trashItemId: item._id });
     } catch (error) {
         console.error('Error deleting season:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// POST /api/series/:seriesId/seasons/:seasonIndex/episodes - Add episode to season
-router.post('/series/:seriesId/seasons/:seasonIndex/episodes', async (req, res) => {
+// POST /api/series/:seriesId/seasons/:seasonId/episodes - Add episode to season (a season index is still accepted, deprecated)
+router.post('/series/:seriesId/seasons/:seasonId/episodes', async (req, res) => {
     try {
-        const seasonIndex = parseInt(req.params.seasonIndex);
-        
         const series = await Series.findById(req.params.seriesId);
         if (!series) {
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        if (seasonIndex >= series.seasons.length) {
-            return res.status(400).json({ error: 'Invalid season index' });
-        }
+        const season = findSeasonTarget(res, series, req.params.seasonId);
+        if (!season) return;
         
-        const season = series.seasons[seasonIndex];
-        if (season.episodes.length >= 10) {
-            return res.status(400).json({ error: 'Maximum 10 episodes per season' });
+        if (season.episodes.length >= Series.MAX_EPISODES_PER_SEASON) {
+            return res.status(400).json({ error: `Maximum ${Series.MAX_EPISODES_PER_SEASON} episodes per season` });
         }
         
         season.episodes.push({
@@ -391,37 +410,29 @@ router.post('/series/:seriesId/seasons/:seasonIndex/episodes', async (req, res)
     }
 });
 
-// DELETE /api/series/:seriesId/seasons/:seasonIndex/episodes/:episodeIndex - Remove episode
-router.delete('/series/:seriesId/seasons/:seasonIndex/episodes/:episodeIndex', async (req, res) => {
+// DELETE /api/series/:seriesId/episodes/:episodeId - Move an episode to the trash
+// DELETE /api/series/:seriesId/seasons/:seasonId/episodes/:episodeId - Same, also accepting indices (deprecated)
+router.delete([
+    '/series/:seriesId/episodes/:episodeId',
+    '/series/:seriesId/seasons/:seasonId/episodes/:episodeId'
+], async (req, res) => {
     try {
-        const seasonIndex = parseInt(req.params.seasonIndex);
-        const episodeIndex = parseInt(req.params.episodeIndex);
-        
         const series = await Series.findById(req.params.seriesId);
         if (!series) {
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        if (seasonIndex >= series.seasons.length) {
-            return res.status(400).json({ error: 'Invalid season index' });
-        }
-        
-        const season = series.seasons[seasonIndex];
-        if (episodeIndex >= season.episodes.length) {
-            return res.status(400).json({ error: 'Invalid episode index' });
-        }
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+        const { season, episode } = target;
         
         if (season.episodes.length <= 1) {
             return res.status(400).json({ error: 'Cannot delete the last episode in a season' });
         }
         
-        // Delete all S3 assets for the episode
-        await deleteEpisodeAssets(season.episodes[episodeIndex]);
+        const item = await trashEpisode(series, season, episode, req.profileId);
         
-        season.episodes.splice(episodeIndex, 1);
-        await series.save();
-        
-        res.json({ success: true, series });
+        res.json({ success: true, series, trashItemId: item._id });
     } catch (error) {
         console.error('Error deleting episode:', error);
         res.status(500).json({ error: error.message });
@@ -431,6 +442,7 @@ router.delete('/series/:seriesId/seasons/:seasonIndex/episodes/:episodeIndex', a
 // ============================================
 // UPLOAD ROUTES
 // ============================================
+// Episode routes take an :episodeId; the older /:seasonIndex/:episodeIndex forms are deprecated
 
 // POST /api/series/:seriesId/upload/thumbnail - Upload series thumbnail
 router.post('/series/:seriesId/upload/thumbnail', uploadSeriesThumbnail.single('thumbnail'), async (req, res) => {
@@ -444,14 +456,8 @@ router.post('/series/:seriesId/upload/thumbnail', uploadSeriesThumbnail.single('
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        // Delete old thumbnail from S3 if exists
-        if (series.thumbnail) {
-            const oldKey = getKeyFromUrl(series.thumbnail);
-            if (oldKey) await deleteFromS3(oldKey);
-        }
-        
-        const s3Url = getS3Url(req.file.key);
-        series.thumbnail = s3Url;
+        // Replaces (and deletes) the old thumbnail if one exists
+        const s3Url = await setSeriesThumbnail(series, req.file.key);
         await series.save();
         
         console.log(`[API] ✅ Series thumbnail uploaded successfully`);
@@ -464,12 +470,12 @@ router.post('/series/:seriesId/upload/thumbnail', uploadSeriesThumbnail.single('
     }
 });
 
-// POST /api/series/:seriesId/upload/thumbnail/:seasonIndex/:episodeIndex - Upload episode thumbnail
-router.post('/series/:seriesId/upload/thumbnail/:seasonIndex/:episodeIndex', uploadThumbnail.single('thumbnail'), async (req, res) => {
+// POST /api/series/:seriesId/episodes/:episodeId/upload/thumbnail - Upload episode thumbnail
+router.post([
+    '/series/:seriesId/episodes/:episodeId/upload/thumbnail',
+    '/series/:seriesId/upload/thumbnail/:seasonIndex/:episodeIndex'
+], uploadThumbnail.single('thumbnail'), async (req, res) => {
     try {
-        const seasonIndex = parseInt(req.params.seasonIndex);
-        const episodeIndex = parseInt(req.params.episodeIndex);
-        
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
@@ -479,22 +485,16 @@ router.post('/series/:seriesId/upload/thumbnail/:seasonIndex/:episodeIndex', upl
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        const episode = getEpisode(series, seasonIndex, episodeIndex);
-        if (!episode) {
-            return res.status(400).json({ error: 'Invalid season or episode index' });
-        }
-        
-        // Delete old thumbnail from S3 if exists
-        if (episode.thumbnail) {
-            const oldKey = getKeyFromUrl(episode.thumbnail);
-            if (oldKey) await deleteFromS3(oldKey);
-        }
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+        const { episode } = target;
         
-        const s3Url = getS3Url(req.file.key);
-        episode.thumbnail = s3Url;
+        // Replaces (and deletes) the old thumbnail if one exists
+        const s3Url = await setEpisodeThumbnail(episode, req.file.key);
         await series.save();
+        await processNewThumbnail(series);
         
-        console.log(`[API] ✅ Season ${seasonIndex} Episode ${episodeIndex} thumbnail uploaded successfully`);
+        console.log(`[API] ✅ Episode "${episode.title}" thumbnail uploaded successfully`);
         console.log(`[API]    S3 URL: ${s3Url}`);
         
         res.json({ success: true, filename: req.file.key, url: s3Url });
@@ -504,12 +504,12 @@ router.post('/series/:seriesId/upload/thumbnail/:seasonIndex/:episodeIndex', upl
     }
 });
 
-// POST /api/series/:seriesId/upload/media/:seasonIndex/:episodeIndex - Upload episode media files
-router.post('/series/:seriesId/upload/media/:seasonIndex/:episodeIndex', uploadMedia.array('media', 50), async (req, res) => {
+// POST /api/series/:seriesId/episodes/:episodeId/upload/media - Upload episode media files
+router.post([
+    '/series/:seriesId/episodes/:episodeId/upload/media',
+    '/series/:seriesId/upload/media/:seasonIndex/:episodeIndex'
+], uploadMedia.array('media', 50), async (req, res) => {
     try {
-        const seasonIndex = parseInt(req.params.seasonIndex);
-        const episodeIndex = parseInt(req.params.episodeIndex);
-        
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({ error: 'No files uploaded' });
         }
@@ -519,26 +519,22 @@ router.post('/series/:seriesId/upload/media/:seasonIndex/:episodeIndex', uploadM
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        const episode = getEpisode(series, seasonIndex, episodeIndex);
-        if (!episode) {
-            return res.status(400).json({ error: 'Invalid season or episode index' });
-        }
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+        const { episode } = target;
         
-        const newMedia = req.files.map(file => {
-            const isVideo = /mp4|webm|mov|avi|mkv/.test(path.extname(file.originalname).toLowerCase());
-            const s3Url = getS3Url(file.key);
-            return {
-                filename: file.key,
-                originalName: file.originalname,
-                type: isVideo ? 'video' : 'image',
-                url: s3Url
-            };
-        });
-        
-        episode.media.push(...newMedia);
+        // Files whose content is already stored give way to the stored copy
+        const uploads = await registerUploads(req.files.map(file => ({
+            key: file.key,
+            originalName: file.originalname,
+            contentHash: file.contentHash,
+            size: file.size
+        })));
+        const newMedia = addEpisodeMedia(episode, uploads);
         await series.save();
+        await processNewMedia(series, episode, newMedia);
         
-        console.log(`[API] ✅ ${newMedia.length} media file(s) uploaded to S${seasonIndex}E${episodeIndex}`);
+        console.log(`[API] ✅ ${newMedia.length} media file(s) uploaded to episode "${episode.title}"`);
         newMedia.forEach(m => console.log(`[API]    - ${m.type}: ${m.url}`));
         
         res.json({ success: true, files: newMedia });
@@ -548,12 +544,12 @@ router.post('/series/:seriesId/upload/media/:seasonIndex/:episodeIndex', uploadM
     }
 });
 
-// POST /api/series/:seriesId/upload/music/:seasonIndex/:episodeIndex - Upload episode music
-router.post('/series/:seriesId/upload/music/:seasonIndex/:episodeIndex', uploadMusic.single('music'), async (req, res) => {
+// POST /api/series/:seriesId/episodes/:episodeId/upload/music - Upload episode music
+router.post([
+    '/series/:seriesId/episodes/:episodeId/upload/music',
+    '/series/:seriesId/upload/music/:seasonIndex/:episodeIndex'
+], uploadMusic.single('music'), async (req, res) => {
     try {
-        const seasonIndex = parseInt(req.params.seasonIndex);
-        const episodeIndex = parseInt(req.params.episodeIndex);
-        
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
@@ -563,23 +559,16 @@ router.post('/series/:seriesId/upload/music/:seasonIndex/:episodeIndex', uploadM
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        const episode = getEpisode(series, seasonIndex, episodeIndex);
-        if (!episode) {
-            return res.status(400).json({ error: 'Invalid season or episode index' });
-        }
-        
-        // Delete old music from S3 if exists
-        if (episode.music) {
-            const oldKey = getKeyFromUrl(episode.music);
-            if (oldKey) await deleteFromS3(oldKey);
-        }
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+        const { episode } = target;
         
-        const s3Url = getS3Url(req.file.key);
-        episode.music = s3Url;
-        episode.musicOriginalName = req.file.originalname;
+        // Replaces (and deletes) the old music if one exists
+        const s3Url = await setEpisodeMusic(episode, req.file.key, req.file.originalname);
         await series.save();
+        await processNewMusic(series, episode);
         
-        console.log(`[API] ✅ Music uploaded to S${seasonIndex}E${episodeIndex}`);
+        console.log(`[API] ✅ Music uploaded to episode "${episode.title}"`);
         console.log(`[API]    Original: ${req.file.originalname}`);
         console.log(`[API]    S3 URL: ${s3Url}`);
         
@@ -599,21 +588,20 @@ router.post('/series/:seriesId/upload/music/:seasonIndex/:episodeIndex', uploadM
 // DELETE ROUTES
 // ============================================
 
-// DELETE /api/series/:seriesId/music/:seasonIndex/:episodeIndex - Delete episode music
-router.delete('/series/:seriesId/music/:seasonIndex/:episodeIndex', async (req, res) => {
+// DELETE /api/series/:seriesId/episodes/:episodeId/music - Delete episode music
+router.delete([
+    '/series/:seriesId/episodes/:episodeId/music',
+    '/series/:seriesId/music/:seasonIndex/:episodeIndex'
+], async (req, res) => {
     try {
-        const seasonIndex = parseInt(req.params.seasonIndex);
-        const episodeIndex = parseInt(req.params.episodeIndex);
-        
         const series = await Series.findById(req.params.seriesId);
         if (!series) {
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        const episode = getEpisode(series, seasonIndex, episodeIndex);
-        if (!episode) {
-            return res.status(400).json({ error: 'Invalid season or episode index' });
-        }
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+        const { episode } = target;
         
         if (episode.music) {
             const key = getKeyFromUrl(episode.music);
@@ -622,6 +610,7 @@ router.delete('/series/:seriesId/music/:seasonIndex/:episodeIndex', async (req,
         
         episode.music = null;
         episode.musicOriginalName = null;
+        episode.musicDuration = undefined;
         await series.save();
         
         res.json({ success: true });
@@ -631,11 +620,12 @@ router.delete('/series/:seriesId/music/:seasonIndex/:episodeIndex', async (req,
     }
 });
 
-// DELETE /api/series/:seriesId/media/:seasonIndex/:episodeIndex/:mediaId - Delete media from episode
-router.delete('/series/:seriesId/media/:seasonIndex/:episodeIndex/:mediaId', async (req, res) => {
+// DELETE /api/series/:seriesId/episodes/:episodeId/media/:mediaId - Move media from an episode to the trash
+router.delete([
+    '/series/:seriesId/episodes/:episodeId/media/:mediaId',
+    '/series/:seriesId/media/:seasonIndex/:episodeIndex/:mediaId'
+], async (req, res) => {
     try {
-        const seasonIndex = parseInt(req.params.seasonIndex);
-        const episodeIndex = parseInt(req.params.episodeIndex);
         const mediaId = req.params.mediaId;
         
         const series = await Series.findById(req.params.seriesId);
@@ -643,36 +633,31 @@ router.delete('/series/:seriesId/media/:seasonIndex/:episodeIndex/:mediaId', asy
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        const episode = getEpisode(series, seasonIndex, episodeIndex);
-        if (!episode) {
-            return res.status(400).json({ error: 'Invalid season or episode index' });
-        }
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+        const { episode } = target;
         
-        const mediaIndex = episode.media.findIndex(m => m._id.toString() === mediaId);
+        const media = episode.media.find(m => m._id.toString() === mediaId);
         
-        if (mediaIndex === -1) {
+        if (!media) {
             return res.status(404).json({ error: 'Media not found' });
         }
         
-        const media = episode.media[mediaIndex];
-        const key = getKeyFromUrl(media.url);
-        if (key) await deleteFromS3(key);
+        const item = await trashMedia(series, episode, media, req.profileId);
         
-        episode.media.splice(mediaIndex, 1);
-        await series.save();
-        
-        res.json({ success: true });
+        res.json({ success: true, trashItemId: item._id });
     } catch (error) {
         console.error('Error deleting media:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// PUT /api/series/:seriesId/reorder/:seasonIndex/:episodeIndex - Reorder media
-router.put('/series/:seriesId/reorder/:seasonIndex/:episodeIndex', async (req, res) => {
+// PUT /api/series/:seriesId/episodes/:episodeId/reorder - Reorder media
+router.put([
+    '/series/:seriesId/episodes/:episodeId/reorder',
+    '/series/:seriesId/reorder/:seasonIndex/:episodeIndex'
+], async (req, res) => {
     try {
-        const seasonIndex = parseInt(req.params.seasonIndex);
-        const episodeIndex = parseInt(req.params.episodeIndex);
         const { mediaIds } = req.body;
         
         const series = await Series.findById(req.params.seriesId);
@@ -680,10 +665,9 @@ router.put('/series/:seriesId/reorder/:seasonIndex/:episodeIndex', async (req, r
             return res.status(404).json({ error: 'Series not found' });
         }
         
-        const episode = getEpisode(series, seasonIndex, episodeIndex);
-        if (!episode) {
-            return res.status(400).json({ error: 'Invalid season or episode index' });
-        }
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+        const { episode } = target;
         
         const reorderedMedia = mediaIds.map(id => 
             episode.media.find(m => m._id.toString() === id)
@@ -699,4 +683,51 @@ router.put('/series/:seriesId/reorder/:seasonIndex/:episodeIndex', async (req, r
     }
 });
 
+// Reordering and moving seasons, episodes and media
+router.use(arrangeRoutes);
+
+// Sharing and ownership, and public share links
+router.use(sharingRoutes);
+router.use(shareLinkRoutes);
+
+// Watch progress and Continue Watching
+router.use(progressRoutes);
+
+// My List and ratings
+router.use(libraryRoutes);
+
+// Home page rows and hero
+router.use(browseRoutes);
+
+// Single season and episode views
+router.use(detailRoutes);
+
+// Search
+router.use(searchRoutes);
+
+// Media tags, people and collections
+router.use(tagRoutes);
+
+// Slideshow timing, captions and transitions, and subtitle tracks
+router.use(slideRoutes);
+router.use(subtitleRoutes);
+
+// Direct-to-bucket and resumable multipart uploads
+router.use(directUploadRoutes);
+router.use(multipartUploadRoutes);
+
+// Background jobs, generated images and rendered videos
+router.use(jobRoutes);
+router.use(thumbnailRoutes);
+router.use(renderRoutes);
+
+// Deleted series, seasons, episodes and media
+router.use(trashRoutes);
+
+// Media metadata queries, bulk imports and series archives
+router.use(mediaRoutes);
+router.use(importRoutes);
+router.use(archiveRoutes);
+router.use(storageRoutes);
+
 module.exports = router;
@@ -0,0 +1,101 @@
+/**
+ * Netflix Life Story - Archive Routes
+ * Exporting a series as a zip (manifest plus files) and importing one back as a new
+ * series, for backups, moving between environments and cloning (see services/seriesArchive.js)
+ */
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { exportSeries, openArchive, readManifest, restoreSeries } = require('../services/seriesArchive');
+const { processNewMedia } = require('../services/mediaPipeline');
+const { requireProfile } = require('./access');
+const { rejectFile, handleUploadErrors } = require('./uploadErrors');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+const ARCHIVE_MAX_SIZE = (parseInt(process.env.ARCHIVE_MAX_SIZE_MB) || 5120) * 1024 * 1024;
+
+// Archives are staged on local disk, since zip entries are found through the central directory at the end
+const uploadArchive = handleUploadErrors(multer({
+    dest: path.join(os.tmpdir(), 'life-story-archives'),
+    limits: { fileSize: ARCHIVE_MAX_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+            return cb(rejectFile(`${file.originalname} is not a .zip archive`));
+        }
+        cb(null, true);
+    }
+}).single('archive'), {
+    LIMIT_FILE_SIZE: `Archives can be at most ${ARCHIVE_MAX_SIZE / 1024 / 1024} MB`,
+    LIMIT_FILE_COUNT: 'Upload one archive at a time',
+    LIMIT_UNEXPECTED_FILE: "Upload one archive, in the 'archive' field"
+});
+
+// Helper: file name for a download, from the series title
+function archiveFilename(title) {
+    const slug = (title || 'series').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'series';
+    return `${slug}.zip`;
+}
+
+// GET /api/series/:seriesId/export - Download a series with all its files as a zip
+router.get('/series/:seriesId/export', async (req, res) => {
+    try {
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        res.attachment(archiveFilename(series.title));
+        res.type('application/zip');
+        await exportSeries(series, res);
+    } catch (error) {
+        console.error('Error exporting series:', error);
+        // Once the zip has started the status can't change; cut it short instead
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/import-archive - Create a new series from an exported zip ('archive' field)
+// Body: { title } to rename the copy
+router.post('/series/import-archive', requireProfile, uploadArchive, async (req, res) => {
+    let archive = null;
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No .zip archive uploaded' });
+        }
+
+        try {
+            archive = await openArchive(req.file.path);
+        } catch (error) {
+            return res.status(400).json({ error: `Not a valid zip archive: ${error.message}` });
+        }
+
+        const { manifest, error } = await readManifest(archive);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const series = await restoreSeries(archive, manifest, { owner: req.profileId, title: req.body.title });
+
+        for (const season of series.seasons) {
+            for (const episode of season.episodes) {
+                await processNewMedia(series, episode, episode.media);
+            }
+        }
+
+        res.status(201).json({ success: true, series, missingFiles: manifest.missingFiles || [] });
+    } catch (error) {
+        console.error('Error importing archive:', error);
+        res.status(500).json({ error: error.message });
+    } finally {
+        if (archive) archive.zip.close();
+        if (req.file) await fs.promises.rm(req.file.path, { force: true });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+/**
+ * Netflix Life Story - Arrange Routes
+ * Reordering seasons and episodes, moving episodes between seasons, and moving or copying
+ * media between episodes (also across series). Stored files are reused on a move and
+ * copied server-side on a copy; nothing is uploaded again.
+ */
+
+const express = require('express');
+const { findEpisode, findMedia, copyMediaAssets, deleteMediaAssets } = require('../services/seriesAssets');
+const { processNewMedia } = require('../services/mediaPipeline');
+const { findSeasonTarget, findEpisodeTarget } = require('./episodeRefs');
+const { checkSeriesAccess } = require('./access');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+// Helper: check ids are exactly the ids of the list, in some order
+function isPermutation(list, ids) {
+    if (!Array.isArray(ids) || ids.length !== list.length) return false;
+    const existing = new Set(list.map(item => item._id.toString()));
+    return new Set(ids.map(String)).size === ids.length && ids.every(id => existing.has(String(id)));
+}
+
+// Helper: list items in the given id order, as plain objects ready to be re-assigned
+function inOrder(list, ids) {
+    return ids.map(id => list.find(item => item._id.toString() === String(id)).toObject());
+}
+
+// Helper: clamp an optional insert position to the list, defaulting to the end
+function insertPosition(position, length) {
+    if (position === undefined || position === null) return length;
+    return Math.min(Math.max(parseInt(position) || 0, 0), length);
+}
+
+// PUT /api/series/:seriesId/seasons/reorder - Reorder seasons
+router.put('/series/:seriesId/seasons/reorder', async (req, res) => {
+    try {
+        const { seasonIds } = req.body;
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        if (!isPermutation(series.seasons, seasonIds)) {
+            return res.status(400).json({ error: 'seasonIds must list every season of the series exactly once' });
+        }
+
+        series.seasons = inOrder(series.seasons, seasonIds);
+        await series.save();
+
+        res.json({ success: true, series });
+    } catch (error) {
+        console.error('Error reordering seasons:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/series/:seriesId/seasons/:seasonId/episodes/reorder - Reorder episodes within a season
+router.put('/series/:seriesId/seasons/:seasonId/episodes/reorder', async (req, res) => {
+    try {
+        const { episodeIds } = req.body;
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const season = findSeasonTarget(res, series, req.params.seasonId);
+        if (!season) return;
+
+        if (!isPermutation(season.episodes, episodeIds)) {
+            return res.status(400).json({ error: 'episodeIds must list every episode of the season exactly once' });
+        }
+
+        season.episodes = inOrder(season.episodes, episodeIds);
+        await series.save();
+
+        res.json({ success: true, series });
+    } catch (error) {
+        console.error('Error reordering episodes:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/episodes/:episodeId/move - Move an episode to a position in any season of the series
+router.post('/series/:seriesId/episodes/:episodeId/move', async (req, res) => {
+    try {
+        const { seasonId, position } = req.body;
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const source = findEpisodeTarget(res, series, req.params);
+        if (!source) return;
+
+        const targetSeason = seasonId != null ? findSeasonTarget(res, series, seasonId) : source.season;
+        if (!targetSeason) return;
+
+        if (targetSeason !== source.season) {
+            if (targetSeason.episodes.length >= Series.MAX_EPISODES_PER_SEASON) {
+                return res.status(400).json({ error: `Maximum ${Series.MAX_EPISODES_PER_SEASON} episodes per season` });
+            }
+            if (source.season.episodes.length <= 1) {
+                return res.status(400).json({ error: 'Cannot move the last episode out of a season' });
+            }
+        }
+
+        const episode = source.episode.toObject();
+        source.season.episodes.splice(source.season.episodes.indexOf(source.episode), 1);
+        targetSeason.episodes.splice(insertPosition(position, targetSeason.episodes.length), 0, episode);
+        await series.save();
+
+        console.log(`[API] ✅ Moved episode "${episode.title}" to season "${targetSeason.title}"`);
+
+        res.json({ success: true, series });
+    } catch (error) {
+        console.error('Error moving episode:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Shared handler for moving and copying media items into another episode
+// Body: { mediaIds, targetEpisodeId, targetSeriesId (defaults to this series), position }
+async function transferMedia(req, res, mode) {
+    const { mediaIds, targetEpisodeId, targetSeriesId, position } = req.body;
+
+    if (!Array.isArray(mediaIds) || mediaIds.length === 0) {
+        return res.status(400).json({ error: 'No media specified' });
+    }
+
+    const series = await Series.findById(req.params.seriesId);
+    if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const crossSeries = targetSeriesId && String(targetSeriesId) !== series._id.toString();
+    if (crossSeries && !await checkSeriesAccess(res, targetSeriesId, req.profileId, 'edit')) return;
+    const targetSeries = crossSeries ? await Series.findById(targetSeriesId) : series;
+    if (!targetSeries) {
+        return res.status(404).json({ error: 'Target series not found' });
+    }
+
+    const target = findEpisode(targetSeries, targetEpisodeId);
+    if (!target) {
+        return res.status(404).json({ error: 'Target episode not found' });
+    }
+
+    // Collect the items with the episode each one currently sits in
+    const items = [];
+    for (const mediaId of new Set(mediaIds.map(String))) {
+        const found = findMedia(series, mediaId);
+        if (!found) {
+            return res.status(404).json({ error: `Media not found: ${mediaId}` });
+        }
+        items.push(found);
+    }
+
+    let added;
+    if (mode === 'copy') {
+        added = [];
+        for (const { media } of items) {
+            added.push(await copyMediaAssets(media));
+        }
+    } else {
+        added = items.map(({ media }) => {
+            const data = media.toObject();
+            // In-flight transcodes of media leaving the series can't report back; start them again
+            if (crossSeries && data.transcode && ['queued', 'processing'].includes(data.transcode.status)) {
+                delete data.transcode;
+            }
+            return data;
+        });
+        items.forEach(({ episode, media }) => episode.media.pull(media._id));
+    }
+
+    const insertAt = insertPosition(position, target.episode.media.length);
+    target.episode.media.splice(insertAt, 0, ...added);
+    const newMedia = target.episode.media.slice(insertAt, insertAt + added.length);
+
+    try {
+        await targetSeries.save();
+    } catch (error) {
+        // Copies nobody will reference
+        if (mode === 'copy') {
+            for (const media of newMedia) await deleteMediaAssets(media);
+        }
+        throw error;
+    }
+    if (crossSeries && mode === 'move') {
+        try {
+            await series.save();
+        } catch (error) {
+            // Don't leave the items in both series
+            newMedia.forEach(media => target.episode.media.pull(media._id));
+            await targetSeries.save();
+            throw error;
+        }
+    }
+
+    // Same-series moves keep their jobs (only a missing thumbnail is filled in);
+    // everything else is processed like a new upload
+    const toProcess = mode === 'copy' || crossSeries ? newMedia : [];
+    await processNewMedia(targetSeries, target.episode, toProcess);
+
+    console.log(`[API] ✅ ${mode === 'copy' ? 'Copied' : 'Moved'} ${newMedia.length} media item(s) to episode "${target.episode.title}"`);
+
+    res.json({ success: true, media: newMedia });
+}
+
+// POST /api/series/:seriesId/media/move - Move media items into another episode, possibly in another series
+router.post('/series/:seriesId/media/move', async (req, res) => {
+    try {
+        await transferMedia(req, res, 'move');
+    } catch (error) {
+        console.error('Error moving media:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/media/copy - Copy media items into another episode, possibly in another series
+router.post('/series/:seriesId/media/copy', async (req, res) => {
+    try {
+        await transferMedia(req, res, 'copy');
+    } catch (error) {
+        console.error('Error copying media:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Netflix Life Story - Browse Routes
+ * The home page as ready-made rows of series cards plus a featured hero
+ * (see services/browse.js), so the client doesn't have to load every series in full
+ */
+
+const express = require('express');
+const { ROW_LIMIT, MAX_ROW_LIMIT, loadRow, getBrowse } = require('../services/browse');
+
+const router = express.Router();
+
+// Helper: page size from the query, clamped to 1..MAX_ROW_LIMIT
+function parseLimit(value) {
+    return Math.min(Math.max(parseInt(value) || ROW_LIMIT, 1), MAX_ROW_LIMIT);
+}
+
+// GET /api/browse - Hero and the first page of each row for the active profile
+// Query: limit (items per row)
+router.get('/browse', async (req, res) => {
+    try {
+        const browse = await getBrowse(req.profileId, { limit: parseLimit(req.query.limit) });
+        res.json(browse);
+    } catch (error) {
+        console.error('Error building browse page:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/browse/rows/:rowId - Further pages of one row (e.g. recently-added, tag:holidays)
+// Query: offset (nextOffset from the previous page), limit
+router.get('/browse/rows/:rowId', async (req, res) => {
+    try {
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const row = await loadRow(req.params.rowId, req.profileId, { offset, limit: parseLimit(req.query.limit) });
+        if (!row) {
+            return res.status(404).json({ error: 'Row not found' });
+        }
+        res.json(row);
+    } catch (error) {
+        console.error('Error loading browse row:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
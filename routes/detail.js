@@ -0,0 +1,102 @@
+/**
+ * Netflix Life Story - Season and Episode Detail Routes
+ * A single season or episode without loading the rest of the series: seasons come with
+ * per-episode media counts, episodes with one page of their media.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+const DEFAULT_MEDIA_LIMIT = 50;
+const MAX_MEDIA_LIMIT = 200;
+
+// GET /api/series/:seriesId/seasons/:seasonId - One season, its episodes without media (mediaCount instead)
+router.get('/series/:seriesId/seasons/:seasonId', async (req, res) => {
+    try {
+        const { seriesId, seasonId } = req.params;
+        if (!mongoose.isValidObjectId(seriesId) || !mongoose.isValidObjectId(seasonId)) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+
+        const [result] = await Series.aggregate([
+            { $match: { _id: new mongoose.Types.ObjectId(seriesId) } },
+            { $unwind: { path: '$seasons', includeArrayIndex: 'seasonIndex' } },
+            { $match: { 'seasons._id': new mongoose.Types.ObjectId(seasonId) } },
+            {
+                $set: {
+                    'seasons.episodes': {
+                        $map: {
+                            input: '$seasons.episodes',
+                            as: 'episode',
+                            in: { $mergeObjects: ['$$episode', { mediaCount: { $size: '$$episode.media' } }] }
+                        }
+                    }
+                }
+            },
+            { $project: { _id: 0, season: '$seasons', seasonIndex: 1, seriesTitle: '$title' } },
+            { $project: { 'season.episodes.media': 0 } }
+        ]);
+        if (!result) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+
+        res.json({ ...result.season, seriesId, seriesTitle: result.seriesTitle, seasonIndex: result.seasonIndex });
+    } catch (error) {
+        console.error('Error getting season:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/series/:seriesId/episodes/:episodeId - One episode with a page of its media
+// Query: offset, limit (media items, in episode order)
+router.get('/series/:seriesId/episodes/:episodeId', async (req, res) => {
+    try {
+        const { seriesId, episodeId } = req.params;
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_MEDIA_LIMIT, 1), MAX_MEDIA_LIMIT);
+
+        if (!mongoose.isValidObjectId(seriesId) || !mongoose.isValidObjectId(episodeId)) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        const [result] = await Series.aggregate([
+            { $match: { _id: new mongoose.Types.ObjectId(seriesId) } },
+            { $unwind: '$seasons' },
+            { $unwind: { path: '$seasons.episodes', includeArrayIndex: 'episodeIndex' } },
+            { $match: { 'seasons.episodes._id': new mongoose.Types.ObjectId(episodeId) } },
+            {
+                $project: {
+                    _id: 0,
+                    seasonId: '$seasons._id',
+                    seasonTitle: '$seasons.title',
+                    episodeIndex: 1,
+                    mediaTotal: { $size: '$seasons.episodes.media' },
+                    episode: {
+                        $mergeObjects: ['$seasons.episodes', { media: { $slice: ['$seasons.episodes.media', offset, limit] } }]
+                    }
+                }
+            }
+        ]);
+        if (!result) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        res.json({
+            ...result.episode,
+            seriesId,
+            seasonId: result.seasonId,
+            seasonTitle: result.seasonTitle,
+            episodeIndex: result.episodeIndex,
+            mediaTotal: result.mediaTotal,
+            nextOffset: offset + limit < result.mediaTotal ? offset + limit : null
+        });
+    } catch (error) {
+        console.error('Error getting episode:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+/**
+ * Netflix Life Story - Direct Upload Routes
+ * Issues presigned URLs so the browser uploads straight to storage, then confirms
+ * the stored objects and attaches them the same way the multer upload routes do.
+ * Only keys issued by presign for the same series and slot can be confirmed, each once.
+ */
+
+const express = require('express');
+const { PRESIGNED_URL_TTL, generateKey, getUploadUrl, headObject, deleteFromS3 } = require('../config/s3');
+const { UPLOAD_RULES, validateUpload } = require('../config/uploads');
+const { attachUploads } = require('../services/seriesAssets');
+const { processUploads } = require('../services/mediaPipeline');
+const { findEpisodeTarget } = require('./episodeRefs');
+const DirectUpload = require('../models/DirectUpload');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+// How long after its upload URL expires an upload can still be confirmed
+const CONFIRM_WINDOW = 60 * 60 * 1000;
+
+// Helper: check slot name and file count, returning an error message if invalid
+function validateRequest(slot, files) {
+    if (!UPLOAD_RULES[slot]) {
+        return `Invalid upload slot. Use one of: ${Object.keys(UPLOAD_RULES).join(', ')}`;
+    }
+    if (!Array.isArray(files) || files.length === 0) {
+        return 'No files specified';
+    }
+    if (files.length > UPLOAD_RULES[slot].maxFiles) {
+        return `Maximum ${UPLOAD_RULES[slot].maxFiles} file(s) allowed for ${slot}`;
+    }
+    return null;
+}
+
+// Helper: load the series and, for episode slots, the target episode
+// ({ episodeId } or the deprecated { seasonIndex, episodeIndex })
+async function findTarget(res, seriesId, slot, refs) {
+    const series = await Series.findById(seriesId);
+    if (!series) {
+        res.status(404).json({ error: 'Series not found' });
+        return null;
+    }
+
+    if (slot === 'seriesThumbnail') return { series, episode: null };
+
+    const target = findEpisodeTarget(res, series, refs);
+    if (!target) return null;
+    return { series, episode: target.episode };
+}
+
+// POST /api/series/:seriesId/uploads/presign - Get upload URLs for a thumbnail, media or music slot
+router.post('/series/:seriesId/uploads/presign', async (req, res) => {
+    try {
+        const { slot, files } = req.body;
+
+        const requestError = validateRequest(slot, files);
+        if (requestError) {
+            return res.status(400).json({ error: requestError });
+        }
+
+        for (const file of files) {
+            const fileError = validateUpload(slot, file);
+            if (fileError) {
+                return res.status(400).json({ error: fileError });
+            }
+        }
+
+        const target = await findTarget(res, req.params.seriesId, slot, req.body);
+        if (!target) return;
+
+        const uploads = await Promise.all(files.map(async (file) => {
+            const key = generateKey(UPLOAD_RULES[slot].folder, file.name);
+            const upload = await getUploadUrl(key, { contentType: file.contentType, size: file.size });
+            return { name: file.name, key, ...upload };
+        }));
+
+        const expiresAt = new Date(Date.now() + PRESIGNED_URL_TTL * 1000 + CONFIRM_WINDOW);
+        await DirectUpload.insertMany(uploads.map(upload => ({
+            series: target.series._id,
+            episode: target.episode ? target.episode._id : null,
+            slot,
+            key: upload.key,
+            name: upload.name,
+            expiresAt
+        })));
+
+        console.log(`[API] 🔑 Issued ${uploads.length} direct upload URL(s) for ${slot}`);
+
+        res.json({ success: true, uploads });
+    } catch (error) {
+        console.error('Error presigning upload:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/uploads/confirm - Validate uploaded objects and attach them to the slot
+router.post('/series/:seriesId/uploads/confirm', async (req, res) => {
+    try {
+        const { slot, files } = req.body;
+
+        const requestError = validateRequest(slot, files);
+        if (requestError) {
+            return res.status(400).json({ error: requestError });
+        }
+
+        const target = await findTarget(res, req.params.seriesId, slot, req.body);
+        if (!target) return;
+        const { series, episode } = target;
+
+        // Check every key was issued for this slot, made it to storage and matches what the slot accepts
+        const accepted = [];
+        const rejected = [];
+        for (const file of files) {
+            const issued = typeof file.key === 'string' && await DirectUpload.findOne({
+                key: file.key,
+                series: series._id,
+                episode: episode ? episode._id : null,
+                slot,
+                status: 'issued',
+                expiresAt: { $gt: new Date() }
+            });
+            if (!issued) {
+                rejected.push({ key: file.key, error: 'Key was not issued for this upload slot, or was already confirmed' });
+                continue;
+            }
+
+            const head = await headObject(issued.key);
+            if (!head) {
+                rejected.push({ key: issued.key, error: 'Upload not found' });
+                continue;
+            }
+
+            // Claimed before anything is attached or deleted, so each key is used once
+            const claimed = await DirectUpload.findOneAndUpdate({ _id: issued._id, status: 'issued' }, { status: 'confirmed' });
+            if (!claimed) {
+                rejected.push({ key: issued.key, error: 'Upload was already confirmed' });
+                continue;
+            }
+
+            const fileError = validateUpload(slot, { name: issued.name, size: head.size, contentType: head.contentType });
+            if (fileError) {
+                await deleteFromS3(issued.key);
+                await DirectUpload.updateOne({ _id: issued._id }, { status: 'rejected' });
+                rejected.push({ key: issued.key, error: fileError });
+                continue;
+            }
+
+            accepted.push({ key: issued.key, originalName: issued.name, size: head.size });
+        }
+
+        if (accepted.length === 0) {
+            return res.status(400).json({ error: 'No valid uploads to confirm', rejected });
+        }
+
+        const result = await attachUploads(series, episode, slot, accepted);
+        await series.save();
+        await processUploads(series, episode, slot, result);
+
+        console.log(`[API] ✅ Confirmed ${accepted.length} direct upload(s) for ${slot}`);
+        rejected.forEach(r => console.log(`[API]    ⚠️  Rejected ${r.key}: ${r.error}`));
+
+        res.json({ success: true, ...result, rejected });
+    } catch (error) {
+        console.error('Error confirming upload:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
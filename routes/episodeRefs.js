@@ -0,0 +1,58 @@
+/**
+ * Netflix Life Story - Season and Episode References
+ * Route helpers for addressing seasons and episodes by id. Array indices shift when a season
+ * or episode is deleted, so they are still accepted during a deprecation window but flagged
+ * with a Deprecation header (and Sunset, once INDEX_ROUTES_SUNSET is set).
+ */
+
+const { isIndexRef, findSeason, resolveEpisode } = require('../services/seriesAssets');
+
+const REF_FIELDS = ['seasonId', 'episodeId', 'seasonIndex', 'episodeIndex'];
+
+// Flag the response if the request addresses a season or episode by array index
+function flagIndexRefs(res, refs) {
+    const usesIndex = REF_FIELDS.some(field => refs[field] != null && isIndexRef(refs[field]));
+    if (!usesIndex) return;
+
+    res.set('Deprecation', 'true');
+    if (process.env.INDEX_ROUTES_SUNSET) {
+        res.set('Sunset', new Date(process.env.INDEX_ROUTES_SUNSET).toUTCString());
+    }
+}
+
+// Helper: find the season a request addresses, responding with an error if there isn't one
+function findSeasonTarget(res, series, ref) {
+    flagIndexRefs(res, { seasonId: ref });
+    const season = findSeason(series, ref);
+    if (!season) {
+        if (isIndexRef(ref)) {
+            res.status(400).json({ error: 'Invalid season index' });
+        } else {
+            res.status(404).json({ error: 'Season not found' });
+        }
+        return null;
+    }
+    return season;
+}
+
+// Helper: find the episode a request addresses (see resolveEpisode), responding with an
+// error if there isn't one. Returns { season, episode } or null.
+function findEpisodeTarget(res, series, refs) {
+    flagIndexRefs(res, refs);
+    const found = resolveEpisode(series, refs);
+    if (!found) {
+        if (refs.episodeId != null && !isIndexRef(refs.episodeId)) {
+            res.status(404).json({ error: 'Episode not found' });
+        } else {
+            res.status(400).json({ error: 'Invalid season or episode index' });
+        }
+        return null;
+    }
+    return found;
+}
+
+module.exports = {
+    flagIndexRefs,
+    findSeasonTarget,
+    findEpisodeTarget
+};
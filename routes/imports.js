@@ -0,0 +1,244 @@
+/**
+ * Netflix Life Story - Bulk Import Routes
+ * Takes a dump of photos and videos, reads their capture dates and builds the seasons
+ * and episodes for them (see services/autoOrganize.js). With preview, only the proposed
+ * structure is returned and nothing is stored.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { UPLOAD_RULES, isAllowedFile, getMediaType } = require('../config/uploads');
+const { addEpisodeMedia } = require('../services/seriesAssets');
+const { storeFile, discardAsset } = require('../services/assetRegistry');
+const { extractMetadata } = require('../services/mediaMetadata');
+const { STRATEGIES, DEFAULT_GAP_HOURS, organizeByDate } = require('../services/autoOrganize');
+const { processNewMedia } = require('../services/mediaPipeline');
+const { requireProfile } = require('./access');
+const { rejectFile, handleUploadErrors } = require('./uploadErrors');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+const IMPORT_MAX_FILES = parseInt(process.env.IMPORT_MAX_FILES) || 500;
+const IMPORT_TEMP_DIR = path.join(os.tmpdir(), 'life-story-imports');
+
+// Files are staged on local disk so capture dates can be read before anything is stored.
+// Files of other types fail the whole upload, as lastModified is matched to files by position.
+const uploadImport = handleUploadErrors(multer({
+    dest: IMPORT_TEMP_DIR,
+    limits: { fileSize: UPLOAD_RULES.media.maxSize },
+    fileFilter: (req, file, cb) => {
+        if (!isAllowedFile('media', file.originalname)) {
+            return cb(rejectFile(`${file.originalname} is not a supported photo or video. ` +
+                `Allowed: ${UPLOAD_RULES.media.extensions.join(', ')}`));
+        }
+        cb(null, true);
+    }
+}).array('media', IMPORT_MAX_FILES), {
+    LIMIT_FILE_SIZE: `Files can be at most ${UPLOAD_RULES.media.maxSize / 1024 / 1024} MB`,
+    LIMIT_UNEXPECTED_FILE: `Upload at most ${IMPORT_MAX_FILES} files, in the 'media' field`
+});
+
+// Helper: read the grouping options from the multipart fields
+function parseOptions(body) {
+    const strategy = body.strategy || 'year-month';
+    if (!STRATEGIES.includes(strategy)) {
+        return { error: `Invalid strategy. Use one of: ${STRATEGIES.join(', ')}` };
+    }
+    const gapHours = body.gapHours !== undefined ? parseFloat(body.gapHours) : DEFAULT_GAP_HOURS;
+    if (!(gapHours > 0)) {
+        return { error: 'gapHours must be a positive number' };
+    }
+
+    // Optional fallback dates (e.g. File.lastModified from the browser), in file order
+    let lastModified = [];
+    if (body.lastModified) {
+        try {
+            lastModified = JSON.parse(body.lastModified);
+        } catch (error) {
+            return { error: 'lastModified must be a JSON array of timestamps' };
+        }
+        if (!Array.isArray(lastModified)) {
+            return { error: 'lastModified must be a JSON array of timestamps' };
+        }
+    }
+
+    return {
+        strategy,
+        gapHours,
+        lastModified,
+        preview: body.preview === 'true' || body.preview === true
+    };
+}
+
+// Helper: read capture metadata for each staged file, falling back to the client's date
+async function readFiles(files, lastModified) {
+    const items = [];
+    for (const [i, file] of files.entries()) {
+        let metadata = null;
+        try {
+            metadata = await extractMetadata(file.path, getMediaType(file.originalname));
+        } catch (error) {
+            // Unreadable files are still imported; the metadata job retries after upload
+            console.log(`[IMPORT] ⚠️  Could not read metadata for ${file.originalname}: ${error.message}`);
+        }
+
+        const fallback = lastModified[i] ? new Date(lastModified[i]) : null;
+        const takenAt = (metadata && metadata.takenAt) ||
+            (fallback && !isNaN(fallback.getTime()) ? fallback : null);
+        items.push({ file, metadata, takenAt });
+    }
+    return items;
+}
+
+// Helper: plan the structure for the remaining room in the series. Undated files get
+// their own "Undated" season, so one season slot is kept for them.
+function planImport(items, options, existingSeasons) {
+    const room = Series.MAX_SEASONS - existingSeasons;
+    const hasUndated = items.some(item => !item.takenAt);
+    const { seasons, undated } = organizeByDate(items, {
+        ...options,
+        maxSeasons: hasUndated ? room - 1 : room,
+        maxEpisodesPerSeason: Series.MAX_EPISODES_PER_SEASON
+    });
+
+    if (undated.length > 0) {
+        seasons.push({ title: 'Undated', episodes: [{ title: 'Undated', items: undated }] });
+    }
+    return seasons;
+}
+
+// Helper: proposed structure returned by preview and alongside the saved series
+function serializePlan(seasons) {
+    return seasons.map(season => ({
+        title: season.title,
+        start: season.start || null,
+        end: season.end || null,
+        episodes: season.episodes.map(episode => ({
+            title: episode.title,
+            start: episode.start || null,
+            end: episode.end || null,
+            files: episode.items.map(item => ({
+                name: item.file.originalname,
+                takenAt: item.takenAt
+            }))
+        }))
+    }));
+}
+
+// Helper: upload the staged files and append the planned seasons to the series,
+// recording each stored key in `stored` so a failed import can be cleaned up.
+// Files whose content is already stored aren't uploaded again.
+async function buildSeasons(series, seasons, stored) {
+    for (const plannedSeason of seasons) {
+        series.seasons.push({ title: plannedSeason.title, episodes: [] });
+        const season = series.seasons[series.seasons.length - 1];
+
+        for (const plannedEpisode of plannedSeason.episodes) {
+            season.episodes.push({
+                title: plannedEpisode.title,
+                thumbnail: null,
+                description: '',
+                music: null,
+                musicOriginalName: null,
+                media: []
+            });
+            const episode = season.episodes[season.episodes.length - 1];
+
+            const uploads = [];
+            for (const item of plannedEpisode.items) {
+                const { key, contentHash } = await storeFile(
+                    UPLOAD_RULES.media.folder, item.file.path, item.file.originalname, item.file.mimetype
+                );
+                uploads.push({ key, originalName: item.file.originalname, contentHash });
+                stored.push(key);
+            }
+
+            const media = addEpisodeMedia(episode, uploads);
+            media.forEach((m, i) => {
+                if (plannedEpisode.items[i].metadata) m.metadata = plannedEpisode.items[i].metadata;
+            });
+        }
+    }
+}
+
+// Shared handler for importing into a new or an existing series
+async function handleImport(req, res, seriesId) {
+    const files = req.files || [];
+    try {
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        const options = parseOptions(req.body);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        let series;
+        if (seriesId) {
+            series = await Series.findById(seriesId);
+            if (!series) {
+                return res.status(404).json({ error: 'Series not found' });
+            }
+        } else {
+            series = new Series({
+                title: req.body.title || 'My Story',
+                description: req.body.description || '',
+                thumbnail: null,
+                seasons: [],
+                owner: req.profileId
+            });
+        }
+
+        const items = await readFiles(files, options.lastModified);
+        const seasonsNeeded = (items.some(item => item.takenAt) ? 1 : 0) + (items.some(item => !item.takenAt) ? 1 : 0);
+        if (series.seasons.length + seasonsNeeded > Series.MAX_SEASONS) {
+            return res.status(400).json({ error: `Maximum ${Series.MAX_SEASONS} seasons allowed` });
+        }
+
+        const seasons = planImport(items, options, series.seasons.length);
+        const plan = serializePlan(seasons);
+
+        if (options.preview) {
+            return res.json({ success: true, preview: true, strategy: options.strategy, seasons: plan });
+        }
+
+        const firstNewSeason = series.seasons.length;
+        const stored = [];
+        try {
+            await buildSeasons(series, seasons, stored);
+            await series.save();
+        } catch (error) {
+            // Don't leave orphaned objects behind when the import fails part way
+            for (const key of stored) await discardAsset(key).catch(() => {});
+            throw error;
+        }
+
+        for (const season of series.seasons.slice(firstNewSeason)) {
+            for (const episode of season.episodes) {
+                await processNewMedia(series, episode, episode.media);
+            }
+        }
+
+        console.log(`[IMPORT] ✅ Imported ${files.length} file(s) into ${seasons.length} season(s) of "${series.title}"`);
+
+        res.json({ success: true, strategy: options.strategy, seasons: plan, series });
+    } catch (error) {
+        console.error('Error importing media:', error);
+        res.status(500).json({ error: error.message });
+    } finally {
+        await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+    }
+}
+
+// POST /api/series/import - Create a new series from a bulk media upload
+router.post('/series/import', requireProfile, uploadImport, (req, res) => handleImport(req, res, null));
+
+// POST /api/series/:seriesId/import - Append seasons built from a bulk media upload
+router.post('/series/:seriesId/import', uploadImport, (req, res) => handleImport(req, res, req.params.seriesId));
+
+module.exports = router;
@@ -0,0 +1,105 @@
+/**
+ * Netflix Life Story - Job Routes
+ * Polling and retrying background jobs (transcoding, ...)
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { retryJob, getJobTypes } = require('../services/jobQueue');
+const { visibleSeriesFilter, hasAccess } = require('../services/seriesAccess');
+const { checkSeriesAccess } = require('./access');
+const Job = require('../models/Job');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+// Payloads hold the series id as an ObjectId or as a string
+function seriesIdValues(seriesIds) {
+    return seriesIds.flatMap(id => [String(id), new mongoose.Types.ObjectId(String(id))]);
+}
+
+// Helper: load the job in the URL, responding with an error unless the profile has the given
+// access to its series. Jobs of series the profile can't see are reported as not found.
+async function findJob(req, res, level) {
+    const job = mongoose.isValidObjectId(req.params.id) ? await Job.findById(req.params.id) : null;
+    const seriesId = job && job.payload && job.payload.seriesId;
+    const series = seriesId && mongoose.isValidObjectId(seriesId)
+        ? await Series.findById(seriesId).select('owner sharedWith visibility').lean()
+        : null;
+    if (!series || !hasAccess(series, req.profileId, 'view')) {
+        res.status(404).json({ error: 'Job not found' });
+        return null;
+    }
+    if (!hasAccess(series, req.profileId, level)) {
+        res.status(403).json({ error: `You need ${level} access to this series` });
+        return null;
+    }
+    return job;
+}
+
+// GET /api/jobs - List recent jobs of the series the profile can see, optionally filtered by status, type or series
+router.get('/jobs', async (req, res) => {
+    try {
+        const { status, type, seriesId } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        if (status !== undefined && !Job.JOB_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Use one of: ${Job.JOB_STATUSES.join(', ')}` });
+        }
+        if (type !== undefined && !getJobTypes().includes(type)) {
+            return res.status(400).json({ error: `Invalid type. Use one of: ${getJobTypes().join(', ')}` });
+        }
+        if (seriesId !== undefined && !mongoose.isValidObjectId(seriesId)) {
+            return res.status(400).json({ error: 'seriesId must be a valid id' });
+        }
+
+        let seriesIds;
+        if (seriesId) {
+            if (!await checkSeriesAccess(res, seriesId, req.profileId, 'view')) return;
+            seriesIds = [seriesId];
+        } else {
+            seriesIds = await Series.find(visibleSeriesFilter(req.profileId)).distinct('_id');
+        }
+
+        const filter = { 'payload.seriesId': { $in: seriesIdValues(seriesIds) } };
+        if (status) filter.status = status;
+        if (type) filter.type = type;
+
+        const jobs = await Job.find(filter).sort({ createdAt: -1 }).limit(limit);
+        res.json(jobs);
+    } catch (error) {
+        console.error('Error getting jobs:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/jobs/:id - Get a single job (status, progress, result or error)
+router.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await findJob(req, res, 'view');
+        if (!job) return;
+        res.json(job);
+    } catch (error) {
+        console.error('Error getting job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/jobs/:id/retry - Re-queue a failed job
+router.post('/jobs/:id/retry', async (req, res) => {
+    try {
+        const job = await findJob(req, res, 'edit');
+        if (!job) return;
+        if (job.status !== 'failed') {
+            return res.status(409).json({ error: `Only failed jobs can be retried (job is ${job.status})` });
+        }
+
+        await retryJob(job);
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Error retrying job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
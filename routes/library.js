@@ -0,0 +1,193 @@
+/**
+ * Netflix Life Story - Library Routes
+ * Each profile's "My List" of series, and thumbs up/down ratings on series and episodes
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { RATING_VALUES, ratingName, getMyList, addToMyList, setRating, countRatings } = require('../services/library');
+const { findEpisodeTarget } = require('./episodeRefs');
+const { requireProfile, checkSeriesAccess } = require('./access');
+const Profile = require('../models/Profile');
+const Rating = require('../models/Rating');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+// Helper: load the profile named in the path, responding with 404 if it doesn't exist
+async function findProfile(res, profileId) {
+    const profile = mongoose.isValidObjectId(profileId) ? await Profile.findById(profileId) : null;
+    if (!profile) {
+        res.status(404).json({ error: 'Profile not found' });
+        return null;
+    }
+    return profile;
+}
+
+// Helper: read { rating: 'up' | 'down' | null } from the body, responding with 400 if invalid
+function parseRating(res, body) {
+    const { rating } = body;
+    if (rating !== null && !Object.prototype.hasOwnProperty.call(RATING_VALUES, rating)) {
+        res.status(400).json({ error: `rating must be one of: ${Object.keys(RATING_VALUES).join(', ')}, or null` });
+        return undefined;
+    }
+    return rating;
+}
+
+// GET /api/profiles/:profileId/my-list - A profile's list, in order
+router.get('/profiles/:profileId/my-list', async (req, res) => {
+    try {
+        const profile = await findProfile(res, req.params.profileId);
+        if (!profile) return;
+
+        res.json(await getMyList(profile));
+    } catch (error) {
+        console.error('Error getting my list:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/profiles/:profileId/my-list - Add a series to a profile's list
+// Body: { seriesId, position (defaults to the end) }
+router.post('/profiles/:profileId/my-list', async (req, res) => {
+    try {
+        const { seriesId, position } = req.body;
+
+        const profile = await findProfile(res, req.params.profileId);
+        if (!profile) return;
+
+        if (!mongoose.isValidObjectId(seriesId)) {
+            return res.status(400).json({ error: 'seriesId is required' });
+        }
+        if (!await checkSeriesAccess(res, seriesId, profile._id, 'view')) return;
+
+        const added = await addToMyList(profile._id, seriesId, position);
+
+        res.status(added ? 201 : 200).json({ success: true, added });
+    } catch (error) {
+        console.error('Error adding to my list:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/profiles/:profileId/my-list - Reorder a profile's list
+// Body: { seriesIds } listing every series in the list exactly once
+router.put('/profiles/:profileId/my-list', async (req, res) => {
+    try {
+        const { seriesIds } = req.body;
+
+        const profile = await findProfile(res, req.params.profileId);
+        if (!profile) return;
+
+        const entries = new Map(profile.myList.map(entry => [entry.series.toString(), entry]));
+        if (!Array.isArray(seriesIds) || seriesIds.length !== entries.size ||
+            new Set(seriesIds.map(String)).size !== seriesIds.length ||
+            !seriesIds.every(id => entries.has(String(id)))) {
+            return res.status(400).json({ error: 'seriesIds must list every series in the list exactly once' });
+        }
+
+        profile.myList = seriesIds.map(id => entries.get(String(id)).toObject());
+        await profile.save();
+
+        res.json({ success: true, myList: profile.myList });
+    } catch (error) {
+        console.error('Error reordering my list:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/profiles/:profileId/my-list/:seriesId - Remove a series from a profile's list
+router.delete('/profiles/:profileId/my-list/:seriesId', async (req, res) => {
+    try {
+        const profile = await findProfile(res, req.params.profileId);
+        if (!profile) return;
+
+        const result = await Profile.updateOne(
+            { _id: profile._id },
+            { $pull: { myList: { series: req.params.seriesId } } }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ error: 'Series is not in the list' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing from my list:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/series/:seriesId/rating - Rate a series ({ rating: 'up' | 'down' | null to clear })
+router.put('/series/:seriesId/rating', requireProfile, async (req, res) => {
+    try {
+        const rating = parseRating(res, req.body);
+        if (rating === undefined) return;
+
+        if (!await Series.exists({ _id: req.params.seriesId })) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        await setRating(req.profileId, req.params.seriesId, null, rating);
+        res.json({ success: true, rating });
+    } catch (error) {
+        console.error('Error rating series:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/series/:seriesId/episodes/:episodeId/rating - Rate an episode ({ rating: 'up' | 'down' | null to clear })
+router.put('/series/:seriesId/episodes/:episodeId/rating', requireProfile, async (req, res) => {
+    try {
+        const rating = parseRating(res, req.body);
+        if (rating === undefined) return;
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+
+        await setRating(req.profileId, series._id, target.episode._id, rating);
+        res.json({ success: true, rating });
+    } catch (error) {
+        console.error('Error rating episode:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/series/:seriesId/ratings - Rating counts for a series and each of its episodes,
+// with the active profile's own ratings when X-Profile-Id is sent
+router.get('/series/:seriesId/ratings', async (req, res) => {
+    try {
+        const series = await Series.findById(req.params.seriesId).select('_id').lean();
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const seriesCounts = await countRatings([series._id]);
+        const episodeCounts = await countRatings([series._id], { episodes: true });
+
+        const result = {
+            ratings: seriesCounts.get(series._id.toString()) || { up: 0, down: 0 },
+            episodes: Object.fromEntries(episodeCounts)
+        };
+
+        if (req.profileId) {
+            const mine = await Rating.find({ profile: req.profileId, series: series._id }).lean();
+            const own = mine.find(r => !r.episode);
+            result.myRating = own ? ratingName(own.value) : null;
+            result.myEpisodeRatings = Object.fromEntries(
+                mine.filter(r => r.episode).map(r => [r.episode.toString(), ratingName(r.value)])
+            );
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error getting ratings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+/**
+ * Netflix Life Story - Media Routes
+ * Querying and sorting media by the metadata extracted from the files, and finding duplicates
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { findDuplicateMedia } = require('../services/assetRegistry');
+const { findEpisodeTarget } = require('./episodeRefs');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+// Sortable fields, by query name
+const SORT_FIELDS = {
+    takenAt: 'metadata.takenAt',
+    duration: 'metadata.duration',
+    size: 'metadata.size',
+    width: 'metadata.width',
+    height: 'metadata.height',
+    name: 'originalName'
+};
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper: read a dotted path from a subdocument
+function getField(media, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), media);
+}
+
+// GET /api/series/:seriesId/media - List a series' media with filters and sorting
+// Query: type, orientation, from, to (takenAt range), hasLocation, tag, person, sort (takenAt|duration|size|width|height|name), order (asc|desc), limit
+router.get('/series/:seriesId/media', async (req, res) => {
+    try {
+        const { type, orientation, from, to, hasLocation, tag, person, sort, order } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 500, 2000);
+
+        if (!mongoose.isValidObjectId(req.params.seriesId) || !await Series.exists({ _id: req.params.seriesId })) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+        if (sort && !SORT_FIELDS[sort]) {
+            return res.status(400).json({ error: `Invalid sort. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}` });
+        }
+        if (type && !Series.MEDIA_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Invalid type. Use one of: ${Series.MEDIA_TYPES.join(', ')}` });
+        }
+        if (orientation && !Series.ORIENTATIONS.includes(orientation)) {
+            return res.status(400).json({ error: `Invalid orientation. Use one of: ${Series.ORIENTATIONS.join(', ')}` });
+        }
+        const fromDate = from ? new Date(String(from)) : null;
+        const toDate = to ? new Date(String(to)) : null;
+        if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+            return res.status(400).json({ error: 'from and to must be valid dates' });
+        }
+
+        const filter = {};
+        if (type) filter.type = type;
+        if (orientation) filter['metadata.orientation'] = orientation;
+        if (fromDate || toDate) {
+            filter['metadata.takenAt'] = {};
+            if (fromDate) filter['metadata.takenAt'].$gte = fromDate;
+            if (toDate) filter['metadata.takenAt'].$lte = toDate;
+        }
+        if (hasLocation !== undefined) filter['metadata.gps.latitude'] = { $exists: hasLocation === 'true' };
+        if (tag) filter.tags = String(tag).trim().toLowerCase();
+        if (person) filter['people.name'] = new RegExp(`^${escapeRegExp(String(person).trim())}$`, 'i');
+
+        // Default order is the order media appears in the series
+        const direction = order === 'desc' ? -1 : 1;
+        const sortStages = sort
+            ? [
+                // Items without the field go last whichever the direction
+                { $addFields: { hasSortValue: { $cond: [{ $ifNull: [`$${SORT_FIELDS[sort]}`, false] }, 1, 0] } } },
+                { $sort: { hasSortValue: -1, [SORT_FIELDS[sort]]: direction, seasonIndex: 1, episodeIndex: 1, mediaIndex: 1 } },
+                { $project: { hasSortValue: 0 } }
+            ]
+            : [{ $sort: { seasonIndex: direction, episodeIndex: direction, mediaIndex: direction } }];
+
+        const media = await Series.aggregate([
+            { $match: { _id: new mongoose.Types.ObjectId(req.params.seriesId) } },
+            { $unwind: { path: '$seasons', includeArrayIndex: 'seasonIndex' } },
+            { $unwind: { path: '$seasons.episodes', includeArrayIndex: 'episodeIndex' } },
+            { $unwind: { path: '$seasons.episodes.media', includeArrayIndex: 'mediaIndex' } },
+            {
+                $replaceRoot: {
+                    newRoot: {
+                        $mergeObjects: ['$seasons.episodes.media', {
+                            seasonId: '$seasons._id',
+                            episodeId: '$seasons.episodes._id',
+                            seasonIndex: '$seasonIndex',
+                            episodeIndex: '$episodeIndex',
+                            mediaIndex: '$mediaIndex'
+                        }]
+                    }
+                }
+            },
+            { $match: filter },
+            ...sortStages,
+            { $limit: limit }
+        ]);
+
+        res.json(media);
+    } catch (error) {
+        console.error('Error listing media:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/series/:seriesId/episodes/:episodeId/sort - Reorder an episode's media by a metadata field
+// (/sort/:seasonIndex/:episodeIndex is deprecated)
+router.put([
+    '/series/:seriesId/episodes/:episodeId/sort',
+    '/series/:seriesId/sort/:seasonIndex/:episodeIndex'
+], async (req, res) => {
+    try {
+        const { by = 'takenAt', order = 'asc' } = req.body;
+
+        if (!SORT_FIELDS[by]) {
+            return res.status(400).json({ error: `Invalid sort. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}` });
+        }
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+        const { episode } = target;
+
+        // Stable sort; items without the field keep their relative order at the end
+        const direction = order === 'desc' ? -1 : 1;
+        const field = SORT_FIELDS[by];
+        episode.media = [...episode.media].sort((a, b) => {
+            const va = getField(a, field);
+            const vb = getField(b, field);
+            if (va == null || vb == null) return (va == null) - (vb == null);
+            if (va < vb) return -direction;
+            if (va > vb) return direction;
+            return 0;
+        });
+        await series.save();
+
+        res.json({ success: true, media: episode.media });
+    } catch (error) {
+        console.error('Error sorting media:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/series/:seriesId/media/duplicates - Media with the same content, grouped, for cleaning up
+router.get('/series/:seriesId/media/duplicates', async (req, res) => {
+    try {
+        const series = await Series.findById(req.params.seriesId).select('seasons');
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const groups = findDuplicateMedia(series);
+        res.json({
+            groups,
+            // Items that could go while keeping one of each
+            duplicateCount: groups.reduce((total, group) => total + group.count - 1, 0)
+        });
+    } catch (error) {
+        console.error('Error finding duplicate media:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
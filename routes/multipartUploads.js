@@ -0,0 +1,277 @@
+/**
+ * Netflix Life Story - Multipart Upload Routes
+ * Resumable uploads for large files: the client uploads parts straight to storage,
+ * can resume after a dropped connection, and completes the session to attach the file.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const {
+    generateKey,
+    headObject,
+    deleteFromS3,
+    createMultipartUpload,
+    getPartUploadUrl,
+    listParts,
+    completeMultipartUpload,
+    abortMultipartUpload
+} = require('../config/s3');
+const {
+    UPLOAD_RULES,
+    MULTIPART_PART_SIZE,
+    MULTIPART_MAX_PARTS,
+    MULTIPART_SESSION_TTL,
+    validateUpload
+} = require('../config/uploads');
+const { getEpisode, findEpisode, attachUploads } = require('../services/seriesAssets');
+const { processUploads } = require('../services/mediaPipeline');
+const { findEpisodeTarget } = require('./episodeRefs');
+const { checkSeriesAccess } = require('./access');
+const Series = require('../models/Series');
+const UploadSession = require('../models/UploadSession');
+
+const router = express.Router();
+
+// Helper: size of a given part (the last one holds the remainder)
+function getPartSize(session, partNumber) {
+    if (partNumber < session.partCount) return session.partSize;
+    return session.size - session.partSize * (session.partCount - 1);
+}
+
+// Helper: session fields returned to the client
+function serializeSession(session) {
+    return {
+        id: session._id,
+        slot: session.slot,
+        seriesId: session.series,
+        episodeId: session.episode,
+        seasonIndex: session.seasonIndex,
+        episodeIndex: session.episodeIndex,
+        key: session.key,
+        originalName: session.originalName,
+        contentType: session.contentType,
+        size: session.size,
+        partSize: session.partSize,
+        partCount: session.partCount,
+        status: session.status,
+        expiresAt: new Date(session.lastActivityAt.getTime() + MULTIPART_SESSION_TTL)
+    };
+}
+
+// Helper: load a session the active profile may edit, responding with an error if not
+async function findSession(req, res) {
+    const session = mongoose.isValidObjectId(req.params.sessionId)
+        ? await UploadSession.findById(req.params.sessionId)
+        : null;
+    if (!session) {
+        res.status(404).json({ error: 'Upload session not found' });
+        return null;
+    }
+    if (!await checkSeriesAccess(res, session.series, req.profileId, 'edit')) return null;
+    return session;
+}
+
+// Helper: load an active session, responding with an error if it can't be used
+async function findActiveSession(req, res) {
+    const session = await findSession(req, res);
+    if (!session) return null;
+    if (session.status !== 'active') {
+        res.status(409).json({ error: `Upload session is ${session.status}` });
+        return null;
+    }
+    return session;
+}
+
+// POST /api/series/:seriesId/uploads/multipart - Start a resumable upload into a slot
+router.post('/series/:seriesId/uploads/multipart', async (req, res) => {
+    try {
+        const { slot = 'media', name, size, contentType } = req.body;
+
+        if (!UPLOAD_RULES[slot]) {
+            return res.status(400).json({ error: `Invalid upload slot. Use one of: ${Object.keys(UPLOAD_RULES).join(', ')}` });
+        }
+
+        const fileError = validateUpload(slot, { name, size, contentType });
+        if (fileError) {
+            return res.status(400).json({ error: fileError });
+        }
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        // Sessions are tied to the episode id, so deleting an earlier episode can't redirect the upload
+        let target = null;
+        if (slot !== 'seriesThumbnail') {
+            target = findEpisodeTarget(res, series, req.body);
+            if (!target) return;
+        }
+
+        const partSize = Math.max(MULTIPART_PART_SIZE, Math.ceil(size / MULTIPART_MAX_PARTS));
+        const key = generateKey(UPLOAD_RULES[slot].folder, name);
+        const uploadId = await createMultipartUpload(key, contentType);
+
+        const session = await UploadSession.create({
+            series: series._id,
+            episode: target ? target.episode._id : null,
+            seasonIndex: target ? series.seasons.indexOf(target.season) : null,
+            episodeIndex: target ? target.season.episodes.indexOf(target.episode) : null,
+            slot,
+            key,
+            uploadId,
+            originalName: name,
+            contentType,
+            size,
+            partSize,
+            partCount: Math.ceil(size / partSize)
+        });
+
+        console.log(`[API] 📦 Multipart upload started: ${key} (${session.partCount} parts)`);
+
+        res.json({ success: true, session: serializeSession(session) });
+    } catch (error) {
+        console.error('Error starting multipart upload:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/uploads/multipart/:sessionId - Session status and the parts uploaded so far
+router.get('/uploads/multipart/:sessionId', async (req, res) => {
+    try {
+        const session = await findSession(req, res);
+        if (!session) return;
+
+        const parts = session.status === 'active' ? await listParts(session.key, session.uploadId) : [];
+        const uploaded = new Set(parts.map(p => p.partNumber));
+        const missingParts = session.status === 'active'
+            ? Array.from({ length: session.partCount }, (_, i) => i + 1).filter(n => !uploaded.has(n))
+            : [];
+
+        res.json({
+            session: serializeSession(session),
+            parts: parts.map(p => ({ partNumber: p.partNumber, size: p.size })),
+            missingParts
+        });
+    } catch (error) {
+        console.error('Error getting multipart upload:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/uploads/multipart/:sessionId/parts - Get upload URLs for the given part numbers
+router.post('/uploads/multipart/:sessionId/parts', async (req, res) => {
+    try {
+        const { partNumbers } = req.body;
+
+        const session = await findActiveSession(req, res);
+        if (!session) return;
+
+        if (!Array.isArray(partNumbers) || partNumbers.length === 0) {
+            return res.status(400).json({ error: 'No part numbers specified' });
+        }
+
+        const invalid = partNumbers.filter(n => !Number.isInteger(n) || n < 1 || n > session.partCount);
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: `Invalid part numbers: ${invalid.join(', ')}` });
+        }
+
+        const parts = await Promise.all(partNumbers.map(async (partNumber) => {
+            const size = getPartSize(session, partNumber);
+            const upload = await getPartUploadUrl(session.key, session.uploadId, partNumber, { size });
+            return { partNumber, size, ...upload };
+        }));
+
+        session.lastActivityAt = new Date();
+        await session.save();
+
+        res.json({ success: true, parts });
+    } catch (error) {
+        console.error('Error signing upload parts:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/uploads/multipart/:sessionId/complete - Assemble the parts and attach the file to its slot
+router.post('/uploads/multipart/:sessionId/complete', async (req, res) => {
+    try {
+        const session = await findActiveSession(req, res);
+        if (!session) return;
+
+        const parts = await listParts(session.key, session.uploadId);
+        const uploaded = new Map(parts.map(p => [p.partNumber, p]));
+        const missingParts = [];
+        for (let n = 1; n <= session.partCount; n++) {
+            const part = uploaded.get(n);
+            if (!part || part.size !== getPartSize(session, n)) missingParts.push(n);
+        }
+        if (missingParts.length > 0) {
+            return res.status(400).json({ error: 'Upload is incomplete', missingParts });
+        }
+
+        const series = await Series.findById(session.series);
+        let episode = null;
+        if (series && session.slot !== 'seriesThumbnail') {
+            episode = session.episode
+                ? (findEpisode(series, session.episode) || {}).episode
+                : getEpisode(series, session.seasonIndex, session.episodeIndex);
+        }
+        if (!series || (session.slot !== 'seriesThumbnail' && !episode)) {
+            await abortMultipartUpload(session.key, session.uploadId);
+            session.status = 'aborted';
+            await session.save();
+            return res.status(409).json({ error: 'The series or episode for this upload no longer exists' });
+        }
+
+        await completeMultipartUpload(session.key, session.uploadId, parts.filter(p => p.partNumber <= session.partCount));
+
+        // Same checks as a confirmed direct upload
+        const head = await headObject(session.key);
+        const fileError = head
+            ? validateUpload(session.slot, { name: session.originalName, size: head.size, contentType: head.contentType })
+            : 'Upload not found';
+        if (fileError) {
+            if (head) await deleteFromS3(session.key);
+            session.status = 'aborted';
+            await session.save();
+            return res.status(400).json({ error: fileError });
+        }
+
+        const result = await attachUploads(series, episode, session.slot, [{
+            key: session.key,
+            originalName: session.originalName,
+            size: head.size
+        }]);
+        await series.save();
+        await processUploads(series, episode, session.slot, result);
+
+        session.status = 'completed';
+        await session.save();
+
+        console.log(`[API] ✅ Multipart upload attached to ${session.slot}: ${session.key}`);
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error completing multipart upload:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/uploads/multipart/:sessionId - Abort an upload and discard its parts
+router.delete('/uploads/multipart/:sessionId', async (req, res) => {
+    try {
+        const session = await findActiveSession(req, res);
+        if (!session) return;
+
+        await abortMultipartUpload(session.key, session.uploadId);
+        session.status = 'aborted';
+        await session.save();
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error aborting multipart upload:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
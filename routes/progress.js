@@ -0,0 +1,105 @@
+/**
+ * Netflix Life Story - Watch Progress Routes
+ * Playback heartbeats, watched/unwatched marking and the "Continue Watching" row,
+ * all for the active profile (X-Profile-Id)
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { getContinueWatching, recordProgress, setWatched } = require('../services/watchProgress');
+const { findSeasonTarget, findEpisodeTarget } = require('./episodeRefs');
+const { requireProfile } = require('./access');
+const Profile = require('../models/Profile');
+const Series = require('../models/Series');
+const WatchProgress = require('../models/WatchProgress');
+
+const router = express.Router();
+
+// PUT /api/series/:seriesId/episodes/:episodeId/progress - Playback heartbeat
+// Body: { mediaIndex, position (seconds), duration, completed }
+router.put('/series/:seriesId/episodes/:episodeId/progress', requireProfile, async (req, res) => {
+    try {
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+
+        const progress = await recordProgress(req.profileId, series, target.episode, req.body);
+        res.json({ success: true, progress });
+    } catch (error) {
+        console.error('Error recording progress:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/series/:seriesId/progress - The active profile's progress on every episode of a series
+router.get('/series/:seriesId/progress', requireProfile, async (req, res) => {
+    try {
+        const progress = await WatchProgress.find({ profile: req.profileId, series: req.params.seriesId });
+        res.json(progress);
+    } catch (error) {
+        console.error('Error getting progress:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/watched - Mark a whole series watched or unwatched ({ watched: false })
+router.post('/series/:seriesId/watched', requireProfile, async (req, res) => {
+    try {
+        const watched = req.body.watched !== false;
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        await setWatched(req.profileId, series, series.seasons.flatMap(s => s.episodes), watched);
+        res.json({ success: true, watched });
+    } catch (error) {
+        console.error('Error marking series watched:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/seasons/:seasonId/watched - Mark a season watched or unwatched ({ watched: false })
+router.post('/series/:seriesId/seasons/:seasonId/watched', requireProfile, async (req, res) => {
+    try {
+        const watched = req.body.watched !== false;
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const season = findSeasonTarget(res, series, req.params.seasonId);
+        if (!season) return;
+
+        await setWatched(req.profileId, series, season.episodes, watched);
+        res.json({ success: true, watched });
+    } catch (error) {
+        console.error('Error marking season watched:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/profiles/:profileId/continue-watching - "Continue Watching" row for a profile
+router.get('/profiles/:profileId/continue-watching', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+        if (!mongoose.isValidObjectId(req.params.profileId) || !await Profile.exists({ _id: req.params.profileId })) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const rows = await getContinueWatching(req.params.profileId, limit);
+        res.json(rows);
+    } catch (error) {
+        console.error('Error getting continue watching:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
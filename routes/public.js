@@ -0,0 +1,76 @@
+/**
+ * Netflix Life Story - Public Routes
+ * Read-only endpoints for people without a profile. Mounted on its own, ahead of the
+ * API router, and answers every request under it, so none of the API routes can be
+ * reached through it.
+ */
+
+const express = require('express');
+const { linkStatus, attemptPasscode, getSharedContent, recordView } = require('../services/shareLinks');
+const ShareLink = require('../models/ShareLink');
+
+const router = express.Router();
+
+const STATUS_ERRORS = {
+    revoked: 'This link has been revoked',
+    expired: 'This link has expired',
+    locked: 'This link is locked after too many wrong passcodes',
+    exhausted: 'This link has reached its view limit'
+};
+
+// GET /api/public/share/:token - The series, season or episode behind a share link
+// Passcode-protected links need the X-Share-Passcode header, and lock after too many wrong ones
+router.get('/share/:token', async (req, res) => {
+    try {
+        const link = await ShareLink.findOne({ token: req.params.token });
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        const status = linkStatus(link);
+        if (status) {
+            return res.status(410).json({ error: STATUS_ERRORS[status], status });
+        }
+
+        if (link.passcodeHash) {
+            const passcode = req.get('X-Share-Passcode');
+            if (!passcode) {
+                return res.status(401).json({ error: 'Passcode required', passcodeRequired: true });
+            }
+            const result = await attemptPasscode(link, passcode);
+            if (result === 'locked') {
+                return res.status(410).json({ error: STATUS_ERRORS.locked, status: 'locked' });
+            }
+            if (result === 'wrong') {
+                return res.status(401).json({ error: 'Wrong passcode', passcodeRequired: true });
+            }
+        }
+
+        const content = await getSharedContent(link);
+        if (!content) {
+            return res.status(404).json({ error: 'The shared content no longer exists' });
+        }
+
+        // Counted last, so failed attempts don't use up views
+        const viewed = await recordView(link);
+        if (!viewed) {
+            return res.status(410).json({ error: STATUS_ERRORS.exhausted, status: 'exhausted' });
+        }
+
+        res.json({
+            ...content,
+            expiresAt: viewed.expiresAt || null,
+            viewsRemaining: viewed.maxViews ? viewed.maxViews - viewed.viewCount : null
+        });
+    } catch (error) {
+        console.error('Error resolving share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Anything else under /api/public ends here rather than falling through to the API
+router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+/**
+ * Netflix Life Story - Render Routes
+ * Rendering an episode, season or whole series into a slideshow video (see services/renderer.js).
+ * The finished video is stored as `render` on the episode, season or series.
+ */
+
+const express = require('express');
+const { parseRenderOptions, countClips, queueRender, MAX_CLIPS } = require('../services/renderer');
+const { findSeasonTarget, findEpisodeTarget } = require('./episodeRefs');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+// Helper: check the options and size of a render and queue it, responding either way
+async function startRender(req, res, series, target) {
+    let options;
+    try {
+        options = parseRenderOptions(req.body, target.scope);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const clips = countClips(series, target, options);
+    if (clips === 0) {
+        return res.status(400).json({ error: 'Nothing to render: no media' });
+    }
+    if (clips > MAX_CLIPS) {
+        return res.status(400).json({ error: `Too many clips to render (${clips}, maximum ${MAX_CLIPS})` });
+    }
+
+    const job = await queueRender(series._id, target, options);
+    res.status(202).json({ success: true, job, render: { status: 'queued', jobId: job._id, options } });
+}
+
+// POST /api/series/:seriesId/episodes/:episodeId/render - Render an episode into a video
+// Body: { imageDuration, transition, transitionDuration, kenBurns, titleCards, resolution, musicVolume } (all optional)
+router.post('/series/:seriesId/episodes/:episodeId/render', async (req, res) => {
+    try {
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const found = findEpisodeTarget(res, series, { episodeId: req.params.episodeId });
+        if (!found) return;
+
+        await startRender(req, res, series, { scope: 'episode', episodeId: found.episode._id });
+    } catch (error) {
+        console.error('Error rendering episode:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/seasons/:seasonId/render - Render a season into one video, title cards between episodes
+// Body: as for episodes
+router.post('/series/:seriesId/seasons/:seasonId/render', async (req, res) => {
+    try {
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const season = findSeasonTarget(res, series, req.params.seasonId);
+        if (!season) return;
+
+        await startRender(req, res, series, { scope: 'season', seasonId: season._id });
+    } catch (error) {
+        console.error('Error rendering season:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/render - Render a whole series into one video, opening with its title
+// Body: as for episodes
+router.post('/series/:seriesId/render', async (req, res) => {
+    try {
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        await startRender(req, res, series, { scope: 'series' });
+    } catch (error) {
+        console.error('Error rendering series:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
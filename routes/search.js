@@ -0,0 +1,54 @@
+/**
+ * Netflix Life Story - Search Routes
+ * Text search over series, seasons, episodes and media (see services/search.js)
+ */
+
+const express = require('express');
+const { HIT_KINDS, search } = require('../services/search');
+
+const router = express.Router();
+
+// Helper: optional date from the query, undefined when absent and null when invalid
+function parseDate(value) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// GET /api/search - Search the series visible to the active profile
+// Query: q, kind (series|season|episode|media), type (image|video), from, to (capture date), offset, limit
+router.get('/search', async (req, res) => {
+    try {
+        const { q, kind, type } = req.query;
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        if (!q || !String(q).trim()) {
+            return res.status(400).json({ error: 'q is required' });
+        }
+        if (kind && !HIT_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Invalid kind. Use one of: ${HIT_KINDS.join(', ')}` });
+        }
+        if (type && !['image', 'video'].includes(type)) {
+            return res.status(400).json({ error: 'type must be image or video' });
+        }
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ error: 'from and to must be valid dates' });
+        }
+
+        const { total, results } = await search(req.profileId, q, { kind, type, from, to, offset, limit });
+        res.json({
+            query: q,
+            total,
+            results,
+            nextOffset: offset + limit < total ? offset + limit : null
+        });
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
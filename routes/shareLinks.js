@@ -0,0 +1,161 @@
+/**
+ * Netflix Life Story - Share Link Routes
+ * Creating, listing, changing and revoking public links to a series, season or episode.
+ * Managing links needs manage access (routes/access.js); the links themselves are
+ * resolved by routes/public.js.
+ */
+
+const express = require('express');
+const { generateToken, hashPasscode, serializeLink } = require('../services/shareLinks');
+const { findSeasonTarget, findEpisodeTarget } = require('./episodeRefs');
+const ShareLink = require('../models/ShareLink');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+const MIN_PASSCODE_LENGTH = 4;
+
+// Helper: read expiry, passcode, view limit and label from the body into link fields.
+// Fields that are absent are left out; null clears them. Setting the passcode, or
+// unlock: true, clears the wrong passcodes that lock a link. Returns { error } when invalid.
+async function parseLinkOptions(body) {
+    const fields = {};
+
+    if (body.expiresInHours != null) {
+        const hours = parseFloat(body.expiresInHours);
+        if (!(hours > 0)) return { error: 'expiresInHours must be a positive number' };
+        fields.expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    } else if (body.expiresAt !== undefined) {
+        const expiresAt = body.expiresAt === null ? null : new Date(body.expiresAt);
+        if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+            return { error: 'expiresAt must be a date in the future' };
+        }
+        fields.expiresAt = expiresAt;
+    }
+
+    if (body.passcode !== undefined) {
+        if (body.passcode !== null && String(body.passcode).length < MIN_PASSCODE_LENGTH) {
+            return { error: `passcode must be at least ${MIN_PASSCODE_LENGTH} characters` };
+        }
+        fields.passcodeHash = body.passcode === null ? null : await hashPasscode(body.passcode);
+        fields.passcodeFailures = 0;
+    }
+    if (body.unlock === true) fields.passcodeFailures = 0;
+
+    if (body.maxViews !== undefined) {
+        const maxViews = body.maxViews === null ? null : parseInt(body.maxViews);
+        if (maxViews !== null && !(maxViews > 0)) return { error: 'maxViews must be a positive number' };
+        fields.maxViews = maxViews;
+    }
+
+    if (body.label !== undefined) fields.label = String(body.label || '').trim();
+    return { fields };
+}
+
+// Helper: load a link of the series, responding with 404 if it doesn't exist
+async function findLink(res, seriesId, linkId) {
+    const link = await ShareLink.findOne({ _id: linkId, series: seriesId }).catch(() => null);
+    if (!link) {
+        res.status(404).json({ error: 'Share link not found' });
+        return null;
+    }
+    return link;
+}
+
+// GET /api/series/:seriesId/share-links - Links of a series with their view analytics
+router.get('/series/:seriesId/share-links', async (req, res) => {
+    try {
+        const links = await ShareLink.find({ series: req.params.seriesId }).sort({ createdAt: -1 });
+        res.json(links.map(serializeLink));
+    } catch (error) {
+        console.error('Error listing share links:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/share-links - Create a public link to the series, or one season or episode
+// Body: { seasonId | episodeId, expiresAt | expiresInHours, passcode, maxViews, label }
+router.post('/series/:seriesId/share-links', async (req, res) => {
+    try {
+        const { seasonId, episodeId } = req.body;
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const target = { scope: 'series' };
+        if (episodeId) {
+            const found = findEpisodeTarget(res, series, { episodeId });
+            if (!found) return;
+            Object.assign(target, { scope: 'episode', season: found.season._id, episode: found.episode._id });
+        } else if (seasonId) {
+            const season = findSeasonTarget(res, series, seasonId);
+            if (!season) return;
+            Object.assign(target, { scope: 'season', season: season._id });
+        }
+
+        const { fields, error } = await parseLinkOptions(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const link = await ShareLink.create({
+            ...target,
+            ...fields,
+            token: generateToken(),
+            series: series._id,
+            createdBy: req.profileId
+        });
+
+        console.log(`[API] ✅ Created ${link.scope} share link for "${series.title}"`);
+
+        res.status(201).json({ success: true, link: serializeLink(link) });
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/series/:seriesId/share-links/:linkId - Change a link's expiry, passcode, view limit or label
+// (null clears expiry, passcode and view limit), or unlock it after too many wrong passcodes
+// Body: { expiresAt | expiresInHours, passcode, maxViews, label, unlock }
+router.put('/series/:seriesId/share-links/:linkId', async (req, res) => {
+    try {
+        const link = await findLink(res, req.params.seriesId, req.params.linkId);
+        if (!link) return;
+
+        const { fields, error } = await parseLinkOptions(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        link.set(fields);
+        await link.save();
+
+        res.json({ success: true, link: serializeLink(link) });
+    } catch (error) {
+        console.error('Error updating share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/series/:seriesId/share-links/:linkId - Revoke a link (kept for its analytics)
+router.delete('/series/:seriesId/share-links/:linkId', async (req, res) => {
+    try {
+        const link = await findLink(res, req.params.seriesId, req.params.linkId);
+        if (!link) return;
+
+        if (!link.revokedAt) {
+            link.revokedAt = new Date();
+            await link.save();
+        }
+
+        res.json({ success: true, link: serializeLink(link) });
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+/**
+ * Netflix Life Story - Sharing Routes
+ * Series ownership, visibility and the profiles a series is shared with.
+ * Access is checked by the /series/:seriesId middleware in routes/access.js.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Profile = require('../models/Profile');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+const VISIBILITIES = Series.schema.path('visibility').enumValues;
+const ROLES = Series.schema.path('sharedWith').schema.path('role').enumValues;
+
+// Helper: sharing fields returned to the client
+function serializeSharing(series) {
+    return {
+        owner: series.owner || null,
+        visibility: series.visibility,
+        sharedWith: series.sharedWith.map(s => ({ profile: s.profile, role: s.role }))
+    };
+}
+
+// GET /api/series/:seriesId/sharing - Owner, visibility and shares of a series
+router.get('/series/:seriesId/sharing', async (req, res) => {
+    try {
+        const series = await Series.findById(req.params.seriesId).select('owner visibility sharedWith');
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+        res.json(serializeSharing(series));
+    } catch (error) {
+        console.error('Error getting sharing:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/series/:seriesId/sharing - Set visibility and/or the full list of shares
+// Body: { visibility, sharedWith: [{ profileId, role }] }
+router.put('/series/:seriesId/sharing', async (req, res) => {
+    try {
+        const { visibility, sharedWith } = req.body;
+
+        if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+            return res.status(400).json({ error: `Invalid visibility. Use one of: ${VISIBILITIES.join(', ')}` });
+        }
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        if (sharedWith !== undefined) {
+            if (!Array.isArray(sharedWith)) {
+                return res.status(400).json({ error: 'sharedWith must be an array' });
+            }
+            for (const share of sharedWith) {
+                if (share.role !== undefined && !ROLES.includes(share.role)) {
+                    return res.status(400).json({ error: `Invalid role. Use one of: ${ROLES.join(', ')}` });
+                }
+                if (!mongoose.isValidObjectId(share.profileId) || !await Profile.exists({ _id: share.profileId })) {
+                    return res.status(400).json({ error: `Profile not found: ${share.profileId}` });
+                }
+            }
+
+            // One entry per profile, and never the owner
+            const shares = new Map();
+            sharedWith
+                .filter(share => !series.owner || series.owner.toString() !== String(share.profileId))
+                .forEach(share => shares.set(String(share.profileId), share.role || 'viewer'));
+            series.sharedWith = [...shares].map(([profile, role]) => ({ profile, role }));
+        }
+        if (visibility !== undefined) series.visibility = visibility;
+
+        await series.save();
+        res.json({ success: true, ...serializeSharing(series) });
+    } catch (error) {
+        console.error('Error updating sharing:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/transfer - Hand ownership to another profile
+// The previous owner keeps editor access; unowned series can be claimed this way
+router.post('/series/:seriesId/transfer', async (req, res) => {
+    try {
+        const { profileId } = req.body;
+
+        if (!mongoose.isValidObjectId(profileId) || !await Profile.exists({ _id: profileId })) {
+            return res.status(400).json({ error: 'profileId must be an existing profile' });
+        }
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const previousOwner = series.owner;
+        series.owner = profileId;
+        series.sharedWith = series.sharedWith.filter(s => s.profile.toString() !== String(profileId));
+        if (previousOwner && previousOwner.toString() !== String(profileId)) {
+            series.sharedWith.push({ profile: previousOwner, role: 'editor' });
+        }
+        await series.save();
+
+        console.log(`[API] ✅ Series "${series.title}" transferred to profile ${profileId}`);
+
+        res.json({ success: true, ...serializeSharing(series) });
+    } catch (error) {
+        console.error('Error transferring series:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
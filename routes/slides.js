@@ -0,0 +1,89 @@
+/**
+ * Netflix Life Story - Slide Routes
+ * Slideshow timing, captions and transitions for an episode's media, and the timeline
+ * they add up to (see services/timeline.js)
+ */
+
+const express = require('express');
+const { parseSlideDefaults, parseSlideFields, buildTimeline } = require('../services/timeline');
+const { findEpisodeTarget } = require('./episodeRefs');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+// GET /api/series/:seriesId/episodes/:episodeId/timeline - When each media item plays, and the episode runtime
+router.get('/series/:seriesId/episodes/:episodeId/timeline', async (req, res) => {
+    try {
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const found = findEpisodeTarget(res, series, { episodeId: req.params.episodeId });
+        if (!found) return;
+
+        res.json({ episodeId: found.episode._id, ...buildTimeline(found.episode) });
+    } catch (error) {
+        console.error('Error getting timeline:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/series/:seriesId/episodes/:episodeId/slides - Edit episode slide defaults and per-media slide fields
+// Body: { defaults: { imageDuration, transition, transitionDuration },
+//         media: [{ mediaId, duration, caption, transition, focalPoint: { x, y }, trimStart, trimEnd }] }
+// Only the fields sent change; null clears one
+router.put('/series/:seriesId/episodes/:episodeId/slides', async (req, res) => {
+    try {
+        const { defaults, media = [] } = req.body;
+
+        if (!Array.isArray(media)) {
+            return res.status(400).json({ error: 'media must be a list' });
+        }
+        if (defaults === undefined && media.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update: send defaults and/or media' });
+        }
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const found = findEpisodeTarget(res, series, { episodeId: req.params.episodeId });
+        if (!found) return;
+        const { episode } = found;
+
+        // Check everything before changing anything
+        const changes = [];
+        try {
+            if (defaults !== undefined) {
+                changes.push({ target: episode, prefix: 'slideDefaults.', fields: parseSlideDefaults(defaults) });
+            }
+            for (const entry of media) {
+                const item = entry && episode.media.find(m => m._id.toString() === String(entry.mediaId));
+                if (!item) {
+                    return res.status(404).json({ error: `Media not found in this episode: ${entry && entry.mediaId}` });
+                }
+                changes.push({ target: item, prefix: '', fields: parseSlideFields(entry, item) });
+            }
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        for (const { target, prefix, fields } of changes) {
+            Object.entries(fields).forEach(([field, value]) => {
+                target.set(prefix + field, value === null ? undefined : value);
+            });
+        }
+        await series.save();
+
+        console.log(`[API] ✅ Updated slides of episode "${episode.title}" (${media.length} media item(s))`);
+
+        res.json({ success: true, episodeId: episode._id, ...buildTimeline(episode) });
+    } catch (error) {
+        console.error('Error updating slides:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Netflix Life Story - Storage Routes
+ * Receives signed direct uploads when the local storage driver is active,
+ * standing in for the bucket that presigned URLs point at with S3.
+ */
+
+const express = require('express');
+const { driver } = require('../config/s3');
+
+const router = express.Router();
+
+// PUT /api/storage/upload - Receive a signed direct upload or multipart part (local driver only)
+router.put('/storage/upload', async (req, res) => {
+    try {
+        if (!driver.verifyUploadUrl) {
+            return res.status(404).json({ error: 'Direct uploads go to the storage bucket' });
+        }
+
+        const allowed = driver.verifyUploadUrl(req.query);
+        if (!allowed) {
+            return res.status(403).json({ error: 'Invalid or expired upload URL' });
+        }
+
+        if (allowed.uploadId) {
+            const size = await driver.writePart(allowed.uploadId, allowed.partNumber, req, allowed.size);
+            console.log(`[LOCAL UPLOAD] ✅ Received part ${allowed.partNumber} of ${allowed.key} (${size} bytes)`);
+            return res.json({ success: true, key: allowed.key, partNumber: allowed.partNumber });
+        }
+
+        const size = await driver.writeObject(allowed.key, req, allowed.size);
+        console.log(`[LOCAL UPLOAD] ✅ Received direct upload: ${allowed.key} (${size} bytes)`);
+
+        res.json({ success: true, key: allowed.key });
+    } catch (error) {
+        console.error('Error receiving direct upload:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
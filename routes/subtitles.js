@@ -0,0 +1,206 @@
+/**
+ * Netflix Life Story - Subtitle Routes
+ * WebVTT subtitle tracks on videos and on episode slideshows: upload, list, delete, and a
+ * slideshow track generated from media captions (see services/subtitles.js)
+ */
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { SUBTITLE_RULES, getExtension } = require('../config/uploads');
+const { findMedia, deleteAsset } = require('../services/seriesAssets');
+const { validateVtt, parseTrackFields, canAddTrack, addTrack, addGeneratedTrack, MAX_TRACKS } = require('../services/subtitles');
+const { findEpisodeTarget } = require('./episodeRefs');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+// Tracks are staged on local disk so their contents can be checked before they are stored
+const uploadSubtitles = multer({
+    dest: path.join(os.tmpdir(), 'life-story-subtitles'),
+    limits: { fileSize: SUBTITLE_RULES.maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+        cb(null, SUBTITLE_RULES.extensions.includes(getExtension(file.originalname)));
+    }
+}).single('subtitles');
+
+// Helper: the video a request addresses, responding with an error if there isn't one
+function findVideoTarget(res, series, mediaId) {
+    const found = findMedia(series, mediaId);
+    if (!found) {
+        res.status(404).json({ error: 'Media not found' });
+        return null;
+    }
+    if (found.media.type !== 'video') {
+        res.status(400).json({ error: 'Subtitles can only be added to videos; use the episode for photo slideshows' });
+        return null;
+    }
+    return found.media;
+}
+
+// Helper: load the series and the episode or video whose tracks a request addresses,
+// responding with an error if either is missing. Returns { series, holder } or null.
+async function findHolder(req, res) {
+    const series = await Series.findById(req.params.seriesId);
+    if (!series) {
+        res.status(404).json({ error: 'Series not found' });
+        return null;
+    }
+
+    if (req.params.mediaId) {
+        const media = findVideoTarget(res, series, req.params.mediaId);
+        return media && { series, holder: media };
+    }
+    const found = findEpisodeTarget(res, series, { episodeId: req.params.episodeId });
+    return found && { series, holder: found.episode };
+}
+
+// Helper: save a track added by addTrack, removing whichever file is no longer used
+async function saveTrack(series, { track, replacedUrl }) {
+    try {
+        await series.save();
+    } catch (error) {
+        await deleteAsset(track.url).catch(() => {});
+        throw error;
+    }
+    await deleteAsset(replacedUrl);
+}
+
+// GET /api/series/:seriesId/episodes/:episodeId/subtitles - Slideshow tracks of an episode, and the tracks of its videos
+router.get('/series/:seriesId/episodes/:episodeId/subtitles', async (req, res) => {
+    try {
+        const target = await findHolder(req, res);
+        if (!target) return;
+        const episode = target.holder;
+
+        res.json({
+            subtitles: episode.subtitles,
+            media: episode.media
+                .filter(media => media.subtitles.length > 0)
+                .map(media => ({ mediaId: media._id, subtitles: media.subtitles }))
+        });
+    } catch (error) {
+        console.error('Error listing subtitles:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/series/:seriesId/media/:mediaId/subtitles - Tracks of a video
+router.get('/series/:seriesId/media/:mediaId/subtitles', async (req, res) => {
+    try {
+        const target = await findHolder(req, res);
+        if (!target) return;
+
+        res.json({ subtitles: target.holder.subtitles });
+    } catch (error) {
+        console.error('Error listing subtitles:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/episodes/:episodeId/subtitles - Upload a slideshow track ('subtitles' field)
+// POST /api/series/:seriesId/media/:mediaId/subtitles - Upload a track for a video
+// Body: language (e.g. en, pt-BR), label. Replaces an uploaded track in the same language.
+router.post([
+    '/series/:seriesId/episodes/:episodeId/subtitles',
+    '/series/:seriesId/media/:mediaId/subtitles'
+], uploadSubtitles, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No .vtt file uploaded' });
+        }
+
+        let fields;
+        try {
+            fields = parseTrackFields(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const vttError = validateVtt(await fs.promises.readFile(req.file.path, 'utf8'));
+        if (vttError) {
+            return res.status(400).json({ error: vttError });
+        }
+
+        const target = await findHolder(req, res);
+        if (!target) return;
+        if (!canAddTrack(target.holder, fields)) {
+            return res.status(400).json({ error: `Maximum ${MAX_TRACKS} subtitle tracks allowed` });
+        }
+
+        const added = await addTrack(target.holder, req.file.path, fields);
+        await saveTrack(target.series, added);
+
+        console.log(`[API] ✅ Subtitles (${fields.language}) uploaded to "${target.series.title}"`);
+
+        res.json({ success: true, track: added.track });
+    } catch (error) {
+        console.error('Error uploading subtitles:', error);
+        res.status(500).json({ error: error.message });
+    } finally {
+        if (req.file) await fs.promises.rm(req.file.path, { force: true });
+    }
+});
+
+// POST /api/series/:seriesId/episodes/:episodeId/subtitles/generate - Build a slideshow track from media
+// captions and the episode description, replacing the generated track in the same language
+// Body: { language, label }
+router.post('/series/:seriesId/episodes/:episodeId/subtitles/generate', async (req, res) => {
+    try {
+        let fields;
+        try {
+            fields = parseTrackFields({ language: 'en', ...req.body });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const target = await findHolder(req, res);
+        if (!target) return;
+        if (!canAddTrack(target.holder, { ...fields, source: 'generated' })) {
+            return res.status(400).json({ error: `Maximum ${MAX_TRACKS} subtitle tracks allowed` });
+        }
+
+        const added = await addGeneratedTrack(target.holder, fields);
+        if (!added) {
+            return res.status(400).json({ error: 'Nothing to generate: no media captions or episode description' });
+        }
+        await saveTrack(target.series, added);
+
+        console.log(`[API] ✅ Generated subtitles (${fields.language}) for episode "${target.holder.title}"`);
+
+        res.json({ success: true, track: added.track });
+    } catch (error) {
+        console.error('Error generating subtitles:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/series/:seriesId/episodes/:episodeId/subtitles/:trackId - Delete a slideshow track
+// DELETE /api/series/:seriesId/media/:mediaId/subtitles/:trackId - Delete a video's track
+router.delete([
+    '/series/:seriesId/episodes/:episodeId/subtitles/:trackId',
+    '/series/:seriesId/media/:mediaId/subtitles/:trackId'
+], async (req, res) => {
+    try {
+        const target = await findHolder(req, res);
+        if (!target) return;
+
+        const track = target.holder.subtitles.id(req.params.trackId);
+        if (!track) {
+            return res.status(404).json({ error: 'Subtitle track not found' });
+        }
+
+        target.holder.subtitles.pull(track._id);
+        await target.series.save();
+        await deleteAsset(track.url);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting subtitles:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+/**
+ * Netflix Life Story - Tag Routes
+ * Tagging media with labels and people, one item at a time or across a selection, tag
+ * and people counts, and tag/person collections (see services/collections.js)
+ */
+
+const express = require('express');
+const { findMedia, updateMediaFields } = require('../services/seriesAssets');
+const { normalizeTags, normalizePeople } = require('../services/tags');
+const { countTags, countPeople, getCollection } = require('../services/collections');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+// Helper: page of a collection from the query
+function parsePage(query) {
+    return {
+        offset: Math.max(parseInt(query.offset) || 0, 0),
+        limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 200)
+    };
+}
+
+// PUT /api/series/:seriesId/media/:mediaId/tags - Replace a media item's tags and/or people
+// Body: { tags: [String], people: [name | { name, region: { x, y, width, height } }] }
+router.put('/series/:seriesId/media/:mediaId/tags', async (req, res) => {
+    try {
+        const fields = {};
+        try {
+            if (req.body.tags !== undefined) fields.tags = normalizeTags(req.body.tags);
+            if (req.body.people !== undefined) fields.people = normalizePeople(req.body.people);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update: send tags and/or people' });
+        }
+
+        if (!await updateMediaFields(req.params.seriesId, req.params.mediaId, fields)) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+
+        res.json({ success: true, ...fields });
+    } catch (error) {
+        console.error('Error tagging media:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/media/tags - Add or remove tags and people across a selection
+// Body: { mediaIds, add: [tag], remove: [tag], addPeople: [name], removePeople: [name] }
+router.post('/series/:seriesId/media/tags', async (req, res) => {
+    try {
+        const { mediaIds, add = [], remove = [], addPeople = [], removePeople = [] } = req.body;
+
+        if (!Array.isArray(mediaIds) || mediaIds.length === 0) {
+            return res.status(400).json({ error: 'No media specified' });
+        }
+
+        let changes;
+        try {
+            changes = {
+                add: normalizeTags(add),
+                remove: new Set(normalizeTags(remove)),
+                addPeople: normalizePeople(addPeople),
+                removePeople: new Set(normalizePeople(removePeople).map(p => p.name.toLowerCase()))
+            };
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const items = [];
+        for (const mediaId of new Set(mediaIds.map(String))) {
+            const found = findMedia(series, mediaId);
+            if (!found) {
+                return res.status(404).json({ error: `Media not found: ${mediaId}` });
+            }
+            items.push(found.media);
+        }
+
+        try {
+            for (const media of items) {
+                const tags = [...(media.tags || []), ...changes.add].filter(tag => !changes.remove.has(tag));
+                // Existing entries come first so their regions are kept
+                const people = [...(media.people || []).map(p => p.toObject()), ...changes.addPeople]
+                    .filter(p => !changes.removePeople.has(p.name.toLowerCase()));
+                media.tags = normalizeTags(tags);
+                media.people = normalizePeople(people);
+            }
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        await series.save();
+
+        console.log(`[API] ✅ Updated tags on ${items.length} media item(s) in "${series.title}"`);
+
+        res.json({
+            success: true,
+            media: items.map(media => ({ _id: media._id, tags: media.tags, people: media.people }))
+        });
+    } catch (error) {
+        console.error('Error bulk tagging media:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/tags - Media tags with item and series counts, across the series the active profile can see
+router.get('/tags', async (req, res) => {
+    try {
+        res.json(await countTags(req.profileId));
+    } catch (error) {
+        console.error('Error listing tags:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/people - People tagged in media with item and series counts
+router.get('/people', async (req, res) => {
+    try {
+        res.json(await countPeople(req.profileId));
+    } catch (error) {
+        console.error('Error listing people:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/collections/tags/:tag - Every visible media item with a tag, as a virtual episode
+// Query: offset, limit
+router.get('/collections/tags/:tag', async (req, res) => {
+    try {
+        const collection = await getCollection(req.profileId, { tag: req.params.tag.trim().toLowerCase() }, parsePage(req.query));
+        if (!collection) {
+            return res.status(404).json({ error: 'No media with this tag' });
+        }
+        res.json(collection);
+    } catch (error) {
+        console.error('Error getting tag collection:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/collections/people/:name - Every visible media item showing a person, as a virtual episode
+// Query: offset, limit
+router.get('/collections/people/:name', async (req, res) => {
+    try {
+        const collection = await getCollection(req.profileId, { person: req.params.name.trim() }, parsePage(req.query));
+        if (!collection) {
+            return res.status(404).json({ error: 'No media showing this person' });
+        }
+        res.json(collection);
+    } catch (error) {
+        console.error('Error getting person collection:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * Netflix Life Story - Thumbnail Routes
+ * Generating episode thumbnails from media and series hero images from episodes
+ */
+
+const express = require('express');
+const { canGenerateThumbnail, queueEpisodeThumbnail, queueHeroImage } = require('../services/thumbnails');
+const { findEpisodeTarget } = require('./episodeRefs');
+const Series = require('../models/Series');
+
+const router = express.Router();
+
+// POST /api/series/:seriesId/episodes/:episodeId/thumbnail/generate - Regenerate an episode thumbnail from a media item
+// (/thumbnail/generate/:seasonIndex/:episodeIndex is deprecated)
+router.post([
+    '/series/:seriesId/episodes/:episodeId/thumbnail/generate',
+    '/series/:seriesId/thumbnail/generate/:seasonIndex/:episodeIndex'
+], async (req, res) => {
+    try {
+        const { mediaId } = req.body;
+
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const target = findEpisodeTarget(res, series, req.params);
+        if (!target) return;
+        const { episode } = target;
+
+        // Defaults to the first media item
+        const media = mediaId
+            ? episode.media.find(m => m._id.toString() === mediaId)
+            : episode.media[0];
+        if (!media) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+
+        if (!canGenerateThumbnail(episode, false)) {
+            return res.status(409).json({ error: 'Episode has an uploaded thumbnail, which is never replaced' });
+        }
+
+        const job = await queueEpisodeThumbnail(series._id, media._id);
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Error generating thumbnail:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/series/:seriesId/hero/generate - Rebuild the series hero image from episode thumbnails
+router.post('/series/:seriesId/hero/generate', async (req, res) => {
+    try {
+        const series = await Series.findById(req.params.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const job = await queueHeroImage(series._id);
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Error generating hero image:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
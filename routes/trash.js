@@ -0,0 +1,105 @@
+/**
+ * Netflix Life Story - Trash Routes
+ * Deleted series, seasons, episodes and media wait in the trash until they are restored or
+ * purged (see services/trash.js)
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { trashFilter, restoreItem, purgeItem, listTrash, emptyTrash } = require('../services/trash');
+const { processNewMedia } = require('../services/mediaPipeline');
+const { requireProfile, checkSeriesAccess } = require('./access');
+const Series = require('../models/Series');
+const TrashItem = require('../models/TrashItem');
+
+const router = express.Router();
+
+// Helper: load a trash item the active profile can act on, responding with 404 if there isn't one
+async function findTrashItem(req, res) {
+    const item = mongoose.isValidObjectId(req.params.itemId)
+        ? await TrashItem.findOne({ $and: [{ _id: req.params.itemId }, trashFilter(req.profileId)] })
+        : null;
+    if (!item) {
+        res.status(404).json({ error: 'Trash item not found' });
+        return null;
+    }
+    return item;
+}
+
+// GET /api/trash - The active profile's trash, newest first
+// Query: kind (series|season|episode|media), offset, limit
+router.get('/trash', requireProfile, async (req, res) => {
+    try {
+        const { kind } = req.query;
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        if (kind && !TrashItem.TRASH_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Invalid kind. Use one of: ${TrashItem.TRASH_KINDS.join(', ')}` });
+        }
+
+        res.json(await listTrash(req.profileId, { kind, offset, limit }));
+    } catch (error) {
+        console.error('Error listing trash:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/trash/:itemId/restore - Put a trash item back where it was
+router.post('/trash/:itemId/restore', requireProfile, async (req, res) => {
+    try {
+        const item = await findTrashItem(req, res);
+        if (!item) return;
+
+        // Seasons, episodes and media go back into a series the profile must still be able to edit
+        if (item.kind !== 'series' && await Series.exists({ _id: item.series }) &&
+            !await checkSeriesAccess(res, item.series, req.profileId, 'edit')) {
+            return;
+        }
+
+        const result = await restoreItem(item);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        // Queue whatever processing was skipped while the media was in the trash
+        for (const { episode, media } of result.restored) {
+            await processNewMedia(result.series, episode, media);
+        }
+
+        console.log(`[TRASH] ♻️  Restored ${item.kind} "${item.title || item._id}" to "${result.series.title}"`);
+
+        res.json({ success: true, series: result.series });
+    } catch (error) {
+        console.error('Error restoring trash item:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/trash/:itemId - Permanently delete a trash item and its files now
+router.delete('/trash/:itemId', requireProfile, async (req, res) => {
+    try {
+        const item = await findTrashItem(req, res);
+        if (!item) return;
+
+        await purgeItem(item);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error purging trash item:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/trash - Empty the active profile's trash now; items that fail to purge are kept and counted in failed
+router.delete('/trash', requireProfile, async (req, res) => {
+    try {
+        const { purged, failed } = await emptyTrash(req.profileId);
+        res.json({ success: true, purged, failed });
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
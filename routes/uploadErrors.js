@@ -0,0 +1,43 @@
+/**
+ * Netflix Life Story - Upload Errors
+ * Multer reports files over the size limit, too many files and files a fileFilter rejects
+ * as errors, which would otherwise end up on Express's default HTML error page. These
+ * turn them into JSON responses.
+ */
+
+const multer = require('multer');
+
+/**
+ * Error for a fileFilter to pass to its callback, answered with a 400 and the message
+ */
+function rejectFile(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Wrap a multer middleware (e.g. multer(...).single('file')) so upload errors are answered
+ * with a JSON 413 for files over the size limit and 400 otherwise. Messages replace
+ * multer's own by error code (e.g. { LIMIT_FILE_SIZE: 'Archive is too large' }).
+ */
+function handleUploadErrors(upload, messages = {}) {
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (!error) return next();
+            if (error instanceof multer.MulterError) {
+                const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                return res.status(status).json({ error: messages[error.code] || error.message });
+            }
+            if (error.status === 400) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        });
+    };
+}
+
+module.exports = {
+    rejectFile,
+    handleUploadErrors
+};
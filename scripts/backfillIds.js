@@ -0,0 +1,98 @@
+/**
+ * Season and Episode Id Backfill
+ * Seasons and episodes used to be stored without _id and addressed by array index.
+ * This gives every existing season and episode a persistent _id, which the id-based
+ * routes need. Run it once before clients switch over from the index routes.
+ *
+ * Usage:
+ *   node scripts/backfillIds.js [--dry-run]
+ *
+ *   --dry-run  Report what would change without writing anything
+ *
+ * Safe to run repeatedly and while the API is running: existing ids are kept, and a
+ * series edited between read and write is re-read and retried.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Series = require('../models/Series');
+
+const MAX_ATTEMPTS = 3;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+const report = { series: 0, seasons: 0, episodes: 0, conflicts: [] };
+
+// Copy of a raw seasons array with ids added where missing, plus how many were added
+function withIds(seasons) {
+    let seasonCount = 0;
+    let episodeCount = 0;
+    const updated = (seasons || []).map(season => {
+        if (!season._id) seasonCount++;
+        return {
+            ...season,
+            _id: season._id || new mongoose.Types.ObjectId(),
+            episodes: (season.episodes || []).map(episode => {
+                if (!episode._id) episodeCount++;
+                return { ...episode, _id: episode._id || new mongoose.Types.ObjectId() };
+            })
+        };
+    });
+    return { updated, seasonCount, episodeCount };
+}
+
+// Works on the raw collection: Mongoose would invent fresh ids on every load instead
+async function backfillSeries(seriesId) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const raw = await Series.collection.findOne({ _id: seriesId }, { projection: { title: 1, seasons: 1 } });
+        if (!raw) return;
+
+        const { updated, seasonCount, episodeCount } = withIds(raw.seasons);
+        if (seasonCount + episodeCount === 0) return;
+
+        if (!dryRun) {
+            // Only write if the seasons haven't changed since we read them
+            const result = await Series.collection.updateOne(
+                { _id: seriesId, seasons: raw.seasons },
+                { $set: { seasons: updated } }
+            );
+            if (result.matchedCount === 0) continue;
+        }
+
+        report.series++;
+        report.seasons += seasonCount;
+        report.episodes += episodeCount;
+        console.log(`   🆔 "${raw.title}": ${seasonCount} season(s), ${episodeCount} episode(s)`);
+        return;
+    }
+    report.conflicts.push(String(seriesId));
+}
+
+async function run() {
+    await connectDB();
+    console.log(`\n🆔 Backfilling season and episode ids${dryRun ? ' (dry run)' : ''}\n`);
+
+    const ids = await Series.collection.find({}, { projection: { _id: 1 } }).toArray();
+    for (const { _id } of ids) {
+        await backfillSeries(_id);
+    }
+
+    console.log('\n📋 Backfill report' + (dryRun ? ' (dry run - nothing was written)' : ''));
+    console.log(`   Series:   ${report.series} updated`);
+    console.log(`   Seasons:  ${report.seasons} ids added`);
+    console.log(`   Episodes: ${report.episodes} ids added`);
+    if (report.conflicts.length > 0) {
+        console.log(`   ⚠️  Kept changing during the backfill, run again: ${report.conflicts.join(', ')}`);
+    }
+    console.log('');
+
+    await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+    console.error('\n❌ Backfill failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,75 @@
+/**
+ * Media Metadata Backfill
+ * Extracts metadata (capture date, dimensions, duration, GPS, ...) for media uploaded
+ * before extraction existed.
+ *
+ * Usage:
+ *   node scripts/backfillMetadata.js [--dry-run] [--force] [--queue] [--series <id>]
+ *
+ *   --dry-run  Only report how many media items would be processed
+ *   --force    Re-extract media that already has metadata
+ *   --queue    Queue background jobs for the API server's worker instead of extracting here
+ *   --series   Limit to one series
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { extractMediaMetadata, queueMetadata } = require('../services/mediaMetadata');
+const Series = require('../models/Series');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const force = args.includes('--force');
+const queue = args.includes('--queue');
+const seriesArg = args.indexOf('--series');
+const seriesId = seriesArg !== -1 ? args[seriesArg + 1] : null;
+
+async function run() {
+    await connectDB();
+
+    const filter = seriesId ? { _id: seriesId } : {};
+    const seriesList = await Series.find(filter).select('title seasons.episodes.media._id seasons.episodes.media.metadata.extractedAt');
+
+    const report = { processed: 0, failed: 0, skipped: 0 };
+    console.log(`\n🔎 Backfilling media metadata${dryRun ? ' (dry run)' : ''}\n`);
+
+    for (const series of seriesList) {
+        const pending = series.seasons
+            .flatMap(season => season.episodes)
+            .flatMap(episode => episode.media)
+            .filter(media => force || !(media.metadata && media.metadata.extractedAt));
+        if (pending.length === 0) continue;
+
+        console.log(`   📺 ${series.title}: ${pending.length} media item(s)`);
+        for (const media of pending) {
+            if (dryRun) {
+                report.processed++;
+                continue;
+            }
+            try {
+                if (queue) {
+                    await queueMetadata(series._id, media._id);
+                    report.processed++;
+                } else if (await extractMediaMetadata(series._id, media._id)) {
+                    report.processed++;
+                } else {
+                    report.skipped++;
+                }
+            } catch (error) {
+                report.failed++;
+                console.error(`      ⚠️  ${media._id}: ${error.message}`);
+            }
+        }
+    }
+
+    const verb = dryRun ? 'to process' : queue ? 'queued' : 'extracted';
+    console.log(`\n📋 ${report.processed} ${verb}, ${report.skipped} skipped, ${report.failed} failed\n`);
+    await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+    console.error('\n❌ Backfill failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,77 @@
+/**
+ * Series Stats Backfill
+ * Series keep season, episode and media counts in `stats`, updated whenever they are
+ * saved. This fills them in for series saved before the counts existed, so list views
+ * and sorting by media count are right without waiting for each series to be edited.
+ *
+ * Usage:
+ *   node scripts/backfillStats.js [--dry-run] [--all]
+ *
+ *   --dry-run  Only report how many series would be updated
+ *   --all      Recount every series, not just those without stats
+ *
+ * Counts are computed by the database in a single update per series, so it is safe
+ * to run while the API is running.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Series = require('../models/Series');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const all = args.includes('--all');
+
+// Media items of all episodes matching a condition on the item ($$media)
+function countMedia(condition) {
+    return {
+        $sum: {
+            $map: {
+                input: '$seasons',
+                as: 'season',
+                in: {
+                    $sum: {
+                        $map: {
+                            input: '$$season.episodes',
+                            as: 'episode',
+                            in: { $size: { $filter: { input: '$$episode.media', as: 'media', cond: condition } } }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+// Same counts as computeStats in models/Series.js
+const STATS = {
+    seasonCount: { $size: '$seasons' },
+    episodeCount: { $sum: { $map: { input: '$seasons', as: 'season', in: { $size: '$$season.episodes' } } } },
+    mediaCount: countMedia(true),
+    imageCount: countMedia({ $eq: ['$$media.type', 'image'] }),
+    videoCount: countMedia({ $eq: ['$$media.type', 'video'] })
+};
+
+async function run() {
+    await connectDB();
+    console.log(`\n🔢 Backfilling series stats${dryRun ? ' (dry run)' : ''}\n`);
+
+    const filter = all ? {} : { stats: { $exists: false } };
+    if (dryRun) {
+        const count = await Series.collection.countDocuments(filter);
+        console.log(`   ${count} series would be updated\n`);
+    } else {
+        // Raw collection: a Mongoose update would cast the pipeline as a document
+        const result = await Series.collection.updateMany(filter, [{ $set: { stats: STATS } }]);
+        console.log(`   ✅ ${result.modifiedCount} series updated\n`);
+    }
+
+    await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+    console.error('\n❌ Backfill failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
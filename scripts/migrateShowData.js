@@ -0,0 +1,192 @@
+/**
+ * Legacy Data Migration
+ * Imports profiles and series from the pre-MongoDB uploads/showData.json into MongoDB.
+ *
+ * Usage:
+ *   node scripts/migrateShowData.js [--dry-run] [--copy-assets] [--file <path>]
+ *
+ *   --dry-run      Report what would change without writing anything
+ *   --copy-assets  Copy legacy /uploads files into the configured storage and rewrite their URLs
+ *   --file         Legacy data file (default: uploads/showData.json)
+ *
+ * Safe to run repeatedly: profiles and series already imported (matched by legacyId) are
+ * skipped, and --copy-assets only touches URLs that still point at unmanaged local files.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const mime = require('mime-types');
+const connectDB = require('../config/db');
+const { getS3Url, getKeyFromUrl, uploadFile } = require('../config/s3');
+const Profile = require('../models/Profile');
+const Series = require('../models/Series');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const copyAssets = args.includes('--copy-assets');
+const fileArg = args.indexOf('--file');
+const dataFile = path.resolve(fileArg !== -1 ? args[fileArg + 1] : path.join(__dirname, '..', 'uploads', 'showData.json'));
+// Legacy /uploads/... URLs are relative to the directory holding showData.json
+const legacyDir = path.dirname(dataFile);
+
+const report = {
+    profiles: { created: 0, skipped: 0 },
+    series: { created: 0, skipped: 0 },
+    assets: { copied: 0, managed: 0, missing: [] }
+};
+
+// Legacy thumbnails and music were stored as bare filenames inside their upload folder
+function toLegacyUrl(value, folder) {
+    if (!value) return null;
+    if (/^https?:\/\//.test(value) || value.startsWith('/uploads/')) return value;
+    return `/uploads/${folder}/${value}`;
+}
+
+// Map a legacy series onto the Series schema, wrapping its flat episodes into one season
+function mapSeries(legacy) {
+    return {
+        legacyId: legacy.id,
+        title: legacy.title || 'My Story',
+        description: legacy.description || '',
+        thumbnail: toLegacyUrl(legacy.thumbnail, 'series-thumbnails'),
+        createdAt: legacy.createdAt ? new Date(legacy.createdAt) : undefined,
+        seasons: [{
+            title: 'Season 1',
+            episodes: (legacy.episodes || []).map((ep, ei) => ({
+                title: ep.title || `Episode ${ei + 1}`,
+                thumbnail: toLegacyUrl(ep.thumbnail, 'thumbnails'),
+                description: ep.description || '',
+                music: toLegacyUrl(ep.music, 'music'),
+                musicOriginalName: ep.musicOriginalName || null,
+                media: (ep.media || []).map(m => ({
+                    filename: m.filename,
+                    originalName: m.originalName,
+                    type: m.type,
+                    url: toLegacyUrl(m.url || m.filename, 'media')
+                }))
+            }))
+        }]
+    };
+}
+
+// Copy one legacy local file into storage, returning its new URL (or the old one if untouched)
+async function migrateAsset(url) {
+    if (!url) return url;
+    if (getKeyFromUrl(url)) {
+        report.assets.managed++;
+        return url;
+    }
+    if (!url.startsWith('/uploads/')) return url;
+
+    const key = url.slice('/uploads/'.length);
+    const localPath = path.join(legacyDir, key);
+    if (!fs.existsSync(localPath)) {
+        report.assets.missing.push(url);
+        return url;
+    }
+
+    report.assets.copied++;
+    if (dryRun) return url;
+
+    await uploadFile(key, localPath, mime.lookup(localPath) || 'application/octet-stream');
+    return getS3Url(key);
+}
+
+// Rewrite every asset URL in a series (plain object or document) in place
+async function migrateSeriesAssets(series) {
+    series.thumbnail = await migrateAsset(series.thumbnail);
+    for (const season of series.seasons) {
+        for (const episode of season.episodes) {
+            episode.thumbnail = await migrateAsset(episode.thumbnail);
+            episode.music = await migrateAsset(episode.music);
+            for (const media of episode.media) {
+                const url = await migrateAsset(media.url);
+                if (url !== media.url) {
+                    media.url = url;
+                    media.filename = getKeyFromUrl(url);
+                }
+            }
+        }
+    }
+}
+
+async function migrateProfiles(profiles) {
+    for (const legacy of profiles) {
+        const existing = await Profile.findOne({ legacyId: legacy.id });
+        if (existing) {
+            report.profiles.skipped++;
+            console.log(`   ⏭️  Profile "${legacy.name}" already imported`);
+            continue;
+        }
+
+        report.profiles.created++;
+        console.log(`   ➕ Profile "${legacy.name}"`);
+        if (!dryRun) {
+            await Profile.create({
+                legacyId: legacy.id,
+                name: legacy.name || 'New Profile',
+                avatar: legacy.avatar || '😊',
+                color: legacy.color || '#e50914',
+                createdAt: legacy.createdAt ? new Date(legacy.createdAt) : undefined
+            });
+        }
+    }
+}
+
+async function migrateSeries(seriesList) {
+    for (const legacy of seriesList) {
+        const existing = await Series.findOne({ legacyId: legacy.id });
+        const target = existing || mapSeries(legacy);
+        const episodeCount = target.seasons.reduce((sum, s) => sum + s.episodes.length, 0);
+
+        if (existing) {
+            report.series.skipped++;
+            console.log(`   ⏭️  Series "${legacy.title}" already imported`);
+        } else {
+            report.series.created++;
+            console.log(`   ➕ Series "${legacy.title}" (${episodeCount} episodes)`);
+        }
+
+        if (copyAssets) await migrateSeriesAssets(target);
+        if (dryRun) continue;
+
+        if (existing) {
+            await existing.save();
+        } else {
+            await Series.create(target);
+        }
+    }
+}
+
+async function run() {
+    if (!fs.existsSync(dataFile)) {
+        console.error(`\n❌ Legacy data file not found: ${dataFile}\n`);
+        process.exit(1);
+    }
+
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    await connectDB();
+
+    console.log(`\n🎬 Migrating ${dataFile}${dryRun ? ' (dry run)' : ''}\n`);
+    await migrateProfiles(data.profiles || []);
+    await migrateSeries(data.series || []);
+
+    console.log('\n📋 Migration report' + (dryRun ? ' (dry run - nothing was written)' : ''));
+    console.log(`   Profiles: ${report.profiles.created} created, ${report.profiles.skipped} already imported`);
+    console.log(`   Series:   ${report.series.created} created, ${report.series.skipped} already imported`);
+    if (copyAssets) {
+        console.log(`   Assets:   ${report.assets.copied} ${dryRun ? 'to copy' : 'copied'}, ${report.assets.managed} already in storage, ${report.assets.missing.length} missing`);
+        report.assets.missing.forEach(url => console.log(`      ⚠️  Missing file: ${url}`));
+    }
+    console.log('');
+
+    await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+    console.error('\n❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
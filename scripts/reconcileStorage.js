@@ -0,0 +1,91 @@
+/**
+ * Storage Reconciliation
+ * Compares the files in storage with the URLs the database references, reporting orphans
+ * (files nothing references) and dangling references (URLs whose file is missing), and
+ * optionally deleting orphans. See services/storageReconciler.js.
+ *
+ * Usage:
+ *   node scripts/reconcileStorage.js [--delete] [--dry-run] [--grace-hours <n>] [--json <file>]
+ *
+ *   --delete       Delete orphans last modified more than the grace period ago
+ *   --dry-run      With --delete, only list the orphans that would be deleted
+ *   --grace-hours  Grace period (default STORAGE_ORPHAN_GRACE_HOURS, or 24); newer orphans
+ *                  may be uploads still being attached, so they are never deleted
+ *   --json         Also write the full report to a JSON file
+ *
+ * Safe to run while the API is running.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { reconcileStorage, ORPHAN_GRACE_HOURS } = require('../services/storageReconciler');
+
+const args = process.argv.slice(2);
+const deleteOrphans = args.includes('--delete');
+const dryRun = args.includes('--dry-run');
+const graceArg = args.indexOf('--grace-hours');
+const graceHours = graceArg !== -1 ? parseFloat(args[graceArg + 1]) : ORPHAN_GRACE_HOURS;
+const jsonArg = args.indexOf('--json');
+const jsonPath = jsonArg !== -1 ? args[jsonArg + 1] : null;
+
+// Most entries of each kind printed; the JSON report has them all
+const PRINT_LIMIT = 50;
+
+function printList(entries, format) {
+    entries.slice(0, PRINT_LIMIT).forEach(entry => console.log(`      ${format(entry)}`));
+    if (entries.length > PRINT_LIMIT) {
+        console.log(`      ... and ${entries.length - PRINT_LIMIT} more${jsonPath ? '' : ' (use --json for all)'}`);
+    }
+}
+
+function formatLocation(location) {
+    if (location.uploadSession) return `upload session ${location.uploadSession}`;
+    const where = `"${location.seriesTitle}" ${location.field}`;
+    return location.trashItem ? `trashed ${location.kind} ${location.trashItem}: ${where}` : where;
+}
+
+async function run() {
+    if (isNaN(graceHours) || graceHours < 0) {
+        throw new Error('--grace-hours must be a number of hours');
+    }
+    if (jsonArg !== -1 && !jsonPath) {
+        throw new Error('--json needs a file path');
+    }
+
+    await connectDB();
+    console.log(`\n🧮 Reconciling storage${deleteOrphans ? ` and deleting orphans older than ${graceHours}h` : ''}` +
+        `${dryRun ? ' (dry run)' : ''}\n`);
+
+    const report = await reconcileStorage({ deleteOrphans, dryRun, graceHours });
+
+    console.log(`\n   ${report.objectCount} object(s) in ${report.folders.join(', ')}`);
+    console.log(`   ${report.referenceCount} referenced key(s)\n`);
+
+    const pastGrace = report.orphans.filter(orphan => orphan.pastGrace).length;
+    console.log(`   🗑️  ${report.orphans.length} orphan(s), ${(report.orphanBytes / 1024 / 1024).toFixed(1)} MB ` +
+        `(${pastGrace} older than ${graceHours}h)`);
+    printList(report.orphans, orphan => `${orphan.key} (${orphan.size} bytes, ${new Date(orphan.lastModified).toISOString()})`);
+
+    console.log(`\n   🔗 ${report.dangling.length} dangling reference(s)`);
+    printList(report.dangling, ({ key, locations }) => `${key} <- ${locations.map(formatLocation).join('; ')}`);
+
+    if (deleteOrphans) {
+        console.log(`\n   ${dryRun ? '🔎 Would delete' : '✅ Deleted'} ${report.deleted.length} orphan(s)`);
+    }
+
+    if (jsonPath) {
+        await fs.promises.writeFile(jsonPath, JSON.stringify(report, null, 2));
+        console.log(`\n   📄 Report written to ${jsonPath}`);
+    }
+    console.log('');
+
+    await mongoose.disconnect();
+}
+
+run().catch(async (error) => {
+    console.error('\n❌ Reconciliation failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,179 @@
+/**
+ * Asset Registry
+ * Media files are stored once per distinct content. Each upload is hashed (SHA-256) and
+ * registered in models/Asset.js with a count of the media items using it: an upload whose
+ * content is already stored gives way to the existing object, and a file (with its
+ * transcode output) is only deleted when its last reference goes away. Files stored
+ * before the registry existed aren't registered and belong to one media item each.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { generateKey, uploadFile, getObjectStream, headObject, deleteFromS3 } = require('../config/s3');
+const Asset = require('../models/Asset');
+
+// Hex SHA-256 of everything a readable stream yields
+async function hashStream(stream) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of stream) hash.update(chunk);
+    return hash.digest('hex');
+}
+
+async function hashFile(filePath) {
+    return hashStream(fs.createReadStream(filePath));
+}
+
+async function hashObject(key) {
+    return hashStream(await getObjectStream(key));
+}
+
+/**
+ * Take another reference on a registered file. Resolves to false if the key isn't registered.
+ */
+async function acquireAsset(key) {
+    if (!key) return false;
+    return !!await Asset.findOneAndUpdate({ key }, { $inc: { refCount: 1 } });
+}
+
+/**
+ * Drop a reference on a file. Resolves to true when the caller should delete the file: it
+ * was the last reference, or the file isn't registered.
+ */
+async function releaseAsset(key) {
+    if (!key) return false;
+    const asset = await Asset.findOneAndUpdate({ key }, { $inc: { refCount: -1 } }, { new: true });
+    if (!asset) return true;
+    if (asset.refCount > 0) return false;
+
+    // Unless a new reference was taken in the meantime
+    const { deletedCount } = await Asset.deleteOne({ _id: asset._id, refCount: { $lte: 0 } });
+    return deletedCount > 0;
+}
+
+/**
+ * Drop a reference on a file that ended up unused (e.g. a failed import), deleting it if
+ * nothing else uses it
+ */
+async function discardAsset(key) {
+    if (await releaseAsset(key)) await deleteFromS3(key);
+}
+
+/**
+ * Number of media items referencing a registered file (0 if it isn't registered)
+ */
+async function countReferences(key) {
+    const asset = key && await Asset.findOne({ key }).select('refCount').lean();
+    return asset ? Math.max(asset.refCount, 0) : 0;
+}
+
+/**
+ * Register a stored object under its content hash, taking a reference. If the same content
+ * is already stored, the new object is deleted and the existing one used instead.
+ * Resolves to the key media should point at.
+ */
+async function registerObject(key, hash, size) {
+    const existing = await Asset.findOneAndUpdate({ hash }, { $inc: { refCount: 1 } }, { new: true });
+    if (existing) {
+        if (existing.key === key) return key;
+        if (await headObject(existing.key)) {
+            await deleteFromS3(key);
+            return existing.key;
+        }
+        // The stored copy went missing, so this one replaces it
+        await Asset.updateOne({ _id: existing._id }, { key, size, refCount: 1 });
+        return key;
+    }
+
+    try {
+        await Asset.create({ key, hash, size });
+    } catch (error) {
+        // Another upload of the same content was registered first
+        if (error.code === 11000 && await Asset.exists({ hash })) return registerObject(key, hash, size);
+        throw error;
+    }
+    return key;
+}
+
+/**
+ * Register uploaded media files ({ key, originalName, contentHash, size }), hashing those
+ * without a contentHash from storage. Resolves to the files with key set to the object
+ * to use and contentHash filled in.
+ */
+async function registerUploads(files) {
+    const registered = [];
+    for (const file of files) {
+        const contentHash = file.contentHash || await hashObject(file.key);
+        const key = await registerObject(file.key, contentHash, file.size);
+        registered.push({ ...file, key, contentHash });
+    }
+    return registered;
+}
+
+/**
+ * Store a media file from disk in a folder, unless the same content is already stored.
+ * Resolves to { key, contentHash }, with a reference taken on the key.
+ */
+async function storeFile(folder, filePath, originalName, contentType) {
+    const contentHash = await hashFile(filePath);
+
+    const existing = await Asset.findOne({ hash: contentHash }).select('key').lean();
+    if (existing && await headObject(existing.key) && await acquireAsset(existing.key)) {
+        return { key: existing.key, contentHash };
+    }
+
+    const key = generateKey(folder, originalName);
+    const { size } = await fs.promises.stat(filePath);
+    await uploadFile(key, filePath, contentType);
+    return { key: await registerObject(key, contentHash, size), contentHash };
+}
+
+/**
+ * Media of a series with the same content, as groups of two or more in series order:
+ * [{ contentHash, count, sharedFile, media: [{ mediaId, seasonId, episodeId, episodeTitle,
+ * originalName, type, url }] }]. Media uploaded before hashing is matched by stored file only.
+ */
+function findDuplicateMedia(series) {
+    const groups = new Map();
+    for (const season of series.seasons) {
+        for (const episode of season.episodes) {
+            for (const media of episode.media) {
+                const id = media.contentHash || (media.url && `url:${media.url}`);
+                if (!id) continue;
+                if (!groups.has(id)) groups.set(id, { contentHash: media.contentHash || null, media: [] });
+                groups.get(id).media.push({
+                    mediaId: media._id,
+                    seasonId: season._id,
+                    episodeId: episode._id,
+                    episodeTitle: episode.title,
+                    originalName: media.originalName,
+                    type: media.type,
+                    url: media.url
+                });
+            }
+        }
+    }
+
+    return [...groups.values()]
+        .filter(group => group.media.length > 1)
+        .map(({ contentHash, media }) => ({
+            contentHash,
+            count: media.length,
+            // Whether the copies already share one stored file (so removing some frees no space)
+            sharedFile: media.every(item => item.url === media[0].url),
+            media
+        }));
+}
+
+module.exports = {
+    hashStream,
+    hashFile,
+    hashObject,
+    acquireAsset,
+    releaseAsset,
+    discardAsset,
+    countReferences,
+    registerObject,
+    registerUploads,
+    storeFile,
+    findDuplicateMedia
+};
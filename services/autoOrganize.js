@@ -0,0 +1,162 @@
+/**
+ * Auto-Organize
+ * Groups a bulk import of media into seasons and episodes by capture date.
+ *
+ * Strategies:
+ *   year-month   a season per year, an episode per month ("June 2024")
+ *   year-season  a season per year, an episode per season of the year ("Summer 2024")
+ *   events       a season per year, an episode per burst of activity; a gap of more
+ *                than gapHours between two captures starts a new episode
+ *
+ * When there are more groups than the series caps allow, the adjacent groups spanning
+ * the least time are merged ("June – August 2024").
+ * Dates are read in UTC, which is how EXIF times without a zone are parsed on the server.
+ */
+
+const STRATEGIES = ['year-month', 'year-season', 'events'];
+const DEFAULT_GAP_HOURS = 48;
+
+const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+const YEAR_SEASONS = ['Winter', 'Spring', 'Summer', 'Autumn'];
+
+// Meteorological season; December counts towards the following year's winter
+function yearSeason(date) {
+    const month = date.getUTCMonth();
+    return {
+        index: Math.floor(((month + 1) % 12) / 3),
+        year: date.getUTCFullYear() + (month === 11 ? 1 : 0)
+    };
+}
+
+// "June 2024", "June – August 2024", "December 2023 – January 2024"
+function labelRange(startLabel, startYear, endLabel, endYear) {
+    if (startYear !== endYear) return `${startLabel} ${startYear} – ${endLabel} ${endYear}`;
+    if (startLabel === endLabel) return `${startLabel} ${startYear}`;
+    return `${startLabel} – ${endLabel} ${startYear}`;
+}
+
+// "June 12, 2024", "June 12–14, 2024", "June 30 – July 2, 2024"
+function dayRange(start, end) {
+    const [sm, sd, sy] = [start.getUTCMonth(), start.getUTCDate(), start.getUTCFullYear()];
+    const [em, ed, ey] = [end.getUTCMonth(), end.getUTCDate(), end.getUTCFullYear()];
+    if (sy !== ey) return `${MONTHS[sm]} ${sd}, ${sy} – ${MONTHS[em]} ${ed}, ${ey}`;
+    if (sm !== em) return `${MONTHS[sm]} ${sd} – ${MONTHS[em]} ${ed}, ${sy}`;
+    if (sd !== ed) return `${MONTHS[sm]} ${sd}–${ed}, ${sy}`;
+    return `${MONTHS[sm]} ${sd}, ${sy}`;
+}
+
+// Per strategy: the key of the episode a date falls in, the year its season belongs to,
+// and the title of an episode covering a date range
+const GROUPINGS = {
+    'year-month': {
+        episodeKey: date => `${date.getUTCFullYear()}-${date.getUTCMonth()}`,
+        seasonYear: date => date.getUTCFullYear(),
+        title: (start, end) => labelRange(
+            MONTHS[start.getUTCMonth()], start.getUTCFullYear(),
+            MONTHS[end.getUTCMonth()], end.getUTCFullYear()
+        )
+    },
+    'year-season': {
+        episodeKey: date => {
+            const { index, year } = yearSeason(date);
+            return `${year}-${index}`;
+        },
+        seasonYear: date => yearSeason(date).year,
+        title: (start, end) => {
+            const first = yearSeason(start);
+            const last = yearSeason(end);
+            return labelRange(YEAR_SEASONS[first.index], first.year, YEAR_SEASONS[last.index], last.year);
+        }
+    },
+    events: {
+        seasonYear: date => date.getUTCFullYear(),
+        title: dayRange
+    }
+};
+
+// Split date-sorted items into runs, starting a new run whenever isBreak(previous, item)
+function splitRuns(items, isBreak) {
+    const runs = [];
+    items.forEach((item, i) => {
+        if (i === 0 || isBreak(items[i - 1], item)) runs.push([]);
+        runs[runs.length - 1].push(item);
+    });
+    return runs;
+}
+
+// Merge adjacent groups ({ start, end }) until at most max remain, always merging the
+// pair spanning the least time
+function mergeToLimit(groups, max, merge) {
+    const result = [...groups];
+    while (result.length > max) {
+        let best = 0;
+        for (let i = 1; i < result.length - 1; i++) {
+            if (result[i + 1].end - result[i].start < result[best + 1].end - result[best].start) best = i;
+        }
+        result.splice(best, 2, merge(result[best], result[best + 1]));
+    }
+    return result;
+}
+
+/**
+ * Group items ({ takenAt, ... }) into seasons of episodes.
+ * Returns { seasons: [{ title, start, end, episodes: [{ title, start, end, items }] }], undated: [items] }
+ */
+function organizeByDate(items, {
+    strategy = 'year-month',
+    gapHours = DEFAULT_GAP_HOURS,
+    maxSeasons,
+    maxEpisodesPerSeason
+}) {
+    const grouping = GROUPINGS[strategy];
+    if (!grouping) {
+        throw new Error(`Invalid strategy. Use one of: ${STRATEGIES.join(', ')}`);
+    }
+
+    const dated = items
+        .filter(item => item.takenAt)
+        .sort((a, b) => a.takenAt - b.takenAt);
+    const undated = items.filter(item => !item.takenAt);
+
+    const gap = gapHours * 60 * 60 * 1000;
+    const episodeRuns = strategy === 'events'
+        ? splitRuns(dated, (prev, item) => item.takenAt - prev.takenAt > gap)
+        : splitRuns(dated, (prev, item) => grouping.episodeKey(prev.takenAt) !== grouping.episodeKey(item.takenAt));
+
+    const makeEpisode = (episodeItems) => {
+        const start = episodeItems[0].takenAt;
+        const end = episodeItems[episodeItems.length - 1].takenAt;
+        return { title: grouping.title(start, end), start, end, items: episodeItems };
+    };
+    const mergeEpisodes = (a, b) => makeEpisode([...a.items, ...b.items]);
+
+    const makeSeason = (episodes) => {
+        const start = episodes[0].start;
+        const end = episodes[episodes.length - 1].end;
+        const startYear = grouping.seasonYear(start);
+        const endYear = grouping.seasonYear(end);
+        return {
+            title: startYear === endYear ? String(startYear) : `${startYear} – ${endYear}`,
+            start,
+            end,
+            episodes
+        };
+    };
+    const mergeSeasons = (a, b) => makeSeason([...a.episodes, ...b.episodes]);
+
+    const episodes = episodeRuns.map(makeEpisode);
+    const seasonRuns = splitRuns(episodes, (prev, episode) => grouping.seasonYear(prev.start) !== grouping.seasonYear(episode.start));
+    const seasons = mergeToLimit(seasonRuns.map(makeSeason), maxSeasons, mergeSeasons)
+        .map(season => makeSeason(mergeToLimit(season.episodes, maxEpisodesPerSeason, mergeEpisodes)));
+
+    return { seasons, undated };
+}
+
+module.exports = {
+    STRATEGIES,
+    DEFAULT_GAP_HOURS,
+    organizeByDate
+};
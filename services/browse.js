@@ -0,0 +1,204 @@
+/**
+ * Browse
+ * The home page: ready-made rows of lightweight series cards and a featured hero
+ * series, all limited to what the active profile can see.
+ *
+ * Rows: continue-watching and my-list (with a profile), recently-added,
+ * recently-updated, and one row per popular tag ("tag:<tag>").
+ *
+ * The hero is picked from the visible series that have media and an image and that
+ * the profile hasn't rated down, preferring ones added or updated in the last
+ * HERO_FRESH_DAYS. It changes every BROWSE_HERO_ROTATION_HOURS, and different
+ * profiles see different picks within the same period.
+ */
+
+const Profile = require('../models/Profile');
+const Rating = require('../models/Rating');
+const Series = require('../models/Series');
+const { visibleSeriesFilter } = require('./seriesAccess');
+const { SUMMARY_FIELDS } = require('./seriesList');
+const { getContinueWatching } = require('./watchProgress');
+
+const ROW_LIMIT = 20;
+const MAX_ROW_LIMIT = 50;
+const TAG_ROWS = parseInt(process.env.BROWSE_TAG_ROWS) || 5;
+const HERO_ROTATION_HOURS = parseFloat(process.env.BROWSE_HERO_ROTATION_HOURS) || 24;
+const HERO_FRESH_DAYS = 14;
+
+// Card fields; counts come from the denormalized stats, so seasons and media never leave the database
+const SUMMARY_PROJECTION = Object.fromEntries(SUMMARY_FIELDS.map(field => [field, 1]));
+
+/**
+ * Page of series cards matching a filter, in the given order.
+ * Resolves to { items, nextOffset } where nextOffset is null on the last page.
+ */
+async function findSummaries(profileId, match, sort, offset, limit) {
+    const items = await Series.aggregate([
+        { $match: { $and: [visibleSeriesFilter(profileId), match] } },
+        { $sort: { ...sort, _id: -1 } },
+        { $skip: offset },
+        { $limit: limit + 1 },
+        { $project: SUMMARY_PROJECTION }
+    ]);
+    return page(items, offset, limit);
+}
+
+// Trim an over-fetched list (limit + 1 items) to a page
+function page(items, offset, limit) {
+    return {
+        items: items.slice(0, limit),
+        nextOffset: items.length > limit ? offset + limit : null
+    };
+}
+
+// Cards for a list of series ids, kept in that order
+async function summariesInOrder(profileId, seriesIds) {
+    const items = await Series.aggregate([
+        { $match: { $and: [visibleSeriesFilter(profileId), { _id: { $in: seriesIds } }] } },
+        { $project: SUMMARY_PROJECTION }
+    ]);
+    const byId = new Map(items.map(item => [item._id.toString(), item]));
+    return seriesIds.map(id => byId.get(id.toString())).filter(Boolean);
+}
+
+// Row definitions: title, and a loader for a page of items
+const ROWS = {
+    'continue-watching': {
+        title: 'Continue Watching',
+        requiresProfile: true,
+        load: async (profileId, offset, limit) =>
+            page((await getContinueWatching(profileId, offset + limit + 1)).slice(offset), offset, limit)
+    },
+    'my-list': {
+        title: 'My List',
+        requiresProfile: true,
+        load: async (profileId, offset, limit) => {
+            const profile = await Profile.findById(profileId).select('myList').lean();
+            const items = await summariesInOrder(profileId, (profile ? profile.myList : []).map(entry => entry.series));
+            return page(items.slice(offset, offset + limit + 1), offset, limit);
+        }
+    },
+    'recently-added': {
+        title: 'Recently Added',
+        load: (profileId, offset, limit) => findSummaries(profileId, {}, { createdAt: -1 }, offset, limit)
+    },
+    'recently-updated': {
+        title: 'Recently Updated',
+        // Series never changed since they were created are already in Recently Added
+        load: (profileId, offset, limit) => findSummaries(
+            profileId, { $expr: { $gt: ['$updatedAt', '$createdAt'] } }, { updatedAt: -1 }, offset, limit
+        )
+    }
+};
+
+const TAG_ROW_PREFIX = 'tag:';
+
+/**
+ * Definition of a row by id, or null if there is no such row
+ */
+function getRow(rowId) {
+    if (rowId.startsWith(TAG_ROW_PREFIX)) {
+        const tag = rowId.slice(TAG_ROW_PREFIX.length);
+        if (!tag) return null;
+        return {
+            title: tag,
+            load: (profileId, offset, limit) => findSummaries(profileId, { tags: tag }, { updatedAt: -1 }, offset, limit)
+        };
+    }
+    return ROWS[rowId] || null;
+}
+
+/**
+ * One page of a row: { id, title, items, nextOffset }
+ */
+async function loadRow(rowId, profileId, { offset = 0, limit = ROW_LIMIT } = {}) {
+    const row = getRow(rowId);
+    if (!row || (row.requiresProfile && !profileId)) return null;
+
+    const { items, nextOffset } = await row.load(profileId, offset, limit);
+    return { id: rowId, title: row.title, items, nextOffset };
+}
+
+/**
+ * The most used tags among the series a profile can see
+ */
+async function popularTags(profileId, count) {
+    const tags = await Series.aggregate([
+        { $match: visibleSeriesFilter(profileId) },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: count }
+    ]);
+    return tags.map(tag => tag._id);
+}
+
+// Small stable hash so each profile gets its own hero rotation
+function hashString(value) {
+    let hash = 0;
+    for (const char of value) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * The featured series for a profile right now: { series, rotatesAt }, or null if
+ * nothing qualifies
+ */
+async function pickHero(profileId, now = new Date()) {
+    const match = {
+        'stats.mediaCount': { $gt: 0 },
+        $or: [{ heroImage: { $nin: [null, ''] } }, { thumbnail: { $nin: [null, ''] } }]
+    };
+    if (profileId) {
+        const disliked = await Rating.find({ profile: profileId, episode: null, value: -1 }).distinct('series');
+        match._id = { $nin: disliked };
+    }
+
+    const candidates = await Series.aggregate([
+        { $match: { $and: [visibleSeriesFilter(profileId), match] } },
+        { $sort: { _id: 1 } },
+        { $project: SUMMARY_PROJECTION }
+    ]);
+    if (candidates.length === 0) return null;
+
+    const freshSince = new Date(now.getTime() - HERO_FRESH_DAYS * 24 * 60 * 60 * 1000);
+    const fresh = candidates.filter(s => s.createdAt >= freshSince || s.updatedAt >= freshSince);
+    const pool = fresh.length > 0 ? fresh : candidates;
+
+    const rotationMs = HERO_ROTATION_HOURS * 60 * 60 * 1000;
+    const slot = Math.floor(now.getTime() / rotationMs);
+    const index = (slot + hashString(String(profileId || ''))) % pool.length;
+
+    return { series: pool[index], rotatesAt: new Date((slot + 1) * rotationMs) };
+}
+
+/**
+ * The whole home page: { hero, rows }, with the first page of every non-empty row
+ */
+async function getBrowse(profileId, { limit = ROW_LIMIT } = {}) {
+    const rowIds = [
+        ...(profileId ? ['continue-watching', 'my-list'] : []),
+        'recently-added',
+        'recently-updated',
+        ...(await popularTags(profileId, TAG_ROWS)).map(tag => TAG_ROW_PREFIX + tag)
+    ];
+
+    const rows = [];
+    for (const rowId of rowIds) {
+        const row = await loadRow(rowId, profileId, { limit });
+        if (row.items.length > 0) rows.push(row);
+    }
+
+    return { hero: await pickHero(profileId), rows };
+}
+
+module.exports = {
+    ROW_LIMIT,
+    MAX_ROW_LIMIT,
+    SUMMARY_PROJECTION,
+    loadRow,
+    pickHero,
+    getBrowse
+};
@@ -0,0 +1,134 @@
+/**
+ * Collections
+ * Tag and people counts across media, and virtual "collections": every media item with a
+ * tag or showing a person, across all series a profile can see, presented like an
+ * auto-generated episode.
+ */
+
+const Series = require('../models/Series');
+const { visibleSeriesFilter } = require('./seriesAccess');
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One document per media item of the visible series matching `match`, with where it lives
+function mediaStages(profileId, match) {
+    return [
+        { $match: { $and: [visibleSeriesFilter(profileId), match] } },
+        { $unwind: { path: '$seasons', includeArrayIndex: 'seasonIndex' } },
+        { $unwind: { path: '$seasons.episodes', includeArrayIndex: 'episodeIndex' } },
+        { $unwind: { path: '$seasons.episodes.media', includeArrayIndex: 'mediaIndex' } },
+        {
+            $replaceRoot: {
+                newRoot: {
+                    $mergeObjects: ['$seasons.episodes.media', {
+                        seriesId: '$_id',
+                        seriesTitle: '$title',
+                        seasonId: '$seasons._id',
+                        seasonTitle: '$seasons.title',
+                        episodeId: '$seasons.episodes._id',
+                        episodeTitle: '$seasons.episodes.title',
+                        seasonIndex: '$seasonIndex',
+                        episodeIndex: '$episodeIndex',
+                        mediaIndex: '$mediaIndex'
+                    }]
+                }
+            }
+        }
+    ];
+}
+
+/**
+ * Media tags with how many items and series use them, most used first
+ */
+async function countTags(profileId) {
+    return Series.aggregate([
+        ...mediaStages(profileId, { 'seasons.episodes.media.tags.0': { $exists: true } }),
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 }, series: { $addToSet: '$seriesId' } } },
+        { $project: { _id: 0, tag: '$_id', count: 1, seriesCount: { $size: '$series' } } },
+        { $sort: { count: -1, tag: 1 } }
+    ]);
+}
+
+/**
+ * People with how many items and series show them, most seen first.
+ * Names differing only in case are counted together.
+ */
+async function countPeople(profileId) {
+    return Series.aggregate([
+        ...mediaStages(profileId, { 'seasons.episodes.media.people.0': { $exists: true } }),
+        { $unwind: '$people' },
+        {
+            $group: {
+                _id: { $toLower: '$people.name' },
+                name: { $first: '$people.name' },
+                count: { $sum: 1 },
+                series: { $addToSet: '$seriesId' }
+            }
+        },
+        { $project: { _id: 0, name: 1, count: 1, seriesCount: { $size: '$series' } } },
+        { $sort: { count: -1, name: 1 } }
+    ]);
+}
+
+/**
+ * A virtual episode of every visible media item with a tag ({ tag }) or showing a
+ * person ({ person }), in capture date order (undated items last).
+ * Resolves to null when nothing matches.
+ */
+async function getCollection(profileId, { tag, person }, { offset = 0, limit = 50 } = {}) {
+    let seriesMatch;
+    let mediaMatch;
+    if (tag) {
+        seriesMatch = { 'seasons.episodes.media.tags': tag };
+        mediaMatch = { tags: tag };
+    } else {
+        const name = new RegExp(`^${escapeRegExp(person)}$`, 'i');
+        seriesMatch = { 'seasons.episodes.media.people.name': name };
+        mediaMatch = { 'people.name': name };
+    }
+
+    const [result] = await Series.aggregate([
+        ...mediaStages(profileId, seriesMatch),
+        { $match: mediaMatch },
+        { $addFields: { hasTakenAt: { $cond: [{ $ifNull: ['$metadata.takenAt', false] }, 1, 0] } } },
+        { $sort: { hasTakenAt: -1, 'metadata.takenAt': 1, seriesId: 1, seasonIndex: 1, episodeIndex: 1, mediaIndex: 1 } },
+        { $project: { hasTakenAt: 0, seasonIndex: 0, episodeIndex: 0, mediaIndex: 0 } },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                cover: [{ $match: { type: 'image' } }, { $limit: 1 }, { $project: { url: 1 } }],
+                // People keep their display name from the first item
+                names: [{ $limit: 1 }, { $project: { people: 1 } }],
+                media: [{ $skip: offset }, { $limit: limit }]
+            }
+        }
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    if (total === 0) return null;
+
+    let title = tag;
+    if (person) {
+        const first = result.names[0].people.find(p => p.name.toLowerCase() === person.toLowerCase());
+        title = first ? first.name : person;
+    }
+
+    return {
+        _id: tag ? `tag:${tag}` : `person:${title.toLowerCase()}`,
+        kind: tag ? 'tag' : 'person',
+        title,
+        thumbnail: result.cover.length > 0 ? result.cover[0].url : null,
+        media: result.media,
+        mediaTotal: total,
+        nextOffset: offset + limit < total ? offset + limit : null
+    };
+}
+
+module.exports = {
+    countTags,
+    countPeople,
+    getCollection
+};
@@ -0,0 +1,86 @@
+/**
+ * ffmpeg Helpers
+ * Thin wrappers around the ffmpeg and ffprobe binaries (FFMPEG_PATH / FFPROBE_PATH)
+ */
+
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Run a binary, resolving with stdout and rejecting with the tail of stderr
+function run(binary, args, onStdout) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(binary, args);
+        let stdout = '';
+        let stderr = '';
+
+        child.stdout.on('data', chunk => {
+            if (onStdout) onStdout(chunk.toString());
+            else stdout += chunk;
+        });
+        child.stderr.on('data', chunk => {
+            stderr = (stderr + chunk).slice(-4000);
+        });
+        child.on('error', error => {
+            reject(error.code === 'ENOENT'
+                ? new Error(`${binary} not found. Install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH`)
+                : error);
+        });
+        child.on('close', code => {
+            if (code === 0) return resolve(stdout);
+            const lastLines = stderr.trim().split('\n').slice(-3).join(' | ');
+            reject(new Error(`${binary} exited with code ${code}: ${lastLines}`));
+        });
+    });
+}
+
+/**
+ * Run ffmpeg with the given arguments.
+ * If duration (seconds) and onProgress are given, onProgress receives 0-100 as it encodes.
+ */
+function runFfmpeg(args, { duration, onProgress } = {}) {
+    const reportProgress = duration && onProgress
+        ? (output) => {
+            const match = output.match(/out_time_us=(\d+)/g);
+            if (!match) return;
+            const seconds = parseInt(match[match.length - 1].split('=')[1]) / 1e6;
+            onProgress(Math.min((seconds / duration) * 100, 100));
+        }
+        : () => {};
+
+    return run(FFMPEG_PATH, ['-hide_banner', '-y', '-nostats', '-progress', 'pipe:1', ...args], reportProgress);
+}
+
+/**
+ * Read container and stream information with ffprobe
+ */
+async function probe(filePath) {
+    const output = await run(FFPROBE_PATH, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        filePath
+    ]);
+    return JSON.parse(output);
+}
+
+/**
+ * Check whether ffmpeg can be run, logging a warning if not
+ */
+async function checkFfmpeg() {
+    try {
+        await run(FFMPEG_PATH, ['-version']);
+        return true;
+    } catch (error) {
+        console.warn(`[FFMPEG] ⚠️  ${error.message}. Media processing jobs will fail until it is available.`);
+        return false;
+    }
+}
+
+module.exports = {
+    runFfmpeg,
+    probe,
+    checkFfmpeg
+};
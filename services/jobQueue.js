@@ -0,0 +1,169 @@
+/**
+ * Job Queue
+ * Runs background jobs stored in MongoDB. Handlers are registered per job type:
+ *
+ *   registerJobHandler('transcode', {
+ *       run: async (job, { setProgress }) => result,
+ *       onFailure: async (job, error, willRetry) => {},   // optional
+ *       onRetry: async (job) => {}                         // optional, manual retry via the API
+ *   });
+ */
+
+const Job = require('../models/Job');
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+// First retry waits this long, doubling after each failed attempt
+const RETRY_DELAY = 30 * 1000;
+
+const handlers = {};
+let workerStarted = false;
+let activeJobs = 0;
+
+/**
+ * Register the handler for a job type
+ */
+function registerJobHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+/**
+ * Job types with a registered handler
+ */
+function getJobTypes() {
+    return Object.keys(handlers);
+}
+
+/**
+ * Queue a job, returning the created Job document.
+ * With options.unique, an identical job that is still queued is returned instead.
+ */
+async function enqueueJob(type, payload, options = {}) {
+    if (options.unique) {
+        const existing = await Job.findOne({ type, payload, status: 'queued' });
+        if (existing) return existing;
+    }
+
+    const job = await Job.create({
+        type,
+        payload,
+        maxAttempts: options.maxAttempts,
+        runAt: options.runAt
+    });
+    console.log(`[JOBS] ➕ Queued ${type} job ${job._id}`);
+    if (workerStarted) setImmediate(pollJobs);
+    return job;
+}
+
+/**
+ * Put a failed job back in the queue with a fresh set of attempts
+ */
+async function retryJob(job) {
+    job.status = 'queued';
+    job.attempts = 0;
+    job.error = null;
+    job.progress = 0;
+    job.result = undefined;
+    job.runAt = new Date();
+    job.finishedAt = undefined;
+    await job.save();
+
+    const handler = handlers[job.type];
+    if (handler && handler.onRetry) await handler.onRetry(job);
+
+    console.log(`[JOBS] 🔁 Retrying ${job.type} job ${job._id}`);
+    if (workerStarted) setImmediate(pollJobs);
+    return job;
+}
+
+// Atomically claim the next due job of a type this process can run
+async function claimNextJob() {
+    return Job.findOneAndUpdate(
+        { status: 'queued', runAt: { $lte: new Date() }, type: { $in: Object.keys(handlers) } },
+        { $set: { status: 'running', startedAt: new Date(), progress: 0 }, $inc: { attempts: 1 } },
+        { sort: { runAt: 1 }, new: true }
+    );
+}
+
+async function runJob(job) {
+    const handler = handlers[job.type];
+    let lastProgressWrite = 0;
+
+    // Progress is written at most every 2 seconds to keep Mongo writes down. It never rejects,
+    // as handlers pass it to ffmpeg progress callbacks that don't wait for it.
+    const setProgress = async (progress) => {
+        const now = Date.now();
+        if (now - lastProgressWrite < 2000) return;
+        lastProgressWrite = now;
+        try {
+            await Job.updateOne({ _id: job._id }, { progress: Math.min(Math.round(progress), 99) });
+        } catch (error) {
+            console.error(`[JOBS] ⚠️  Could not save progress of ${job.type} job ${job._id}:`, error.message);
+        }
+    };
+
+    console.log(`[JOBS] ▶️  Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    try {
+        const result = await handler.run(job, { setProgress });
+        await Job.updateOne({ _id: job._id }, {
+            status: 'completed',
+            result,
+            error: null,
+            progress: 100,
+            finishedAt: new Date()
+        });
+        console.log(`[JOBS] ✅ Completed ${job.type} job ${job._id}`);
+    } catch (error) {
+        const willRetry = job.attempts < job.maxAttempts;
+        await Job.updateOne({ _id: job._id }, willRetry
+            ? { status: 'queued', error: error.message, runAt: new Date(Date.now() + RETRY_DELAY * 2 ** (job.attempts - 1)) }
+            : { status: 'failed', error: error.message, finishedAt: new Date() });
+        console.error(`[JOBS] ❌ ${job.type} job ${job._id} failed${willRetry ? ', will retry' : ''}:`, error.message);
+
+        if (handler.onFailure) {
+            await handler.onFailure(job, error, willRetry).catch(hookError => {
+                console.error(`[JOBS] ❌ Failure hook for job ${job._id} failed:`, hookError.message);
+            });
+        }
+    }
+}
+
+// Start as many due jobs as there are free worker slots
+async function pollJobs() {
+    try {
+        while (activeJobs < CONCURRENCY) {
+            const job = await claimNextJob();
+            if (!job) break;
+            activeJobs++;
+            runJob(job).finally(() => {
+                activeJobs--;
+                setImmediate(pollJobs);
+            });
+        }
+    } catch (error) {
+        console.error('[JOBS] ❌ Failed to poll for jobs:', error.message);
+    }
+}
+
+/**
+ * Start polling for jobs. Jobs left 'running' by a previous process are re-queued.
+ */
+async function startJobWorker() {
+    const { modifiedCount } = await Job.updateMany({ status: 'running' }, { status: 'queued', runAt: new Date() });
+    if (modifiedCount > 0) {
+        console.log(`[JOBS] 🔁 Re-queued ${modifiedCount} job(s) interrupted by a restart`);
+    }
+
+    workerStarted = true;
+    setInterval(pollJobs, POLL_INTERVAL).unref();
+    pollJobs();
+    console.log(`[JOBS] 👷 Worker started (${Object.keys(handlers).join(', ')})`);
+}
+
+module.exports = {
+    registerJobHandler,
+    getJobTypes,
+    enqueueJob,
+    retryJob,
+    startJobWorker
+};
@@ -0,0 +1,123 @@
+/**
+ * Library
+ * Per-profile "My List" and thumbs up/down ratings, and the annotations that show
+ * them on series listings.
+ */
+
+const mongoose = require('mongoose');
+const Profile = require('../models/Profile');
+const Rating = require('../models/Rating');
+const Series = require('../models/Series');
+const { visibleSeriesFilter } = require('./seriesAccess');
+
+// API values of a rating and how they are stored
+const RATING_VALUES = { up: 1, down: -1 };
+
+function ratingName(value) {
+    return Object.keys(RATING_VALUES).find(name => RATING_VALUES[name] === value) || null;
+}
+
+function toObjectIds(ids) {
+    return ids.map(id => new mongoose.Types.ObjectId(String(id)));
+}
+
+/**
+ * The series in a profile's list, in list order, skipping ones it can no longer see
+ */
+async function getMyList(profile) {
+    const seriesIds = profile.myList.map(entry => entry.series);
+    const seriesList = await Series.find({ $and: [{ _id: { $in: seriesIds } }, visibleSeriesFilter(profile._id)] });
+    const seriesById = new Map(seriesList.map(s => [s._id.toString(), s]));
+
+    return profile.myList
+        .filter(entry => seriesById.has(entry.series.toString()))
+        .map(entry => ({ series: seriesById.get(entry.series.toString()), addedAt: entry.addedAt }));
+}
+
+/**
+ * Add a series to a profile's list (at position, default the end). Resolves to false if it was already there.
+ */
+async function addToMyList(profileId, seriesId, position) {
+    const push = { $each: [{ series: seriesId, addedAt: new Date() }] };
+    if (position !== undefined && position !== null) {
+        push.$position = Math.max(parseInt(position) || 0, 0);
+    }
+    const result = await Profile.updateOne(
+        { _id: profileId, 'myList.series': { $ne: seriesId } },
+        { $push: { myList: push } }
+    );
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Set, change or clear (rating null) a profile's rating of a series or one of its episodes
+ */
+async function setRating(profileId, seriesId, episodeId, rating) {
+    const filter = { profile: profileId, series: seriesId, episode: episodeId || null };
+    if (rating === null) {
+        await Rating.deleteOne(filter);
+        return null;
+    }
+    return Rating.findOneAndUpdate(
+        filter,
+        { $set: { value: RATING_VALUES[rating] } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Thumbs up/down counts per series (episode: false) or per episode (episode: true)
+ * Resolves to a Map of id -> { up, down }
+ */
+async function countRatings(seriesIds, { episodes = false } = {}) {
+    const groups = await Rating.aggregate([
+        { $match: { series: { $in: toObjectIds(seriesIds) }, episode: episodes ? { $ne: null } : null } },
+        {
+            $group: {
+                _id: episodes ? '$episode' : '$series',
+                up: { $sum: { $cond: [{ $eq: ['$value', 1] }, 1, 0] } },
+                down: { $sum: { $cond: [{ $eq: ['$value', -1] }, 1, 0] } }
+            }
+        }
+    ]);
+    return new Map(groups.map(g => [g._id.toString(), { up: g.up, down: g.down }]));
+}
+
+/**
+ * Series as JSON with their rating counts and, for a profile, whether they're in
+ * its list and how it rated them
+ */
+async function annotateSeries(seriesList, profileId) {
+    const seriesIds = seriesList.map(s => s._id);
+    const counts = await countRatings(seriesIds);
+
+    let listed = new Set();
+    let myRatings = new Map();
+    if (profileId) {
+        const profile = await Profile.findById(profileId).select('myList').lean();
+        listed = new Set((profile ? profile.myList : []).map(entry => entry.series.toString()));
+        const ratings = await Rating.find({ profile: profileId, series: { $in: seriesIds }, episode: null }).lean();
+        myRatings = new Map(ratings.map(r => [r.series.toString(), ratingName(r.value)]));
+    }
+
+    return seriesList.map(series => {
+        const id = series._id.toString();
+        const data = typeof series.toJSON === 'function' ? series.toJSON() : series;
+        const annotated = { ...data, ratings: counts.get(id) || { up: 0, down: 0 } };
+        if (profileId) {
+            annotated.inMyList = listed.has(id);
+            annotated.myRating = myRatings.get(id) || null;
+        }
+        return annotated;
+    });
+}
+
+module.exports = {
+    RATING_VALUES,
+    ratingName,
+    getMyList,
+    addToMyList,
+    setRating,
+    countRatings,
+    annotateSeries
+};
@@ -0,0 +1,204 @@
+/**
+ * Media Metadata
+ * Extracts capture date, dimensions, duration, codecs, size and GPS from stored media
+ * (EXIF for images, ffprobe for videos) and saves it on the media subdocument. Episode
+ * music only has its duration read, for the episode timeline.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const exifr = require('exifr');
+const sizeOf = require('image-size');
+const { getKeyFromUrl, downloadFile } = require('../config/s3');
+const { probe } = require('./ffmpeg');
+const { enqueueJob } = require('./jobQueue');
+const { findMedia, findEpisode, updateMediaFields, updateEpisodeFields } = require('./seriesAssets');
+const Series = require('../models/Series');
+
+// Parse an ISO 6709 location string as written by phones, e.g. "+37.7858-122.4064+012.000/"
+function parseIso6709(value) {
+    const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(value || '');
+    if (!match) return null;
+    return {
+        latitude: parseFloat(match[1]),
+        longitude: parseFloat(match[2]),
+        altitude: match[3] ? parseFloat(match[3]) : undefined
+    };
+}
+
+function getOrientation(width, height) {
+    if (!width || !height) return undefined;
+    if (width === height) return 'square';
+    return width > height ? 'landscape' : 'portrait';
+}
+
+function validDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+async function extractImageMetadata(filePath) {
+    const exif = await exifr.parse(filePath, { gps: true, translateValues: false }).catch(() => null) || {};
+
+    let width;
+    let height;
+    let format;
+    try {
+        ({ width, height, type: format } = sizeOf(filePath));
+    } catch (error) {
+        width = exif.ExifImageWidth || exif.ImageWidth;
+        height = exif.ExifImageHeight || exif.ImageHeight;
+    }
+
+    // EXIF orientations 5-8 are rotated a quarter turn, so the displayed size is swapped
+    if (exif.Orientation >= 5 && exif.Orientation <= 8) {
+        [width, height] = [height, width];
+    }
+
+    const metadata = {
+        takenAt: validDate(exif.DateTimeOriginal || exif.CreateDate || exif.ModifyDate),
+        width,
+        height,
+        orientation: getOrientation(width, height),
+        codec: format
+    };
+
+    if (typeof exif.latitude === 'number' && typeof exif.longitude === 'number') {
+        metadata.gps = { latitude: exif.latitude, longitude: exif.longitude, altitude: exif.GPSAltitude };
+    }
+    return metadata;
+}
+
+async function extractVideoMetadata(filePath) {
+    const info = await probe(filePath);
+    const video = info.streams.find(s => s.codec_type === 'video') || {};
+    const audio = info.streams.find(s => s.codec_type === 'audio');
+    const tags = info.format.tags || {};
+
+    const rotation = parseInt(
+        (video.tags && video.tags.rotate) ||
+        ((video.side_data_list || []).find(d => d.rotation !== undefined) || {}).rotation ||
+        0
+    );
+    let { width, height } = video;
+    if (Math.abs(rotation) % 180 === 90) {
+        [width, height] = [height, width];
+    }
+
+    const metadata = {
+        takenAt: validDate(tags['com.apple.quicktime.creationdate'] || tags.creation_time),
+        width,
+        height,
+        orientation: getOrientation(width, height),
+        duration: parseFloat(info.format.duration) || undefined,
+        codec: video.codec_name,
+        audioCodec: audio ? audio.codec_name : undefined
+    };
+
+    const gps = parseIso6709(tags['com.apple.quicktime.location.ISO6709'] || tags.location);
+    if (gps) metadata.gps = gps;
+    return metadata;
+}
+
+/**
+ * Extract metadata from a media file on disk
+ */
+async function extractMetadata(filePath, type) {
+    const { size } = await fs.promises.stat(filePath);
+    const metadata = type === 'video'
+        ? await extractVideoMetadata(filePath)
+        : await extractImageMetadata(filePath);
+
+    return { ...metadata, size, extractedAt: new Date() };
+}
+
+/**
+ * Download a stored media item, extract its metadata and save it on the subdocument.
+ * Resolves to the metadata, or null if the media no longer exists.
+ */
+async function extractMediaMetadata(seriesId, mediaId) {
+    const series = await Series.findById(seriesId);
+    const found = series && findMedia(series, mediaId);
+    if (!found) return null;
+
+    const key = getKeyFromUrl(found.media.url);
+    if (!key) {
+        throw new Error('Media is not in managed storage');
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'metadata-'));
+    try {
+        const filePath = path.join(workDir, `source${path.extname(key)}`);
+        await downloadFile(key, filePath);
+
+        const metadata = await extractMetadata(filePath, found.media.type);
+        if (!await updateMediaFields(seriesId, mediaId, { metadata })) return null;
+        return metadata;
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Download an episode's music and save its duration on the episode.
+ * Resolves to the duration, or null if the episode or its music no longer exists.
+ */
+async function extractMusicDuration(seriesId, episodeId) {
+    const series = await Series.findById(seriesId);
+    const found = series && findEpisode(series, episodeId);
+    if (!found || !found.episode.music) return null;
+
+    const key = getKeyFromUrl(found.episode.music);
+    if (!key) {
+        throw new Error('Music is not in managed storage');
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'metadata-'));
+    try {
+        const filePath = path.join(workDir, `music${path.extname(key)}`);
+        await downloadFile(key, filePath);
+
+        const info = await probe(filePath);
+        const duration = parseFloat(info.format.duration) || null;
+        if (!await updateEpisodeFields(seriesId, episodeId, { musicDuration: duration })) return null;
+        return duration;
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Queue metadata extraction for a media item
+ */
+async function queueMetadata(seriesId, mediaId) {
+    return enqueueJob('metadata', { seriesId: String(seriesId), mediaId: String(mediaId) }, { unique: true });
+}
+
+/**
+ * Queue reading the duration of an episode's music
+ */
+async function queueMusicMetadata(seriesId, episodeId) {
+    return enqueueJob('metadata', { seriesId: String(seriesId), episodeId: String(episodeId) }, { unique: true });
+}
+
+async function run(job) {
+    const { seriesId, mediaId, episodeId } = job.payload;
+    if (episodeId) {
+        const musicDuration = await extractMusicDuration(seriesId, episodeId);
+        return musicDuration ? { musicDuration } : { skipped: 'Episode music no longer exists' };
+    }
+
+    const metadata = await extractMediaMetadata(seriesId, mediaId);
+    return metadata ? { metadata } : { skipped: 'Media no longer exists' };
+}
+
+module.exports = {
+    parseIso6709,
+    extractMetadata,
+    extractMediaMetadata,
+    extractMusicDuration,
+    queueMetadata,
+    queueMusicMetadata,
+    metadataJob: { run }
+};
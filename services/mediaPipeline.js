@@ -0,0 +1,59 @@
+/**
+ * Media Pipeline
+ * Background processing queued for media once it has been attached and saved
+ */
+
+const { queueTranscode } = require('./transcoder');
+const { queueMetadata, queueMusicMetadata } = require('./mediaMetadata');
+const { queueEpisodeThumbnail, queueHeroImage } = require('./thumbnails');
+
+/**
+ * Queue processing jobs for media subdocuments newly added to an episode (uploaded, moved or copied)
+ */
+async function processNewMedia(series, episode, mediaItems) {
+    for (const media of mediaItems) {
+        // Bulk imports read metadata before attaching
+        if (!media.metadata || !media.metadata.extractedAt) {
+            await queueMetadata(series._id, media._id);
+        }
+        // Moved and copied videos keep the transcode they already have
+        if (media.type === 'video' && !(media.transcode && media.transcode.status)) {
+            await queueTranscode(series._id, media._id);
+        }
+    }
+
+    // Give thumbnail-less episodes a card image from their first media item
+    if (!episode.thumbnail && episode.media.length > 0) {
+        await queueEpisodeThumbnail(series._id, episode.media[0]._id, { auto: true });
+    }
+}
+
+/**
+ * Refresh the series hero image after an episode thumbnail was uploaded
+ */
+async function processNewThumbnail(series) {
+    await queueHeroImage(series._id);
+}
+
+/**
+ * Read the length of newly attached episode music, for the episode timeline
+ */
+async function processNewMusic(series, episode) {
+    await queueMusicMetadata(series._id, episode._id);
+}
+
+/**
+ * Run the follow-up processing for anything attached through attachUploads
+ */
+async function processUploads(series, episode, slot, result) {
+    if (slot === 'media') await processNewMedia(series, episode, result.files);
+    if (slot === 'thumbnail') await processNewThumbnail(series);
+    if (slot === 'music') await processNewMusic(series, episode);
+}
+
+module.exports = {
+    processNewMedia,
+    processNewThumbnail,
+    processNewMusic,
+    processUploads
+};
@@ -0,0 +1,43 @@
+/**
+ * Profile Data Cleanup
+ * Watch progress, ratings, My List entries and share links point at series and episodes by id.
+ * These remove them when the series, episodes or profile they belong to are deleted.
+ */
+
+const Profile = require('../models/Profile');
+const Rating = require('../models/Rating');
+const ShareLink = require('../models/ShareLink');
+const WatchProgress = require('../models/WatchProgress');
+
+/**
+ * Remove every profile's data about a deleted series, and its share links
+ */
+async function clearSeriesData(seriesId) {
+    await WatchProgress.deleteMany({ series: seriesId });
+    await Rating.deleteMany({ series: seriesId });
+    await Profile.updateMany({ 'myList.series': seriesId }, { $pull: { myList: { series: seriesId } } });
+    await ShareLink.deleteMany({ series: seriesId });
+}
+
+/**
+ * Remove every profile's data about deleted episodes
+ */
+async function clearEpisodeData(episodes) {
+    const episodeIds = episodes.map(episode => episode._id);
+    await WatchProgress.deleteMany({ episode: { $in: episodeIds } });
+    await Rating.deleteMany({ episode: { $in: episodeIds } });
+}
+
+/**
+ * Remove the data a deleted profile kept outside its own document
+ */
+async function clearProfileData(profileId) {
+    await WatchProgress.deleteMany({ profile: profileId });
+    await Rating.deleteMany({ profile: profileId });
+}
+
+module.exports = {
+    clearSeriesData,
+    clearEpisodeData,
+    clearProfileData
+};
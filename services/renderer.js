@@ -0,0 +1,518 @@
+/**
+ * Slideshow Renderer
+ * Renders an episode, a season or a whole series into one MP4, following each episode's
+ * timeline (services/timeline.js): images are shown for their duration (optionally with a
+ * Ken Burns pan/zoom), videos play between their trim points, captions are drawn over the
+ * picture, clips are joined with their transitions, and each episode's music is looped or
+ * trimmed to cover its part of the video. Video clips are silent under the music.
+ *
+ * Every clip is first encoded to a segment of the same size and frame rate, the segments
+ * are joined (in batches, so only a few are decoded at once), then the music is muxed in.
+ * The result is stored under renders/ and recorded as `render` on the episode, season
+ * or series.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getS3Url, getKeyFromUrl, generateKey, downloadFile, uploadFile, deleteFromS3 } = require('../config/s3');
+const { runFfmpeg, probe } = require('./ffmpeg');
+const { enqueueJob } = require('./jobQueue');
+const { findEpisode, findSeason, updateEpisodeFields, updateSeasonFields, deleteAsset } = require('./seriesAssets');
+const { parseSlideDefaults, buildTimeline } = require('./timeline');
+const Series = require('../models/Series');
+
+const RENDER_SCOPES = ['episode', 'season', 'series'];
+const RESOLUTIONS = {
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 }
+};
+const FPS = 30;
+const TITLE_CARD_DURATION = 3;
+// Into and out of title cards
+const CARD_TRANSITION = { type: 'crossfade', duration: 1 };
+// xfade transition names
+const XFADE_TRANSITIONS = {
+    crossfade: 'fade',
+    'fade-black': 'fadeblack',
+    'slide-left': 'slideleft',
+    'slide-right': 'slideright',
+    'wipe-left': 'wipeleft'
+};
+const MUSIC_FADE = 2;
+// Segments joined by one ffmpeg run
+const JOIN_BATCH = 12;
+const MAX_CLIPS = parseInt(process.env.RENDER_MAX_CLIPS) || 300;
+
+/**
+ * Check render options from a request, filling in defaults. Throws on invalid values.
+ *   imageDuration, transition, transitionDuration
+ *                  replace the episodes' slide defaults for this render (media that set
+ *                  their own timing keep it)
+ *   kenBurns       pan/zoom over images (default true)
+ *   titleCards     a card before each episode (default on for seasons and series)
+ *   resolution     720p (default) or 1080p
+ *   musicVolume    0-1 (default 1)
+ */
+function parseRenderOptions(input = {}, scope = 'episode') {
+    const overrides = {};
+    Object.entries(parseSlideDefaults(input)).forEach(([field, value]) => {
+        if (value !== null) overrides[field] = value;
+    });
+
+    const resolution = input.resolution || '720p';
+    if (!RESOLUTIONS[resolution]) {
+        throw new Error(`resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}`);
+    }
+
+    let musicVolume = 1;
+    if (input.musicVolume != null) {
+        musicVolume = Number(input.musicVolume);
+        if (!Number.isFinite(musicVolume) || musicVolume < 0 || musicVolume > 1) {
+            throw new Error('musicVolume must be a number from 0 to 1');
+        }
+    }
+
+    return {
+        ...overrides,
+        kenBurns: input.kenBurns === undefined ? true : Boolean(input.kenBurns),
+        titleCards: input.titleCards === undefined ? scope !== 'episode' : Boolean(input.titleCards),
+        resolution,
+        musicVolume
+    };
+}
+
+/**
+ * The episodes a render covers, with their season, in playback order.
+ * Target: { scope, seasonId, episodeId }. Resolves to null if the target no longer exists.
+ */
+function renderEpisodes(series, { scope, seasonId, episodeId }) {
+    if (scope === 'episode') {
+        const found = findEpisode(series, episodeId);
+        return found && [found];
+    }
+    let seasons = series.seasons;
+    if (scope === 'season') {
+        const season = findSeason(series, seasonId);
+        if (!season) return null;
+        seasons = [season];
+    }
+    return seasons.flatMap(season => season.episodes.map(episode => ({ season, episode })));
+}
+
+// The item of a series that holds a render
+function renderHolder(series, { scope, seasonId, episodeId }) {
+    if (scope === 'series') return series;
+    if (scope === 'season') return findSeason(series, seasonId);
+    const found = findEpisode(series, episodeId);
+    return found && found.episode;
+}
+
+// Atomically set render fields on the item a target points at; resolves to true if it still exists
+async function updateRenderFields(seriesId, { scope, seasonId, episodeId }, fields) {
+    const prefixed = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        prefixed[`render.${field}`] = value;
+    });
+    if (scope === 'episode') return updateEpisodeFields(seriesId, episodeId, prefixed);
+    if (scope === 'season') return updateSeasonFields(seriesId, seasonId, prefixed);
+    const result = await Series.updateOne({ _id: seriesId }, { $set: prefixed });
+    return result.matchedCount > 0;
+}
+
+/**
+ * Number of clips a render would have (media plus title cards)
+ */
+function countClips(series, target, options) {
+    const episodes = (renderEpisodes(series, target) || []).filter(({ episode }) => episode.media.length > 0);
+    const cards = options.titleCards ? episodes.length + (target.scope === 'series' ? 1 : 0) : 0;
+    return episodes.reduce((sum, { episode }) => sum + episode.media.length, cards);
+}
+
+/**
+ * Queue a render of an episode, season or series and mark it as queued. A previous render
+ * stays available until the new one completes.
+ * Target: { scope, seasonId, episodeId }.
+ */
+async function queueRender(seriesId, target, options) {
+    const payload = {
+        seriesId: String(seriesId),
+        scope: target.scope,
+        seasonId: target.seasonId ? String(target.seasonId) : undefined,
+        episodeId: target.episodeId ? String(target.episodeId) : undefined,
+        options
+    };
+    const job = await enqueueJob('render', payload, { maxAttempts: 2 });
+    await updateRenderFields(seriesId, target, {
+        status: 'queued',
+        jobId: job._id,
+        error: null,
+        options
+    });
+    return job;
+}
+
+// Scale into the frame, padding with black
+function fitFilter({ width, height }) {
+    return `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1`;
+}
+
+// Scale to fill the frame, cropping around a focal point ({ x, y } as fractions)
+function fillFilter({ width, height }, { x, y }) {
+    return `scale=${width}:${height}:force_original_aspect_ratio=increase,` +
+        `crop=${width}:${height}:'max(0,min(iw-ow,iw*${x}-ow/2))':'max(0,min(ih-oh,ih*${y}-oh/2))',setsar=1`;
+}
+
+// Media with a focal point fill the frame around it; others are letterboxed whole
+function frameFilter(size, focalPoint) {
+    return focalPoint ? fillFilter(size, focalPoint) : fitFilter(size);
+}
+
+// Ken Burns movement for the nth image: zoom in, pan across, zoom out
+function kenBurnsFilter(size, frames, n, focalPoint) {
+    const centre = "x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)'";
+    const moves = [
+        `z='1+0.2*on/${frames}':${centre}`,
+        `z='1.2':x='(iw-iw/zoom)*on/${frames}':y='ih/2-(ih/zoom/2)'`,
+        `z='1.2-0.2*on/${frames}':${centre}`
+    ];
+    // Upscale first so the slow zoom doesn't jitter
+    const large = { width: size.width * 2, height: size.height * 2 };
+    return `${frameFilter(large, focalPoint)},zoompan=${moves[n % moves.length]}:d=${frames}:s=${size.width}x${size.height}:fps=${FPS}`;
+}
+
+// drawtext options for the text in a file, in the configured font
+function textOptions(textPath) {
+    const font = process.env.RENDER_FONT_PATH ? `:fontfile='${process.env.RENDER_FONT_PATH}'` : '';
+    return `textfile='${textPath}'${font}:fontcolor=white`;
+}
+
+// Caption along the bottom of the frame, on a translucent box
+async function captionFilter(caption, size, outPath) {
+    if (!caption) return '';
+    const textPath = `${outPath}.caption.txt`;
+    await fs.promises.writeFile(textPath, caption);
+    return `,drawtext=${textOptions(textPath)}:fontsize=${Math.round(size.height / 24)}` +
+        `:box=1:boxcolor=black@0.5:boxborderw=${Math.round(size.height / 60)}:x=(w-text_w)/2:y=h-text_h-h/12`;
+}
+
+const SEGMENT_OUTPUT = [
+    '-an',
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '18', '-pix_fmt', 'yuv420p',
+    '-r', String(FPS), '-video_track_timescale', '15360'
+];
+
+// Encode one clip to a silent segment of the render size
+async function renderSegment(clip, outPath, size, options, workDir) {
+    if (clip.kind === 'card') {
+        const textPath = `${outPath}.txt`;
+        await fs.promises.writeFile(textPath, clip.text);
+        await runFfmpeg([
+            '-f', 'lavfi', '-i', `color=c=black:s=${size.width}x${size.height}:r=${FPS}:d=${clip.duration}`,
+            '-vf', `drawtext=${textOptions(textPath)}:fontsize=${Math.round(size.height / 14)}` +
+                ':line_spacing=20:x=(w-text_w)/2:y=(h-text_h)/2,fade=t=in:d=0.5',
+            ...SEGMENT_OUTPUT, outPath
+        ]);
+        return;
+    }
+
+    const sourcePath = path.join(workDir, `source${path.extname(clip.key)}`);
+    await downloadFile(clip.key, sourcePath);
+    try {
+        const caption = await captionFilter(clip.caption, size, outPath);
+        if (clip.kind === 'video') {
+            const trim = clip.trimStart ? ['-ss', String(clip.trimStart)] : [];
+            if (clip.trimEnd != null) trim.push('-t', String(clip.trimEnd - (clip.trimStart || 0)));
+            await runFfmpeg([
+                ...trim, '-i', sourcePath,
+                '-map', '0:v:0',
+                '-vf', `${frameFilter(size, clip.focalPoint)},fps=${FPS}${caption}`,
+                ...SEGMENT_OUTPUT, outPath
+            ]);
+        } else if (options.kenBurns) {
+            const frames = Math.round(clip.duration * FPS);
+            await runFfmpeg([
+                '-i', sourcePath,
+                '-vf', kenBurnsFilter(size, frames, clip.imageIndex, clip.focalPoint) + caption,
+                '-frames:v', String(frames),
+                ...SEGMENT_OUTPUT, outPath
+            ]);
+        } else {
+            await runFfmpeg([
+                '-loop', '1', '-t', String(clip.duration), '-i', sourcePath,
+                '-vf', `${frameFilter(size, clip.focalPoint)},fps=${FPS}${caption}`,
+                ...SEGMENT_OUTPUT, outPath
+            ]);
+        }
+    } finally {
+        await fs.promises.rm(sourcePath, { force: true });
+    }
+}
+
+// Length of segments joined with their transitions (each overlaps the next segment)
+function joinedLength(segments) {
+    return segments.reduce((sum, s, i) => sum + s.duration - (i < segments.length - 1 ? s.transition.duration : 0), 0);
+}
+
+// Join segments, each leading into the next with its transition ({ type, duration }).
+// A joined batch takes on the transition of its last segment.
+async function joinSegments(segments, outPath, workDir) {
+    if (segments.length === 1) {
+        await fs.promises.copyFile(segments[0].path, outPath);
+        return;
+    }
+
+    if (segments.slice(0, -1).every(s => s.transition.duration === 0)) {
+        // Segments share their encoding settings, so they can be joined without re-encoding
+        const listPath = `${outPath}.txt`;
+        await fs.promises.writeFile(listPath, segments.map(s => `file '${s.path}'`).join('\n'));
+        await runFfmpeg(['-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', outPath]);
+        return;
+    }
+
+    if (segments.length > JOIN_BATCH) {
+        const batches = [];
+        for (let i = 0; i < segments.length; i += JOIN_BATCH) {
+            const batch = segments.slice(i, i + JOIN_BATCH);
+            const batchPath = path.join(workDir, `batch-${path.basename(outPath, '.mp4')}-${batches.length}.mp4`);
+            await joinSegments(batch, batchPath, workDir);
+            batches.push({
+                path: batchPath,
+                duration: joinedLength(batch),
+                transition: batch[batch.length - 1].transition
+            });
+        }
+        await joinSegments(batches, outPath, workDir);
+        return;
+    }
+
+    const filters = segments.map((s, i) => `[${i}:v]settb=AVTB,fps=${FPS}[v${i}]`);
+    let previous = 'v0';
+    let length = segments[0].duration;
+    for (let i = 1; i < segments.length; i++) {
+        const label = i === segments.length - 1 ? 'out' : `x${i}`;
+        const { type, duration } = segments[i - 1].transition;
+        if (duration === 0) {
+            filters.push(`[${previous}][v${i}]concat=n=2:v=1:a=0[${label}]`);
+        } else {
+            filters.push(`[${previous}][v${i}]xfade=transition=${XFADE_TRANSITIONS[type]}:duration=${duration}` +
+                `:offset=${(length - duration).toFixed(3)}[${label}]`);
+        }
+        length += segments[i].duration - duration;
+        previous = label;
+    }
+
+    await runFfmpeg([
+        ...segments.flatMap(s => ['-i', s.path]),
+        '-filter_complex', filters.join(';'),
+        '-map', '[out]',
+        ...SEGMENT_OUTPUT, outPath
+    ]);
+}
+
+// Add the music track of each section (an episode's stretch of the video) to the joined video
+async function muxMusic(videoPath, sections, duration, options, outPath, onProgress) {
+    const inputs = ['-i', videoPath];
+    const filters = [];
+    let inputCount = 1;
+    sections.forEach((section, i) => {
+        const label = `a${i}`;
+        const length = section.duration.toFixed(3);
+        if (section.musicPath && options.musicVolume > 0) {
+            inputs.push('-stream_loop', '-1', '-t', length, '-i', section.musicPath);
+            const fadeOut = Math.max(section.duration - MUSIC_FADE, 0).toFixed(3);
+            filters.push(`[${inputCount++}:a]` +
+                `aformat=sample_rates=44100:channel_layouts=stereo,atrim=0:${length},asetpts=PTS-STARTPTS,` +
+                `afade=t=in:d=1,afade=t=out:st=${fadeOut}:d=${MUSIC_FADE},volume=${options.musicVolume}[${label}]`);
+        } else {
+            filters.push(`anullsrc=r=44100:cl=stereo,atrim=0:${length}[${label}]`);
+        }
+    });
+    filters.push(`${sections.map((s, i) => `[a${i}]`).join('')}concat=n=${sections.length}:v=0:a=1[audio]`);
+
+    await runFfmpeg([
+        ...inputs,
+        '-filter_complex', filters.join(';'),
+        '-map', '0:v', '-map', '[audio]',
+        '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k',
+        '-t', duration.toFixed(3),
+        '-movflags', '+faststart',
+        outPath
+    ], { duration, onProgress });
+}
+
+// Clips and music sections for the episodes of a render. Each clip has the transition
+// into the next one; an episode's last clip leads on with the episode's default transition.
+function planClips(series, episodes, target, options) {
+    const clips = [];
+    const sections = [];
+    let imageIndex = 0;
+
+    const withMedia = episodes.filter(({ episode }) => episode.media.length > 0);
+    withMedia.forEach(({ season, episode }, section) => {
+        sections.push({ musicKey: getKeyFromUrl(episode.music) });
+
+        if (options.titleCards) {
+            const card = { kind: 'card', duration: TITLE_CARD_DURATION, transition: CARD_TRANSITION, section };
+            if (target.scope === 'series' && section === 0) {
+                clips.push({ ...card, text: series.title });
+            }
+            const text = target.scope === 'series' ? `${season.title}\n${episode.title}` : episode.title;
+            clips.push({ ...card, text });
+        }
+
+        const timeline = buildTimeline(episode, options);
+        const lastTransition = { type: timeline.defaults.transition, duration: timeline.defaults.transitionDuration };
+        episode.media.forEach((media, i) => {
+            const item = timeline.items[i];
+            const clip = {
+                kind: media.type === 'video' ? 'video' : 'image',
+                duration: item.duration,
+                transition: item.transition || lastTransition,
+                caption: item.caption,
+                focalPoint: item.focalPoint,
+                section
+            };
+            if (media.type === 'video') {
+                const transcoded = media.transcode && media.transcode.status === 'completed' && media.transcode.mp4Url;
+                clips.push({ ...clip, key: getKeyFromUrl(transcoded || media.url), trimStart: item.trimStart, trimEnd: item.trimEnd });
+            } else {
+                clips.push({ ...clip, key: getKeyFromUrl(media.url), imageIndex: imageIndex++ });
+            }
+        });
+    });
+
+    return { clips, sections };
+}
+
+function targetOf(job) {
+    return { scope: job.payload.scope, seasonId: job.payload.seasonId, episodeId: job.payload.episodeId };
+}
+
+async function run(job, { setProgress }) {
+    const { seriesId, options } = job.payload;
+    const target = targetOf(job);
+
+    const series = await Series.findById(seriesId);
+    const episodes = series && renderEpisodes(series, target);
+    if (!episodes) {
+        return { skipped: `${target.scope} no longer exists` };
+    }
+
+    const { clips, sections } = planClips(series, episodes, target, options);
+    if (clips.length === 0) {
+        throw new Error('Nothing to render: no media');
+    }
+    if (clips.length > MAX_CLIPS) {
+        throw new Error(`Too many clips to render (${clips.length}, maximum ${MAX_CLIPS})`);
+    }
+    if (clips.some(clip => clip.kind !== 'card' && !clip.key)) {
+        throw new Error('Media is not in managed storage');
+    }
+
+    await updateRenderFields(seriesId, target, { status: 'processing', jobId: job._id });
+
+    const size = RESOLUTIONS[options.resolution];
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'render-'));
+    try {
+        // Segments take most of the time, then joining, then adding the music
+        const segments = [];
+        for (const [i, clip] of clips.entries()) {
+            const segmentPath = path.join(workDir, `segment-${String(i).padStart(4, '0')}.mp4`);
+            await renderSegment(clip, segmentPath, size, options, workDir);
+            const info = await probe(segmentPath);
+            segments.push({
+                path: segmentPath,
+                duration: parseFloat(info.format.duration) || 0,
+                transition: clip.transition,
+                section: clip.section
+            });
+            await setProgress(((i + 1) / clips.length) * 75);
+        }
+
+        // Transitions can't be longer than half of either clip, as in the timeline
+        segments.forEach((segment, i) => {
+            const next = segments[i + 1];
+            const duration = next && segment.transition.type !== 'cut'
+                ? Math.min(segment.transition.duration, segment.duration / 2, next.duration / 2)
+                : 0;
+            segment.transition = { type: segment.transition.type, duration: Math.round(duration * 1000) / 1000 };
+        });
+
+        const joinedPath = path.join(workDir, 'joined.mp4');
+        await joinSegments(segments, joinedPath, workDir);
+        await setProgress(90);
+
+        // Each section runs from its first clip to the next section's first clip
+        let start = 0;
+        const sectionStarts = [];
+        segments.forEach((segment) => {
+            if (sectionStarts[segment.section] === undefined) sectionStarts[segment.section] = start;
+            start += segment.duration - segment.transition.duration;
+        });
+        const duration = start;
+        for (const [i, section] of sections.entries()) {
+            const next = i + 1 < sections.length ? sectionStarts[i + 1] : duration;
+            section.duration = next - sectionStarts[i];
+            if (section.musicKey) {
+                section.musicPath = path.join(workDir, `music-${i}${path.extname(section.musicKey)}`);
+                await downloadFile(section.musicKey, section.musicPath);
+            }
+        }
+
+        const outPath = path.join(workDir, 'render.mp4');
+        await muxMusic(joinedPath, sections, duration, options, outPath, p => setProgress(90 + p / 10));
+
+        const key = generateKey('renders', outPath);
+        await uploadFile(key, outPath, 'video/mp4');
+        const { size: fileSize } = await fs.promises.stat(outPath);
+
+        // Read the current render again: it may have been replaced while this one was running
+        const current = await Series.findById(seriesId);
+        const holder = current && renderHolder(current, target);
+        const previousUrl = holder && holder.render && holder.render.url;
+
+        const render = {
+            status: 'completed',
+            jobId: job._id,
+            error: null,
+            options,
+            url: getS3Url(key),
+            duration: Math.round(duration * 10) / 10,
+            size: fileSize,
+            completedAt: new Date()
+        };
+        if (!holder || !await updateRenderFields(seriesId, target, render)) {
+            await deleteFromS3(key);
+            return { skipped: `${target.scope} was deleted during rendering` };
+        }
+        await deleteAsset(previousUrl);
+
+        console.log(`[RENDER] ✅ Rendered ${target.scope} of "${series.title}" (${clips.length} clips, ${render.duration}s)`);
+        return { url: render.url, duration: render.duration, size: fileSize, clips: clips.length };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+async function onFailure(job, error, willRetry) {
+    await updateRenderFields(job.payload.seriesId, targetOf(job), {
+        status: willRetry ? 'queued' : 'failed',
+        error: error.message
+    });
+}
+
+async function onRetry(job) {
+    await updateRenderFields(job.payload.seriesId, targetOf(job), { status: 'queued', error: null });
+}
+
+module.exports = {
+    RENDER_SCOPES,
+    RESOLUTIONS,
+    MAX_CLIPS,
+    parseRenderOptions,
+    countClips,
+    queueRender,
+    renderJob: { run, onFailure, onRetry }
+};
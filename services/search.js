@@ -0,0 +1,196 @@
+/**
+ * Search
+ * Finds series through the text index on Series (see models/Series.js), then walks the
+ * matching series to report each hit: which series, season, episode or media item
+ * matched, on which field, with a snippet and the matched ranges within it.
+ */
+
+const Series = require('../models/Series');
+const { visibleSeriesFilter } = require('./seriesAccess');
+
+const HIT_KINDS = ['series', 'season', 'episode', 'media'];
+const MAX_TERMS = 10;
+const MAX_SERIES = 50;
+const SNIPPET_CONTEXT = 40;
+
+// Score of a hit per matched term, by field
+const FIELD_WEIGHTS = {
+    title: 10,
+    tags: 5,
+    description: 2,
+    caption: 2,
+    people: 2,
+    originalName: 1
+};
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Rough plural stripping so "beaches" still highlights "beach", as the text index stems it
+function stem(term) {
+    if (term.length > 4 && term.endsWith('es')) return term.slice(0, -2);
+    if (term.length > 3 && term.endsWith('s')) return term.slice(0, -1);
+    return term;
+}
+
+/**
+ * Lowercase search terms from a query string
+ */
+function searchTerms(q) {
+    const words = String(q || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return [...new Set(words)].slice(0, MAX_TERMS);
+}
+
+// Matches words starting with any of the terms
+function termPattern(terms) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(t => escapeRegExp(stem(t))).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/**
+ * Snippet of text around its first match, with the [start, end) ranges of every match
+ * inside the snippet. Null if the text doesn't match.
+ */
+function highlight(text, pattern) {
+    if (!text) return null;
+    const matches = [...String(text).matchAll(pattern)];
+    if (matches.length === 0) return null;
+
+    const first = matches[0].index;
+    const start = Math.max(first - SNIPPET_CONTEXT, 0);
+    const end = Math.min(first + matches[0][0].length + SNIPPET_CONTEXT * 2, text.length);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    const highlights = matches
+        .filter(m => m.index >= start && m.index + m[0].length <= end)
+        .map(m => [m.index - start + prefix.length, m.index - start + prefix.length + m[0].length]);
+    const terms = new Set(matches.map(m => m[0].toLowerCase()));
+
+    return { snippet: prefix + text.slice(start, end) + suffix, highlights, matchCount: terms.size };
+}
+
+// Hits for the searchable fields of one item
+function fieldHits(fields, pattern, base) {
+    const hits = [];
+    for (const [field, text] of Object.entries(fields)) {
+        const match = highlight(text, pattern);
+        if (!match) continue;
+        hits.push({
+            ...base,
+            field,
+            snippet: match.snippet,
+            highlights: match.highlights,
+            score: FIELD_WEIGHTS[field] * match.matchCount
+        });
+    }
+    return hits;
+}
+
+// Whether a media item passes the type and capture date filters
+function mediaMatches(media, { type, from, to }) {
+    if (type && media.type !== type) return false;
+    if (from || to) {
+        const takenAt = media.metadata && media.metadata.takenAt;
+        if (!takenAt) return false;
+        if (from && takenAt < from) return false;
+        if (to && takenAt > to) return false;
+    }
+    return true;
+}
+
+// Every hit within one series
+function seriesHits(series, pattern, filters) {
+    const mediaOnly = Boolean(filters.type || filters.from || filters.to);
+    const ref = item => item && { _id: item._id, title: item.title };
+    const hits = [];
+
+    const seriesRef = ref(series);
+    if (!mediaOnly) {
+        hits.push(...fieldHits({
+            title: series.title,
+            description: series.description,
+            tags: (series.tags || []).join(', ')
+        }, pattern, { kind: 'series', series: seriesRef, season: null, episode: null, media: null }));
+    }
+
+    for (const season of series.seasons) {
+        if (!mediaOnly) {
+            hits.push(...fieldHits({ title: season.title }, pattern,
+                { kind: 'season', series: seriesRef, season: ref(season), episode: null, media: null }));
+        }
+
+        for (const episode of season.episodes) {
+            if (!mediaOnly) {
+                hits.push(...fieldHits({ title: episode.title, description: episode.description }, pattern,
+                    { kind: 'episode', series: seriesRef, season: ref(season), episode: ref(episode), media: null }));
+            }
+
+            for (const media of episode.media) {
+                if (!mediaMatches(media, filters)) continue;
+                hits.push(...fieldHits({
+                    originalName: media.originalName,
+                    caption: media.caption,
+                    tags: (media.tags || []).join(', '),
+                    people: (media.people || []).map(p => p.name).join(', ')
+                }, pattern, {
+                    kind: 'media',
+                    series: seriesRef,
+                    season: ref(season),
+                    episode: ref(episode),
+                    media: {
+                        _id: media._id,
+                        type: media.type,
+                        url: media.url,
+                        originalName: media.originalName,
+                        takenAt: (media.metadata && media.metadata.takenAt) || null
+                    }
+                }));
+            }
+        }
+    }
+    return hits;
+}
+
+/**
+ * Search the series a profile can see.
+ * Options: kind (series|season|episode|media), type (image|video) and from/to (capture
+ * date) - the last three only return media hits - plus offset and limit.
+ * Resolves to { total, results }, best hits first.
+ */
+async function search(profileId, q, { kind, type, from, to, offset = 0, limit = 20 } = {}) {
+    const terms = searchTerms(q);
+    if (terms.length === 0) return { total: 0, results: [] };
+
+    const candidates = await Series.find(
+        { $and: [{ $text: { $search: terms.join(' ') } }, visibleSeriesFilter(profileId)] },
+        { score: { $meta: 'textScore' } }
+    )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_SERIES)
+        .lean();
+
+    const pattern = termPattern(terms);
+    const hits = [];
+    candidates.forEach((series, rank) => {
+        for (const hit of seriesHits(series, pattern, { type, from, to })) {
+            if (kind && hit.kind !== kind) continue;
+            hits.push({ ...hit, seriesRank: rank });
+        }
+    });
+
+    // Best field matches first; ties go to the series the text index ranked higher
+    hits.sort((a, b) => b.score - a.score || a.seriesRank - b.seriesRank);
+
+    return {
+        total: hits.length,
+        results: hits.slice(offset, offset + limit).map(({ seriesRank, ...hit }) => hit)
+    };
+}
+
+module.exports = {
+    HIT_KINDS,
+    searchTerms,
+    highlight,
+    search
+};
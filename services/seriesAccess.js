@@ -0,0 +1,94 @@
+/**
+ * Series Access
+ * Who may do what with a series. Access levels, lowest first:
+ *   view    watch it and read its data (household visibility, or shared as viewer)
+ *   edit    change its content and upload to it (shared as editor)
+ *   manage  delete it, change sharing and transfer it (the owner)
+ * Series without an owner are open to everyone, as all series were before ownership.
+ */
+
+const mongoose = require('mongoose');
+const Series = require('../models/Series');
+const { trashSeries } = require('./trash');
+
+const ACCESS_LEVELS = ['view', 'edit', 'manage'];
+const PROFILE_DELETE_MODES = ['transfer', 'cascade', 'orphan'];
+
+/**
+ * Highest access level a profile (id or null) has on a series, or null for none
+ */
+function getAccess(series, profileId) {
+    if (!series.owner) return 'manage';
+    if (!profileId) return series.visibility === 'household' ? 'view' : null;
+
+    const id = String(profileId);
+    if (series.owner.toString() === id) return 'manage';
+
+    const share = (series.sharedWith || []).find(s => s.profile.toString() === id);
+    if (share) return share.role === 'editor' ? 'edit' : 'view';
+    return series.visibility === 'household' ? 'view' : null;
+}
+
+/**
+ * Check a profile has at least the given access level on a series
+ */
+function hasAccess(series, profileId, level) {
+    const access = getAccess(series, profileId);
+    return access !== null && ACCESS_LEVELS.indexOf(access) >= ACCESS_LEVELS.indexOf(level);
+}
+
+/**
+ * Query filter for the series a profile can see. The id is cast here so the filter
+ * also works in aggregation pipelines.
+ * scope: 'all' (default), 'owned' (owner only) or 'shared' (shared with the profile)
+ */
+function visibleSeriesFilter(profileId, scope = 'all') {
+    const open = [{ owner: null }, { visibility: 'household' }];
+    if (!profileId) return { $or: open };
+
+    profileId = new mongoose.Types.ObjectId(String(profileId));
+
+    if (scope === 'owned') return { owner: profileId };
+    if (scope === 'shared') return { 'sharedWith.profile': profileId };
+    return { $or: [...open, { owner: profileId }, { 'sharedWith.profile': profileId }] };
+}
+
+/**
+ * Deal with the series a profile owns before the profile is deleted:
+ *   transfer  give them to another profile (transferTo)
+ *   cascade   move them to the trash, to be purged with their files after the retention period
+ *   orphan    clear the owner, which opens them to every profile
+ * The profile is also removed from every series shared with it.
+ * Returns the number of owned series handled.
+ */
+async function releaseProfileSeries(profileId, mode, transferTo) {
+    const owned = await Series.find({ owner: profileId });
+
+    for (const series of owned) {
+        if (mode === 'cascade') {
+            await trashSeries(series, profileId);
+        } else if (mode === 'transfer') {
+            series.owner = transferTo;
+            series.sharedWith = series.sharedWith.filter(s => s.profile.toString() !== String(transferTo));
+            await series.save();
+        } else {
+            series.owner = null;
+            await series.save();
+        }
+    }
+
+    await Series.updateMany(
+        { 'sharedWith.profile': profileId },
+        { $pull: { sharedWith: { profile: profileId } } }
+    );
+    return owned.length;
+}
+
+module.exports = {
+    ACCESS_LEVELS,
+    PROFILE_DELETE_MODES,
+    getAccess,
+    hasAccess,
+    visibleSeriesFilter,
+    releaseProfileSeries
+};
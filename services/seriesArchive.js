@@ -0,0 +1,396 @@
+/**
+ * Series Archive
+ * Exports a series as a zip of a JSON manifest plus every stored file it uses, and
+ * recreates a series from such a zip under fresh storage keys. Files are streamed
+ * one at a time in both directions, so videos are never held in memory.
+ *
+ * Layout:
+ *   manifest.json   { format, version, exportedAt, series, missingFiles }
+ *   files/<key>     stored files, named after their storage key
+ *
+ * In the manifest a file is { file: 'files/...' }, or { url } for files outside
+ * managed storage, which are kept as links; archives linking into managed storage are
+ * rejected. Transcodes and rendered videos are not exported; imported videos are
+ * transcoded again. Only the fields listed below are restored. Imported media whose
+ * content is already stored shares the stored file (see services/assetRegistry.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const mime = require('mime-types');
+const { getKeyFromUrl, getObjectStream, generateKey, uploadFile, getS3Url } = require('../config/s3');
+const { UPLOAD_RULES, SUBTITLE_RULES, getMediaType } = require('../config/uploads');
+const { acquireAsset, storeFile, discardAsset } = require('./assetRegistry');
+const Series = require('../models/Series');
+
+const ARCHIVE_FORMAT = 'life-story-series';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const MAX_MANIFEST_SIZE = 20 * 1024 * 1024;
+// Size limits and folders for restored files
+const FILE_RULES = { ...UPLOAD_RULES, subtitles: SUBTITLE_RULES };
+// Fields restored from the manifest; ids, storage, transcode and render fields are set afresh
+const MEDIA_FIELDS = ['originalName', 'type', 'metadata', 'tags', 'people', 'caption',
+    'duration', 'transition', 'focalPoint', 'trimStart', 'trimEnd'];
+const EPISODE_FIELDS = ['title', 'description', 'thumbnailSource', 'musicOriginalName',
+    'musicDuration', 'slideDefaults'];
+const TRACK_FIELDS = ['language', 'label', 'source'];
+
+function pickFields(data, fields) {
+    const picked = {};
+    for (const field of fields) {
+        if (data[field] !== undefined) picked[field] = data[field];
+    }
+    return picked;
+}
+
+// Append an entry and wait until it has been written, so only one file is read at a time
+function appendEntry(archive, source, data) {
+    return new Promise((resolve, reject) => {
+        const onEntry = () => {
+            archive.off('error', onError);
+            resolve();
+        };
+        const onError = (error) => {
+            archive.off('entry', onEntry);
+            reject(error);
+        };
+        archive.once('entry', onEntry);
+        archive.once('error', onError);
+        archive.append(source, data);
+    });
+}
+
+/**
+ * Write a series archive to a writable stream (e.g. the response).
+ * Resolves once the archive is complete; stored files that are missing are skipped
+ * and listed in the manifest.
+ */
+async function exportSeries(series, output) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.pipe(output);
+
+    let current = null;
+    let finished = false;
+    // Client went away: stop reading from storage and fail the pending entry
+    output.on('close', () => {
+        if (finished) return;
+        if (current) current.destroy();
+        archive.abort();
+        archive.emit('error', new Error('Export cancelled'));
+    });
+
+    const written = new Map();
+    const missingFiles = [];
+
+    async function addFile(url) {
+        if (!url) return null;
+        const key = getKeyFromUrl(url);
+        if (!key) return { url };
+        if (written.has(key)) return { file: written.get(key) };
+
+        let stream;
+        try {
+            stream = await getObjectStream(key);
+        } catch (error) {
+            missingFiles.push(key);
+            return null;
+        }
+        const name = `files/${key}`;
+        current = stream;
+        // Photos and videos are already compressed
+        await appendEntry(archive, stream, { name, store: true });
+        current = null;
+        written.set(key, name);
+        return { file: name };
+    }
+
+    // Subtitle tracks, with their files as manifest refs
+    async function addTracks(tracks) {
+        const refs = [];
+        for (const { _id, url, ...track } of tracks || []) {
+            const file = await addFile(url);
+            if (file) refs.push({ ...track, ...file });
+        }
+        return refs;
+    }
+
+    const seasons = [];
+    for (const season of series.seasons) {
+        const episodes = [];
+        for (const episode of season.episodes) {
+            const media = [];
+            for (const item of episode.media) {
+                const { _id, url, filename, contentHash, transcode, subtitles, ...fields } = item.toObject();
+                const file = await addFile(url);
+                if (file) media.push({ ...fields, ...file, subtitles: await addTracks(subtitles) });
+            }
+
+            const { _id, thumbnail, music, thumbnailMediaId, render, subtitles, media: _media, ...fields } = episode.toObject();
+            episodes.push({
+                ...fields,
+                thumbnail: await addFile(thumbnail),
+                music: await addFile(music),
+                subtitles: await addTracks(subtitles),
+                media
+            });
+        }
+        seasons.push({ title: season.title, episodes });
+    }
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date(),
+        series: {
+            title: series.title,
+            description: series.description || '',
+            tags: series.tags || [],
+            thumbnail: await addFile(series.thumbnail),
+            thumbnailSource: series.thumbnailSource,
+            heroImage: await addFile(series.heroImage),
+            seasons
+        },
+        missingFiles
+    };
+    await appendEntry(archive, JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+    await archive.finalize();
+    finished = true;
+
+    console.log(`[ARCHIVE] ✅ Exported "${series.title}" (${written.size} file(s)${missingFiles.length ? `, ${missingFiles.length} missing` : ''})`);
+}
+
+/**
+ * Open an archive on disk and index its entries by name. Close it with archive.zip.close().
+ */
+async function openArchive(zipPath) {
+    const zip = await new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, file) => (error ? reject(error) : resolve(file)));
+    });
+
+    const entries = new Map();
+    await new Promise((resolve, reject) => {
+        zip.on('entry', (entry) => {
+            entries.set(entry.fileName, entry);
+            zip.readEntry();
+        });
+        zip.on('end', resolve);
+        zip.on('error', reject);
+        zip.readEntry();
+    });
+    return { zip, entries };
+}
+
+function openEntryStream(zip, entry) {
+    return new Promise((resolve, reject) => {
+        zip.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+    });
+}
+
+// Every file ref in a manifest's series
+function collectRefs(data) {
+    const tracks = list => (Array.isArray(list) ? list : []);
+    const refs = [data.thumbnail, data.heroImage];
+    for (const season of data.seasons) {
+        for (const episode of season.episodes) {
+            refs.push(episode.thumbnail, episode.music, ...tracks(episode.subtitles));
+            for (const item of episode.media) refs.push(item, ...tracks(item.subtitles));
+        }
+    }
+    return refs.filter(Boolean);
+}
+
+// A ref names a file in the archive or links outside managed storage; a link to a stored
+// file would hand the new series a file it doesn't own
+function validateRef(ref) {
+    if (typeof ref !== 'object') return 'Invalid file reference in manifest';
+    if (ref.url !== undefined) {
+        if (typeof ref.url !== 'string') return 'Invalid file reference in manifest';
+        if (getKeyFromUrl(ref.url)) return `Archive links to a stored file (${ref.url})`;
+    }
+    if (ref.file !== undefined && typeof ref.file !== 'string') return 'Invalid file reference in manifest';
+    return null;
+}
+
+// Check the structure of a manifest's series, returning an error message or null
+function validateSeries(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.seasons)) {
+        return 'Manifest has no series';
+    }
+    if (data.seasons.length > Series.MAX_SEASONS) {
+        return `Maximum ${Series.MAX_SEASONS} seasons allowed`;
+    }
+    for (const season of data.seasons) {
+        if (!Array.isArray(season.episodes)) return 'Every season needs an episodes list';
+        if (season.episodes.length > Series.MAX_EPISODES_PER_SEASON) {
+            return `Maximum ${Series.MAX_EPISODES_PER_SEASON} episodes per season`;
+        }
+        if (!season.episodes.every(episode => episode && Array.isArray(episode.media))) {
+            return 'Every episode needs a media list';
+        }
+    }
+    for (const ref of collectRefs(data)) {
+        const error = validateRef(ref);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Read and check an opened archive's manifest. Resolves to { manifest } or { error }.
+ */
+async function readManifest({ zip, entries }) {
+    const entry = entries.get(MANIFEST_NAME);
+    if (!entry) return { error: 'Not a series archive: manifest.json is missing' };
+    if (entry.uncompressedSize > MAX_MANIFEST_SIZE) return { error: 'manifest.json is too large' };
+
+    const chunks = [];
+    for await (const chunk of await openEntryStream(zip, entry)) chunks.push(chunk);
+
+    let manifest;
+    try {
+        manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        return { error: 'manifest.json is not valid JSON' };
+    }
+    if (manifest.format !== ARCHIVE_FORMAT) return { error: 'Not a series archive' };
+    if (manifest.version > ARCHIVE_VERSION) {
+        return { error: `Archive version ${manifest.version} is newer than this server supports` };
+    }
+
+    const error = validateSeries(manifest.series);
+    return error ? { error } : { manifest };
+}
+
+/**
+ * Create a new series from an opened archive and its manifest, uploading every file
+ * under a fresh key. Stored files are removed again if anything fails.
+ * Options: owner (profile id), title (overrides the archived title).
+ */
+async function restoreSeries(archive, manifest, { owner, title } = {}) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+    const stored = [];
+    // A file used twice (e.g. a hero image that is also the thumbnail) is uploaded once
+    const restored = new Map();
+    // Content hashes of restored media files, by URL
+    const contentHashes = new Map();
+
+    // Upload an archived file into a slot's folder, returning its new URL
+    async function restoreFile(ref, slot) {
+        if (!ref) return null;
+        if (ref.url) {
+            if (getKeyFromUrl(ref.url)) throw new Error(`Archive links to a stored file (${ref.url})`);
+            return ref.url;
+        }
+        if (!ref.file) return null;
+        if (restored.has(ref.file)) {
+            const url = restored.get(ref.file);
+            // Every media item holds its own reference on a shared file
+            const key = getKeyFromUrl(url);
+            if (slot === 'media' && await acquireAsset(key)) stored.push(key);
+            return url;
+        }
+
+        const entry = archive.entries.get(ref.file);
+        if (!entry) throw new Error(`Archive is missing ${ref.file}`);
+        if (entry.uncompressedSize > FILE_RULES[slot].maxSize) {
+            throw new Error(`${ref.file} is larger than allowed for ${slot}`);
+        }
+
+        const tempPath = path.join(workDir, path.basename(entry.fileName));
+        try {
+            await pipeline(await openEntryStream(archive.zip, entry), fs.createWriteStream(tempPath));
+            const contentType = mime.lookup(entry.fileName) || 'application/octet-stream';
+            let key;
+            if (slot === 'media') {
+                const file = await storeFile(FILE_RULES.media.folder, tempPath, entry.fileName, contentType);
+                key = file.key;
+                contentHashes.set(getS3Url(key), file.contentHash);
+            } else {
+                key = generateKey(FILE_RULES[slot].folder, entry.fileName);
+                await uploadFile(key, tempPath, contentType);
+            }
+            stored.push(key);
+            restored.set(ref.file, getS3Url(key));
+            return restored.get(ref.file);
+        } finally {
+            await fs.promises.rm(tempPath, { force: true });
+        }
+    }
+
+    // Tracks whose file is missing from the archive are dropped
+    async function restoreTracks(tracks) {
+        const restoredTracks = [];
+        for (const track of Array.isArray(tracks) ? tracks : []) {
+            const trackUrl = await restoreFile({ file: track.file, url: track.url }, 'subtitles');
+            if (trackUrl) restoredTracks.push({ ...pickFields(track, TRACK_FIELDS), url: trackUrl });
+        }
+        return restoredTracks;
+    }
+
+    const data = manifest.series;
+    try {
+        const seasons = [];
+        for (const season of data.seasons) {
+            const episodes = [];
+            for (const episode of season.episodes) {
+                const media = [];
+                for (const item of episode.media) {
+                    const { file, url } = item;
+                    const fields = pickFields(item, MEDIA_FIELDS);
+                    const mediaUrl = await restoreFile({ file, url }, 'media');
+                    media.push({
+                        ...fields,
+                        subtitles: await restoreTracks(item.subtitles),
+                        type: fields.type || getMediaType(fields.originalName || file || url),
+                        filename: getKeyFromUrl(mediaUrl) || undefined,
+                        contentHash: contentHashes.get(mediaUrl),
+                        url: mediaUrl
+                    });
+                }
+                episodes.push({
+                    ...pickFields(episode, EPISODE_FIELDS),
+                    thumbnail: await restoreFile(episode.thumbnail, 'thumbnail'),
+                    music: await restoreFile(episode.music, 'music'),
+                    subtitles: await restoreTracks(episode.subtitles),
+                    media
+                });
+            }
+            seasons.push({ title: season.title, episodes });
+        }
+
+        const series = new Series({
+            title: title || data.title || 'My Story',
+            description: data.description || '',
+            tags: data.tags || [],
+            thumbnail: await restoreFile(data.thumbnail, 'seriesThumbnail'),
+            thumbnailSource: data.thumbnailSource,
+            heroImage: await restoreFile(data.heroImage, 'seriesThumbnail'),
+            seasons,
+            owner
+        });
+        await series.save();
+
+        console.log(`[ARCHIVE] ✅ Imported "${series.title}" (${stored.length} file(s))`);
+        return series;
+    } catch (error) {
+        // Don't leave orphaned objects behind when the import fails part way
+        for (const key of stored) await discardAsset(key).catch(() => {});
+        throw error;
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    exportSeries,
+    openArchive,
+    readManifest,
+    restoreSeries
+};
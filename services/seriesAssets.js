@@ -0,0 +1,346 @@
+/**
+ * Series Asset Helpers
+ * Looking up episode slots and attaching/removing stored files on a series.
+ * Callers are responsible for saving the series afterwards.
+ */
+
+const path = require('path');
+const mongoose = require('mongoose');
+const {
+    getS3Url,
+    deleteFromS3,
+    deletePrefix,
+    getKeyFromUrl,
+    generateKey,
+    copyObject,
+    copyPrefix
+} = require('../config/s3');
+const { getMediaType } = require('../config/uploads');
+const { acquireAsset, releaseAsset, registerUploads } = require('./assetRegistry');
+const Series = require('../models/Series');
+
+// Get episode from series by season/episode index
+function getEpisode(series, seasonIndex, episodeIndex) {
+    if (seasonIndex >= series.seasons.length) return null;
+    const season = series.seasons[seasonIndex];
+    if (episodeIndex >= season.episodes.length) return null;
+    return season.episodes[episodeIndex];
+}
+
+// True for a bare array index such as "2", the deprecated way of addressing seasons and episodes.
+// Only short numbers count, so an id made only of digits is still read as an id.
+function isIndexRef(ref) {
+    return /^\d{1,4}$/.test(String(ref));
+}
+
+// Find an item in a season or episode list by id or (deprecated) array index
+function findInList(list, ref) {
+    if (isIndexRef(ref)) return list[parseInt(ref)] || null;
+    return list.find(item => item._id && item._id.toString() === String(ref)) || null;
+}
+
+// Find a season by id or (deprecated) array index
+function findSeason(series, ref) {
+    return findInList(series.seasons, ref);
+}
+
+// Find an episode by id anywhere in a series, returning { season, episode } or null
+function findEpisode(series, episodeId) {
+    for (const season of series.seasons) {
+        const episode = season.episodes.find(e => e._id && e._id.toString() === String(episodeId));
+        if (episode) return { season, episode };
+    }
+    return null;
+}
+
+// Find the episode addressed by route params or a request body: { episodeId }, { seasonId, episodeId }
+// or the deprecated { seasonIndex, episodeIndex }. Returns { season, episode } or null.
+function resolveEpisode(series, refs) {
+    const seasonRef = refs.seasonId != null ? refs.seasonId : refs.seasonIndex;
+    const episodeRef = refs.episodeId != null ? refs.episodeId : refs.episodeIndex;
+    if (episodeRef == null) return null;
+
+    if (seasonRef == null) {
+        return isIndexRef(episodeRef) ? null : findEpisode(series, episodeRef);
+    }
+    const season = findSeason(series, seasonRef);
+    const episode = season && findInList(season.episodes, episodeRef);
+    return episode ? { season, episode } : null;
+}
+
+// Find a media item anywhere in a series, returning { season, episode, media } or null
+function findMedia(series, mediaId) {
+    for (const season of series.seasons) {
+        for (const episode of season.episodes) {
+            const media = episode.media.find(m => m._id.toString() === mediaId.toString());
+            if (media) return { season, episode, media };
+        }
+    }
+    return null;
+}
+
+// Atomically set fields on one media item (e.g. { 'transcode.status': 'completed' }) without
+// loading and re-saving the series, so background jobs don't overwrite concurrent edits.
+// Resolves to true if the media item still exists.
+async function updateMediaFields(seriesId, mediaId, fields) {
+    const $set = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        $set[`seasons.$[].episodes.$[].media.$[media].${field}`] = value;
+    });
+    const result = await Series.updateOne(
+        { _id: seriesId, 'seasons.episodes.media._id': mediaId },
+        { $set },
+        { arrayFilters: [{ 'media._id': new mongoose.Types.ObjectId(String(mediaId)) }] }
+    );
+    return result.matchedCount > 0;
+}
+
+// Atomically set fields on the episode containing a media item, see updateMediaFields.
+// With conditions ({ field: value }), the episode is only updated while its fields still
+// have those values. Resolves to true if the episode still exists (and matched).
+async function updateEpisodeFieldsByMedia(seriesId, mediaId, fields, conditions = {}) {
+    const $set = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        $set[`seasons.$[].episodes.$[episode].${field}`] = value;
+    });
+    const mediaObjectId = new mongoose.Types.ObjectId(String(mediaId));
+    const episodeMatch = { 'media._id': mediaObjectId };
+    const episodeFilter = { 'episode.media._id': mediaObjectId };
+    Object.entries(conditions).forEach(([field, value]) => {
+        // null also matches a field that was never set
+        episodeMatch[field] = value === undefined ? null : value;
+        episodeFilter[`episode.${field}`] = episodeMatch[field];
+    });
+    const result = await Series.updateOne(
+        { _id: seriesId, 'seasons.episodes': { $elemMatch: episodeMatch } },
+        { $set },
+        { arrayFilters: [episodeFilter] }
+    );
+    return result.matchedCount > 0;
+}
+
+// Atomically set fields on one episode by id, see updateMediaFields.
+// Resolves to true if the episode still exists.
+async function updateEpisodeFields(seriesId, episodeId, fields) {
+    const $set = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        $set[`seasons.$[].episodes.$[episode].${field}`] = value;
+    });
+    const result = await Series.updateOne(
+        { _id: seriesId, 'seasons.episodes._id': episodeId },
+        { $set },
+        { arrayFilters: [{ 'episode._id': new mongoose.Types.ObjectId(String(episodeId)) }] }
+    );
+    return result.matchedCount > 0;
+}
+
+// Atomically set fields on one season by id, see updateMediaFields.
+// Resolves to true if the season still exists.
+async function updateSeasonFields(seriesId, seasonId, fields) {
+    const $set = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        $set[`seasons.$[season].${field}`] = value;
+    });
+    const result = await Series.updateOne(
+        { _id: seriesId, 'seasons._id': seasonId },
+        { $set },
+        { arrayFilters: [{ 'season._id': new mongoose.Types.ObjectId(String(seasonId)) }] }
+    );
+    return result.matchedCount > 0;
+}
+
+// Delete a stored file by its URL, ignoring files storage doesn't manage
+async function deleteAsset(url) {
+    if (!url) return;
+    const key = getKeyFromUrl(url);
+    if (key) await deleteFromS3(key);
+}
+
+// Delete the files of a media item's or episode's subtitle tracks
+async function deleteSubtitleAssets(tracks) {
+    for (const track of tracks || []) {
+        await deleteAsset(track.url);
+    }
+}
+
+// Delete a media item's file and anything generated from it. A file other media share
+// (see services/assetRegistry.js) stays until the last of them is deleted.
+async function deleteMediaAssets(media) {
+    if (await releaseAsset(getKeyFromUrl(media.url))) {
+        await deleteAsset(media.url);
+        if (media.transcode && media.transcode.folder) {
+            await deletePrefix(media.transcode.folder);
+        }
+    }
+    await deleteSubtitleAssets(media.subtitles);
+}
+
+// Delete all stored assets for an episode
+async function deleteEpisodeAssets(episode) {
+    await deleteAsset(episode.thumbnail);
+    await deleteAsset(episode.music);
+    await deleteAsset(episode.render && episode.render.url);
+    await deleteSubtitleAssets(episode.subtitles);
+    for (const media of episode.media || []) {
+        await deleteMediaAssets(media);
+    }
+}
+
+// Delete all stored assets for a season
+async function deleteSeasonAssets(season) {
+    await deleteAsset(season.render && season.render.url);
+    for (const episode of season.episodes) {
+        await deleteEpisodeAssets(episode);
+    }
+}
+
+// Delete all stored assets for a series
+async function deleteSeriesAssets(series) {
+    await deleteAsset(series.thumbnail);
+    if (series.heroImage !== series.thumbnail) {
+        await deleteAsset(series.heroImage);
+    }
+    await deleteAsset(series.render && series.render.url);
+    for (const season of series.seasons) {
+        await deleteSeasonAssets(season);
+    }
+}
+
+// Copy a media item's file, subtitles and finished transcode output to new keys, returning the data for
+// a new media subdocument. Unfinished transcodes are dropped so the copy gets its own job.
+// A registered file isn't copied: the copy takes another reference on it, transcode included.
+async function copyMediaAssets(media) {
+    const { _id, ...copy } = media.toObject();
+
+    // Subtitle files are copied too, so deleting either item leaves the other's intact
+    const tracks = copy.subtitles || [];
+    copy.subtitles = [];
+    for (const { _id: trackId, ...track } of tracks) {
+        const trackKey = getKeyFromUrl(track.url);
+        if (trackKey) {
+            const newTrackKey = generateKey(path.dirname(trackKey), trackKey);
+            await copyObject(trackKey, newTrackKey);
+            track.url = getS3Url(newTrackKey);
+        }
+        copy.subtitles.push(track);
+    }
+
+    const key = getKeyFromUrl(media.url);
+    if (!key) return copy;
+
+    if (await acquireAsset(key)) {
+        if (!(copy.transcode && copy.transcode.status === 'completed')) delete copy.transcode;
+        return copy;
+    }
+
+    const newKey = generateKey(path.dirname(key), key);
+    await copyObject(key, newKey);
+    copy.filename = newKey;
+    copy.url = getS3Url(newKey);
+
+    if (copy.transcode && copy.transcode.status === 'completed' && copy.transcode.folder) {
+        // Transcoded output lives in a folder named after the key, see services/transcoder.js
+        const oldFolder = copy.transcode.folder;
+        const newFolder = `${newKey.slice(0, newKey.length - path.extname(newKey).length)}/`;
+        await copyPrefix(oldFolder, newFolder);
+        const rekey = url => getS3Url(newFolder + getKeyFromUrl(url).slice(oldFolder.length));
+        copy.transcode = {
+            ...copy.transcode,
+            jobId: null,
+            folder: newFolder,
+            mp4Url: rekey(copy.transcode.mp4Url),
+            hlsUrl: rekey(copy.transcode.hlsUrl),
+            renditions: copy.transcode.renditions.map(r => ({ ...r, url: rekey(r.url) }))
+        };
+    } else {
+        delete copy.transcode;
+    }
+    return copy;
+}
+
+// Replace the series thumbnail with an uploaded key, returning the new URL
+async function setSeriesThumbnail(series, key) {
+    // A generated thumbnail is the hero image itself, which stays in use
+    if (series.thumbnail !== series.heroImage) {
+        await deleteAsset(series.thumbnail);
+    }
+    series.thumbnail = getS3Url(key);
+    series.thumbnailSource = 'upload';
+    return series.thumbnail;
+}
+
+// Replace an episode thumbnail with an uploaded key, returning the new URL
+async function setEpisodeThumbnail(episode, key) {
+    await deleteAsset(episode.thumbnail);
+    episode.thumbnail = getS3Url(key);
+    episode.thumbnailSource = 'upload';
+    episode.thumbnailMediaId = null;
+    return episode.thumbnail;
+}
+
+// Append uploaded files ({ key, originalName, contentHash }) to an episode's media, returning the new subdocuments
+function addEpisodeMedia(episode, files) {
+    episode.media.push(...files.map(file => ({
+        filename: file.key,
+        originalName: file.originalName,
+        contentHash: file.contentHash,
+        type: getMediaType(file.originalName),
+        url: getS3Url(file.key)
+    })));
+    return episode.media.slice(-files.length);
+}
+
+// Replace an episode's music with an uploaded key, returning the new URL
+async function setEpisodeMusic(episode, key, originalName) {
+    await deleteAsset(episode.music);
+    episode.music = getS3Url(key);
+    episode.musicOriginalName = originalName;
+    // Read again by the metadata job
+    episode.musicDuration = undefined;
+    return episode.music;
+}
+
+// Attach confirmed uploads ({ key, originalName, size }) to a slot, returning the upload route response fields.
+// Media is registered first, so an upload of content that is already stored shares that file.
+async function attachUploads(series, episode, slot, files) {
+    const [file] = files;
+    if (slot === 'seriesThumbnail') {
+        return { filename: file.key, url: await setSeriesThumbnail(series, file.key) };
+    }
+    if (slot === 'thumbnail') {
+        return { filename: file.key, url: await setEpisodeThumbnail(episode, file.key) };
+    }
+    if (slot === 'media') {
+        return { files: addEpisodeMedia(episode, await registerUploads(files)) };
+    }
+    return {
+        filename: file.key,
+        originalName: file.originalName,
+        url: await setEpisodeMusic(episode, file.key, file.originalName)
+    };
+}
+
+module.exports = {
+    getEpisode,
+    isIndexRef,
+    findSeason,
+    findEpisode,
+    resolveEpisode,
+    findMedia,
+    updateMediaFields,
+    updateEpisodeFieldsByMedia,
+    updateEpisodeFields,
+    updateSeasonFields,
+    deleteAsset,
+    deleteSubtitleAssets,
+    deleteMediaAssets,
+    deleteEpisodeAssets,
+    deleteSeasonAssets,
+    deleteSeriesAssets,
+    setSeriesThumbnail,
+    setEpisodeThumbnail,
+    addEpisodeMedia,
+    copyMediaAssets,
+    setEpisodeMusic,
+    attachUploads
+};
@@ -0,0 +1,121 @@
+/**
+ * Series Lists
+ * Field selection, sorting and cursor pagination for listing series. The summary view
+ * leaves out the seasons, so list pages never load the media arrays; counts come from
+ * the denormalized `stats` instead.
+ */
+
+const mongoose = require('mongoose');
+const Series = require('../models/Series');
+
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+// Top-level fields that can be requested with ?fields=
+const LIST_FIELDS = [
+    'title', 'description', 'thumbnail', 'thumbnailSource', 'heroImage', 'tags',
+    'owner', 'sharedWith', 'visibility', 'stats', 'seasons', 'createdAt', 'updatedAt'
+];
+const SUMMARY_FIELDS = [
+    'title', 'description', 'thumbnail', 'heroImage', 'tags',
+    'owner', 'visibility', 'stats', 'createdAt', 'updatedAt'
+];
+
+// ?sort= keys and the path each one sorts on; prefix with '-' for descending
+const SORTS = {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    title: 'title',
+    mediaCount: 'stats.mediaCount'
+};
+const DATE_SORTS = ['createdAt', 'updatedAt'];
+
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify({ v: value, id: String(id) })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortKey) {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (!mongoose.isValidObjectId(id)) return null;
+        const value = DATE_SORTS.includes(sortKey) ? new Date(v) : v;
+        if (value instanceof Date && isNaN(value.getTime())) return null;
+        return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read list options from a query string: view, fields, sort, limit and cursor.
+ * Returns { error } when something is invalid.
+ */
+function parseListQuery(query) {
+    const options = {};
+
+    if (query.fields) {
+        const fields = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+        const unknown = fields.filter(f => !LIST_FIELDS.includes(f));
+        if (unknown.length > 0) {
+            return { error: `Unknown fields: ${unknown.join(', ')}. Use any of: ${LIST_FIELDS.join(', ')}` };
+        }
+        options.fields = fields;
+    } else if (query.view === 'summary') {
+        options.fields = SUMMARY_FIELDS;
+    } else if (query.view && query.view !== 'full') {
+        return { error: 'view must be summary or full' };
+    }
+
+    const sort = String(query.sort || '-createdAt');
+    const sortKey = sort.replace(/^-/, '');
+    if (!SORTS[sortKey]) {
+        return { error: `Invalid sort. Use one of: ${Object.keys(SORTS).join(', ')} (prefix with - for descending)` };
+    }
+    options.sort = { key: sortKey, path: SORTS[sortKey], direction: sort.startsWith('-') ? -1 : 1 };
+
+    // Pages are only returned when asked for; a plain list keeps its old shape
+    options.paginated = query.limit !== undefined || query.cursor !== undefined;
+    options.limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+
+    if (query.cursor) {
+        options.cursor = decodeCursor(String(query.cursor), sortKey);
+        if (!options.cursor) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+    return options;
+}
+
+/**
+ * Series matching a filter with parsed list options.
+ * Paginated: resolves to { items, nextCursor } (null on the last page); otherwise to an array.
+ */
+async function listSeries(filter, { fields, sort, paginated, limit, cursor }) {
+    const { path, direction } = sort;
+    const op = direction === -1 ? '$lt' : '$gt';
+
+    const conditions = [filter];
+    if (cursor) {
+        conditions.push({ $or: [{ [path]: { [op]: cursor.value } }, { [path]: cursor.value, _id: { [op]: cursor.id } }] });
+    }
+
+    const query = Series.find({ $and: conditions }).sort({ [path]: direction, _id: direction });
+    // The sort path is always selected so the next cursor can be built
+    if (fields) query.select([...new Set([...fields, path.split('.')[0]])].join(' '));
+    if (!paginated) return query;
+
+    const docs = await query.limit(limit + 1);
+    const items = docs.slice(0, limit);
+    const last = items[items.length - 1];
+    return {
+        items,
+        nextCursor: docs.length > limit ? encodeCursor(last.get(path), last._id) : null
+    };
+}
+
+module.exports = {
+    LIST_FIELDS,
+    SUMMARY_FIELDS,
+    parseListQuery,
+    listSeries
+};
@@ -0,0 +1,191 @@
+/**
+ * Share Links
+ * Public links to a series, season or episode with an optional expiry, passcode and view
+ * limit. Resolving a link returns a read-only copy of the shared content, without owner,
+ * sharing, storage or location details.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const ShareLink = require('../models/ShareLink');
+const Series = require('../models/Series');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SHARE_LINK_BASE_URL = process.env.SHARE_LINK_BASE_URL || null;
+const MAX_PASSCODE_FAILURES = parseInt(process.env.SHARE_LINK_MAX_PASSCODE_FAILURES) || 10;
+
+function generateToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+async function hashPasscode(passcode) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(String(passcode), salt, 32);
+    return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPasscode(passcode, stored) {
+    const [salt, hash] = stored.split(':');
+    const candidate = await scrypt(String(passcode), salt, 32);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+/**
+ * Check a passcode for a link, counting wrong ones. Each attempt is counted as a failure
+ * before the passcode is checked, so parallel guesses can't get past the limit, and the
+ * count is cleared when the passcode is right.
+ * Resolves to 'ok', 'wrong' or 'locked'.
+ */
+async function attemptPasscode(link, passcode) {
+    const attempt = await ShareLink.findOneAndUpdate(
+        { _id: link._id, passcodeFailures: { $not: { $gte: MAX_PASSCODE_FAILURES } } },
+        { $inc: { passcodeFailures: 1 } },
+        { new: true }
+    );
+    if (!attempt) return 'locked';
+
+    if (await verifyPasscode(passcode, link.passcodeHash)) {
+        await ShareLink.updateOne({ _id: link._id }, { passcodeFailures: 0 });
+        return 'ok';
+    }
+    await ShareLink.updateOne({ _id: link._id }, { $inc: { failedPasscodeAttempts: 1 } });
+    return attempt.passcodeFailures >= MAX_PASSCODE_FAILURES ? 'locked' : 'wrong';
+}
+
+/**
+ * Why a link can't be used right now ('revoked', 'expired', 'locked' or 'exhausted'), or null
+ */
+function linkStatus(link, now = new Date()) {
+    if (link.revokedAt) return 'revoked';
+    if (link.passcodeHash && link.passcodeFailures >= MAX_PASSCODE_FAILURES) return 'locked';
+    if (link.expiresAt && link.expiresAt <= now) return 'expired';
+    if (link.maxViews && link.viewCount >= link.maxViews) return 'exhausted';
+    return null;
+}
+
+/**
+ * A link as shown to the profiles managing it, with its analytics
+ */
+function serializeLink(link) {
+    return {
+        _id: link._id,
+        token: link.token,
+        url: SHARE_LINK_BASE_URL ? `${SHARE_LINK_BASE_URL.replace(/\/$/, '')}/${link.token}` : null,
+        scope: link.scope,
+        season: link.season || null,
+        episode: link.episode || null,
+        label: link.label || '',
+        createdBy: link.createdBy || null,
+        expiresAt: link.expiresAt || null,
+        hasPasscode: Boolean(link.passcodeHash),
+        maxViews: link.maxViews || null,
+        status: linkStatus(link) || 'active',
+        revokedAt: link.revokedAt || null,
+        viewCount: link.viewCount,
+        lastAccessedAt: link.lastAccessedAt || null,
+        failedPasscodeAttempts: link.failedPasscodeAttempts,
+        createdAt: link.createdAt
+    };
+}
+
+function publicTrack(track) {
+    return { _id: track._id, language: track.language, label: track.label, url: track.url };
+}
+
+// Public fields of a media item; GPS and storage internals stay private
+function publicMedia(media) {
+    const metadata = media.metadata || {};
+    const transcode = media.transcode && media.transcode.status === 'completed'
+        ? { mp4Url: media.transcode.mp4Url, hlsUrl: media.transcode.hlsUrl, renditions: media.transcode.renditions }
+        : null;
+    return {
+        _id: media._id,
+        type: media.type,
+        url: media.url,
+        metadata: {
+            takenAt: metadata.takenAt,
+            width: metadata.width,
+            height: metadata.height,
+            orientation: metadata.orientation,
+            duration: metadata.duration
+        },
+        transcode,
+        caption: media.caption || null,
+        tags: media.tags || [],
+        subtitles: (media.subtitles || []).map(publicTrack)
+    };
+}
+
+function publicEpisode(episode) {
+    return {
+        _id: episode._id,
+        title: episode.title,
+        description: episode.description || '',
+        thumbnail: episode.thumbnail || null,
+        music: episode.music || null,
+        subtitles: (episode.subtitles || []).map(publicTrack),
+        media: episode.media.map(publicMedia)
+    };
+}
+
+function publicSeason(season, episodes = season.episodes) {
+    return { _id: season._id, title: season.title, episodes: episodes.map(publicEpisode) };
+}
+
+/**
+ * The content a link shows, or null if it no longer exists
+ */
+async function getSharedContent(link) {
+    const series = await Series.findById(link.series).lean();
+    if (!series) return null;
+
+    let seasons = series.seasons;
+    const sameId = (a, b) => a && b && a.toString() === b.toString();
+    if (link.scope === 'season') {
+        seasons = seasons.filter(season => sameId(season._id, link.season));
+    } else if (link.scope === 'episode') {
+        seasons = seasons
+            .map(season => ({ ...season, episodes: season.episodes.filter(episode => sameId(episode._id, link.episode)) }))
+            .filter(season => season.episodes.length > 0);
+    }
+    if (link.scope !== 'series' && seasons.length === 0) return null;
+
+    return {
+        scope: link.scope,
+        series: {
+            title: series.title,
+            description: series.description || '',
+            thumbnail: series.thumbnail || null,
+            heroImage: series.heroImage || null
+        },
+        seasons: seasons.map(season => publicSeason(season))
+    };
+}
+
+/**
+ * Count a view on a link, unless its view limit was reached in the meantime.
+ * Resolves to the updated link, or null when the limit was hit.
+ */
+async function recordView(link) {
+    return ShareLink.findOneAndUpdate(
+        {
+            _id: link._id,
+            $or: [{ maxViews: null }, { $expr: { $lt: ['$viewCount', '$maxViews'] } }]
+        },
+        { $inc: { viewCount: 1 }, $set: { lastAccessedAt: new Date() } },
+        { new: true }
+    );
+}
+
+module.exports = {
+    MAX_PASSCODE_FAILURES,
+    generateToken,
+    hashPasscode,
+    verifyPasscode,
+    attemptPasscode,
+    linkStatus,
+    serializeLink,
+    getSharedContent,
+    recordView
+};
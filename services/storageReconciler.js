@@ -0,0 +1,200 @@
+/**
+ * Storage Reconciliation
+ * Uploads can reach storage while the save that should reference them fails, and failed
+ * deletes are only logged, so storage drifts from the database over time. This compares the
+ * objects in each upload folder with every file URL referenced by series, trashed items and
+ * active multipart uploads: objects nothing references are orphans, and references to
+ * missing objects are dangling. Orphans older than a grace period can be deleted.
+ */
+
+const path = require('path');
+const { listObjects, headObject, deleteFromS3, getKeyFromUrl } = require('../config/s3');
+const { UPLOAD_RULES, SUBTITLE_RULES } = require('../config/uploads');
+const Asset = require('../models/Asset');
+const Series = require('../models/Series');
+const TrashItem = require('../models/TrashItem');
+const UploadSession = require('../models/UploadSession');
+
+// The upload slots' folders, plus subtitle tracks and rendered videos (see services/renderer.js)
+const RECONCILE_FOLDERS = [...new Set([
+    ...Object.values(UPLOAD_RULES).map(rules => rules.folder),
+    SUBTITLE_RULES.folder,
+    'renders'
+])];
+const ORPHAN_GRACE_HOURS = parseFloat(process.env.STORAGE_ORPHAN_GRACE_HOURS) || 24;
+
+// Keys referenced by documents, with where each is referenced from, and referenced key prefixes
+function createReferences() {
+    return { keys: new Map(), prefixes: new Set() };
+}
+
+function addKey(refs, key, location) {
+    if (!refs.keys.has(key)) refs.keys.set(key, []);
+    refs.keys.get(key).push(location);
+}
+
+function addUrl(refs, url, location) {
+    const key = url && getKeyFromUrl(url);
+    if (key) addKey(refs, key, location);
+    return key;
+}
+
+// Whether a key, or a folder it is in, is referenced
+function isReferenced(refs, key) {
+    if (refs.keys.has(key)) return true;
+    const parts = key.split('/');
+    for (let i = 1; i < parts.length; i++) {
+        if (refs.prefixes.has(`${parts.slice(0, i).join('/')}/`)) return true;
+    }
+    return false;
+}
+
+// Each add* below takes `at`, which turns a field path within the item into a location for the report
+
+function addTracks(refs, tracks, at) {
+    (tracks || []).forEach((track, i) => addUrl(refs, track.url, at(`subtitles.${i}.url`)));
+}
+
+function addMedia(refs, media, at) {
+    const key = addUrl(refs, media.url, at('url'));
+    addTracks(refs, media.subtitles, at);
+
+    // Transcode output goes in a folder named after the media key (see services/transcoder.js),
+    // which is referenced while a transcode is still running too
+    if (key) refs.prefixes.add(`${key.slice(0, key.length - path.extname(key).length)}/`);
+    const transcode = media.transcode;
+    if (transcode && transcode.status === 'completed') {
+        addUrl(refs, transcode.mp4Url, at('transcode.mp4Url'));
+        addUrl(refs, transcode.hlsUrl, at('transcode.hlsUrl'));
+        (transcode.renditions || []).forEach((rendition, i) => {
+            addUrl(refs, rendition.url, at(`transcode.renditions.${i}.url`));
+        });
+    }
+}
+
+function addEpisode(refs, episode, at) {
+    addUrl(refs, episode.thumbnail, at('thumbnail'));
+    addUrl(refs, episode.music, at('music'));
+    addUrl(refs, episode.render && episode.render.url, at('render.url'));
+    addTracks(refs, episode.subtitles, at);
+    (episode.media || []).forEach((media, i) => addMedia(refs, media, field => at(`media.${i}.${field}`)));
+}
+
+function addSeason(refs, season, at) {
+    addUrl(refs, season.render && season.render.url, at('render.url'));
+    (season.episodes || []).forEach((episode, i) => addEpisode(refs, episode, field => at(`episodes.${i}.${field}`)));
+}
+
+function addSeries(refs, series, at) {
+    addUrl(refs, series.thumbnail, at('thumbnail'));
+    addUrl(refs, series.heroImage, at('heroImage'));
+    addUrl(refs, series.render && series.render.url, at('render.url'));
+    (series.seasons || []).forEach((season, i) => addSeason(refs, season, field => at(`seasons.${i}.${field}`)));
+}
+
+const ADD_TRASHED = { series: addSeries, season: addSeason, episode: addEpisode, media: addMedia };
+
+/**
+ * Every key referenced by series, trashed items (which keep their files until purged) and
+ * active multipart uploads
+ */
+async function collectReferences() {
+    const refs = createReferences();
+
+    for await (const series of Series.find().select('title thumbnail heroImage render seasons').lean().cursor()) {
+        addSeries(refs, series, field => ({ series: series._id, seriesTitle: series.title, field }));
+    }
+
+    for await (const item of TrashItem.find().lean().cursor()) {
+        ADD_TRASHED[item.kind](refs, item.data, field => ({
+            trashItem: item._id,
+            kind: item.kind,
+            series: item.series,
+            seriesTitle: item.seriesTitle,
+            field
+        }));
+    }
+
+    const sessions = await UploadSession.find({ status: 'active' }).select('key series').lean();
+    for (const session of sessions) {
+        addKey(refs, session.key, { uploadSession: session._id, series: session.series });
+    }
+
+    return refs;
+}
+
+/**
+ * Compare storage with the database. With deleteOrphans, orphans last modified more than
+ * graceHours ago are deleted (or, with dryRun, only listed as they would be).
+ * Resolves to a report: { startedAt, finishedAt, folders, objectCount, referenceCount,
+ * orphans: [{ key, size, lastModified, pastGrace }], orphanBytes, dangling: [{ key, locations }],
+ * deleted: [key], dryRun, graceHours }
+ */
+async function reconcileStorage({ deleteOrphans = false, dryRun = false, graceHours = ORPHAN_GRACE_HOURS } = {}) {
+    const startedAt = new Date();
+
+    // Objects are listed before references are collected, so a file that is attached to a
+    // series while this runs is never taken for an orphan
+    const objects = [];
+    for (const folder of RECONCILE_FOLDERS) {
+        objects.push(...await listObjects(`${folder}/`));
+    }
+    const refs = await collectReferences();
+
+    const cutoff = startedAt.getTime() - graceHours * 60 * 60 * 1000;
+    const orphans = objects
+        .filter(object => !isReferenced(refs, object.key))
+        .map(object => ({
+            key: object.key,
+            size: object.size,
+            lastModified: object.lastModified,
+            pastGrace: new Date(object.lastModified).getTime() < cutoff
+        }));
+
+    // Only references into the listed folders can be checked. Ones not listed are looked up,
+    // as they may have been stored since the listing.
+    const stored = new Set(objects.map(object => object.key));
+    const dangling = [];
+    for (const [key, locations] of refs.keys) {
+        if (stored.has(key) || !RECONCILE_FOLDERS.some(folder => key.startsWith(`${folder}/`))) continue;
+        if (await headObject(key)) continue;
+        dangling.push({ key, locations });
+    }
+
+    const deleted = [];
+    if (deleteOrphans) {
+        for (const orphan of orphans.filter(o => o.pastGrace)) {
+            if (dryRun) {
+                deleted.push(orphan.key);
+            } else if (await deleteFromS3(orphan.key)) {
+                // A registered file nothing references is left over from a failed save
+                await Asset.deleteOne({ key: orphan.key });
+                deleted.push(orphan.key);
+            }
+        }
+    }
+
+    console.log(`[RECONCILE] ✅ ${objects.length} object(s): ${orphans.length} orphan(s), ` +
+        `${dangling.length} dangling reference(s), ${deleted.length} ${dryRun ? 'to delete' : 'deleted'}`);
+
+    return {
+        startedAt,
+        finishedAt: new Date(),
+        dryRun,
+        graceHours,
+        folders: RECONCILE_FOLDERS,
+        objectCount: objects.length,
+        referenceCount: refs.keys.size,
+        orphans,
+        orphanBytes: orphans.reduce((total, orphan) => total + (orphan.size || 0), 0),
+        dangling,
+        deleted
+    };
+}
+
+module.exports = {
+    RECONCILE_FOLDERS,
+    ORPHAN_GRACE_HOURS,
+    collectReferences,
+    reconcileStorage
+};
@@ -0,0 +1,180 @@
+/**
+ * Subtitles
+ * WebVTT subtitle tracks for episode videos and slideshows: checking uploaded files,
+ * generating a slideshow track from media captions and the episode description (timed
+ * by services/timeline.js), and storing tracks under subtitles/.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getS3Url, generateKey, uploadFile } = require('../config/s3');
+const { SUBTITLE_RULES } = require('../config/uploads');
+const { buildTimeline } = require('./timeline');
+
+const MAX_TRACKS = 20;
+const MAX_LABEL_LENGTH = 60;
+// Shown over the first slide, at the top so it doesn't cover its caption
+const DESCRIPTION_SETTINGS = 'line:10% align:center';
+
+// [hh:]mm:ss.ttt
+const TIMESTAMP = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+const TIMING_LINE = /^(\S+)[ \t]+-->[ \t]+(\S+)(?:[ \t]+.*)?$/;
+
+function parseTimestamp(value) {
+    const match = TIMESTAMP.exec(value);
+    if (!match) return null;
+    const [, hours = '0', minutes, seconds, millis] = match;
+    return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + parseInt(millis) / 1000;
+}
+
+function formatTimestamp(seconds) {
+    const millis = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:` +
+        `${pad(Math.floor(millis / 1000) % 60)}.${pad(millis % 1000, 3)}`;
+}
+
+/**
+ * Check the text of a WebVTT file: the WEBVTT header, then blocks separated by blank
+ * lines, each a NOTE, STYLE or REGION block or a cue with a valid timing line.
+ * Returns an error message, or null if the file is acceptable.
+ */
+function validateVtt(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    if (!/^WEBVTT(?:[ \t].*)?$/.test(lines[0])) {
+        return 'Not a WebVTT file: the first line must be WEBVTT';
+    }
+
+    let cues = 0;
+    let i = 1;
+    while (i < lines.length) {
+        if (lines[i].trim() === '') {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        while (i < lines.length && lines[i].trim() !== '') i++;
+        const block = lines.slice(start, i);
+        if (/^(NOTE|STYLE|REGION)(?:[ \t]|$)/.test(block[0])) continue;
+
+        // A cue may start with an identifier line
+        const timingIndex = block[0].includes('-->') ? 0 : 1;
+        const timing = TIMING_LINE.exec(block[timingIndex] || '');
+        if (!timing) {
+            return `Invalid cue at line ${start + 1}: expected "start --> end"`;
+        }
+        const from = parseTimestamp(timing[1]);
+        const to = parseTimestamp(timing[2]);
+        if (from === null || to === null) {
+            return `Invalid timestamp at line ${start + timingIndex + 1}`;
+        }
+        if (to <= from) {
+            return `Cue at line ${start + timingIndex + 1} ends before it starts`;
+        }
+        cues++;
+    }
+
+    return cues > 0 ? null : 'WebVTT file has no cues';
+}
+
+/**
+ * Check a track's language tag and label. Throws on invalid values.
+ */
+function parseTrackFields({ language, label }) {
+    if (typeof language !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language.trim())) {
+        throw new Error('language must be a language tag such as "en" or "pt-BR"');
+    }
+    if (label != null && (typeof label !== 'string' || label.trim().length > MAX_LABEL_LENGTH)) {
+        throw new Error(`label must be text of at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    return { language: language.trim(), label: (label && label.trim()) || undefined };
+}
+
+/**
+ * WebVTT for an episode's slideshow: one cue per captioned media item for as long as it
+ * is on screen, plus the episode description over the first item. Null if there is no text.
+ */
+function buildSlideshowVtt(episode) {
+    const { items } = buildTimeline(episode);
+    const cues = [];
+
+    if (episode.description && episode.description.trim() && items.length > 0) {
+        cues.push({ start: 0, end: items[0].end, text: episode.description.trim(), settings: DESCRIPTION_SETTINGS });
+    }
+    for (const item of items) {
+        if (item.caption) cues.push({ start: item.start, end: item.end, text: item.caption });
+    }
+    if (cues.length === 0) return null;
+
+    // Blank lines would end the cue early
+    const cueText = text => text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).join('\n').replace(/-->/g, '->');
+    return ['WEBVTT', '', ...cues.map(cue => [
+        `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`,
+        cueText(cue.text),
+        ''
+    ].join('\n'))].join('\n');
+}
+
+/**
+ * Whether a media item or episode (holder) has room for another track of a language and source
+ */
+function canAddTrack(holder, { language, source = 'upload' }) {
+    return holder.subtitles.length < MAX_TRACKS ||
+        holder.subtitles.some(t => t.language === language && t.source === source);
+}
+
+/**
+ * Store a VTT file from disk and add it as a track on a media item or episode (holder),
+ * in place of the holder's track of the same language and source.
+ * Resolves to { track, replacedUrl }: the caller saves the series, then deletes the
+ * replaced file with deleteAsset (or the new track's file if saving fails).
+ */
+async function addTrack(holder, filePath, { language, label, source = 'upload' }) {
+    if (!canAddTrack(holder, { language, source })) {
+        throw new Error(`Maximum ${MAX_TRACKS} subtitle tracks allowed`);
+    }
+
+    const key = generateKey(SUBTITLE_RULES.folder, `${language}.vtt`);
+    await uploadFile(key, filePath, 'text/vtt');
+
+    const existing = holder.subtitles.find(t => t.language === language && t.source === source);
+    if (existing) holder.subtitles.pull(existing._id);
+    holder.subtitles.push({ language, label, source, url: getS3Url(key) });
+
+    return {
+        track: holder.subtitles[holder.subtitles.length - 1],
+        replacedUrl: existing ? existing.url : null
+    };
+}
+
+/**
+ * Generate an episode's slideshow track and add it (see addTrack). Resolves to null
+ * if no media has a caption and there is no description.
+ */
+async function addGeneratedTrack(episode, { language, label }) {
+    const vtt = buildSlideshowVtt(episode);
+    if (!vtt) return null;
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'subtitles-'));
+    try {
+        const filePath = path.join(workDir, 'captions.vtt');
+        await fs.promises.writeFile(filePath, vtt);
+        return await addTrack(episode, filePath, { language, label: label || 'Captions', source: 'generated' });
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    MAX_TRACKS,
+    parseTimestamp,
+    formatTimestamp,
+    validateVtt,
+    parseTrackFields,
+    canAddTrack,
+    buildSlideshowVtt,
+    addTrack,
+    addGeneratedTrack
+};
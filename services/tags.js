@@ -0,0 +1,86 @@
+/**
+ * Tags
+ * Free-form labels on series and media, and the people shown in media. Tags are stored
+ * lowercase, trimmed and de-duplicated so the same tag typed two ways groups together;
+ * names keep their case but are matched without it.
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_PEOPLE = 50;
+const MAX_NAME_LENGTH = 80;
+
+function cleanText(value) {
+    return value.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Normalize a list of tags from a request. Throws on anything that isn't a list of strings.
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+        throw new Error('tags must be an array of strings');
+    }
+    const normalized = [...new Set(tags.map(tag => cleanText(tag).toLowerCase()).filter(Boolean))];
+
+    if (normalized.length > MAX_TAGS) {
+        throw new Error(`Maximum ${MAX_TAGS} tags allowed`);
+    }
+    if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        throw new Error(`Tags can be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    return normalized;
+}
+
+// A region must lie within the image: fractions of its width and height
+function isValidRegion(region) {
+    const values = ['x', 'y', 'width', 'height'].map(key => region[key]);
+    if (!values.every(v => typeof v === 'number' && v >= 0 && v <= 1)) return false;
+    return region.width > 0 && region.height > 0 &&
+        region.x + region.width <= 1 && region.y + region.height <= 1;
+}
+
+/**
+ * Normalize the people on a media item from a request: names, or { name, region }.
+ * A name listed twice is kept once. Throws on invalid input.
+ */
+function normalizePeople(people) {
+    if (!Array.isArray(people)) {
+        throw new Error('people must be an array');
+    }
+
+    const byName = new Map();
+    for (const person of people) {
+        const entry = typeof person === 'string' ? { name: person } : person;
+        if (!entry || typeof entry.name !== 'string' || !cleanText(entry.name)) {
+            throw new Error('Each person needs a name');
+        }
+        const name = cleanText(entry.name);
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new Error(`Names can be at most ${MAX_NAME_LENGTH} characters`);
+        }
+        // Regions with no values (e.g. from an untagged stored entry) count as none
+        const region = entry.region && Object.values(entry.region).some(v => v != null) ? entry.region : null;
+        if (region && !isValidRegion(region)) {
+            throw new Error('region must be { x, y, width, height } as fractions (0-1) within the image');
+        }
+
+        const key = name.toLowerCase();
+        if (!byName.has(key)) {
+            byName.set(key, region
+                ? { name, region: { x: region.x, y: region.y, width: region.width, height: region.height } }
+                : { name });
+        }
+    }
+
+    if (byName.size > MAX_PEOPLE) {
+        throw new Error(`Maximum ${MAX_PEOPLE} people per item`);
+    }
+    return [...byName.values()];
+}
+
+module.exports = {
+    MAX_TAGS,
+    normalizeTags,
+    normalizePeople
+};
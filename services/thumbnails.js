@@ -0,0 +1,214 @@
+/**
+ * Thumbnail Generation
+ * Builds 16:9 card thumbnails for episodes from their media (a frame grab for videos,
+ * a crop for images) and a hero collage for each series from its episode thumbnails.
+ * Manually uploaded thumbnails are never replaced.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getS3Url, getKeyFromUrl, generateKey, downloadFile, uploadFile } = require('../config/s3');
+const { runFfmpeg, probe } = require('./ffmpeg');
+const { enqueueJob } = require('./jobQueue');
+const { findMedia, updateEpisodeFieldsByMedia, deleteAsset } = require('./seriesAssets');
+const Series = require('../models/Series');
+
+const CARD_WIDTH = 1280;
+const CARD_HEIGHT = 720;
+const HERO_WIDTH = 1920;
+const HERO_HEIGHT = 1080;
+const HERO_MAX_TILES = 4;
+
+// Largest 16:9 window, centred horizontally and on the upper third vertically (where faces
+// usually are in portrait shots), scaled to card size
+const CARD_FILTER = [
+    "crop='min(iw,ih*16/9)':'min(ih,iw*9/16)':'(iw-ow)/2':'max(0,min(ih-oh,ih/3-oh/2))'",
+    `scale=${CARD_WIDTH}:${CARD_HEIGHT}`
+].join(',');
+
+// Scale and crop to exactly fill a width x height tile
+function fillFilter(width, height) {
+    return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`;
+}
+
+// A generated thumbnail may replace an empty or generated one; auto mode only fills empty ones
+function canGenerateThumbnail(episode, auto) {
+    if (!episode.thumbnail) return true;
+    if (auto) return false;
+    return episode.thumbnailSource === 'generated';
+}
+
+/**
+ * Queue thumbnail generation for the episode holding a media item.
+ * auto: only fill the thumbnail if the episode has none (used after uploads).
+ */
+async function queueEpisodeThumbnail(seriesId, mediaId, { auto = false } = {}) {
+    return enqueueJob('thumbnail', { seriesId: String(seriesId), mediaId: String(mediaId), auto }, { unique: true });
+}
+
+/**
+ * Queue a rebuild of a series' hero image
+ */
+async function queueHeroImage(seriesId) {
+    return enqueueJob('hero', { seriesId: String(seriesId) }, { unique: true });
+}
+
+async function runThumbnail(job) {
+    const { seriesId, mediaId, auto } = job.payload;
+
+    const series = await Series.findById(seriesId);
+    const found = series && findMedia(series, mediaId);
+    if (!found) {
+        return { skipped: 'Media no longer exists' };
+    }
+    if (!canGenerateThumbnail(found.episode, auto)) {
+        return { skipped: 'Episode already has a thumbnail' };
+    }
+
+    const key = getKeyFromUrl(found.media.url);
+    if (!key) {
+        throw new Error('Media is not in managed storage');
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thumbnail-'));
+    try {
+        const sourcePath = path.join(workDir, `source${path.extname(key)}`);
+        const outputPath = path.join(workDir, 'thumbnail.jpg');
+        await downloadFile(key, sourcePath);
+
+        if (found.media.type === 'video') {
+            // Skip fades at the start, then let ffmpeg pick a representative frame
+            const info = await probe(sourcePath);
+            const duration = parseFloat(info.format.duration) || 0;
+            await runFfmpeg([
+                '-ss', String(Math.min(duration * 0.1, 3)),
+                '-i', sourcePath,
+                '-vf', `thumbnail=60,${CARD_FILTER}`,
+                '-frames:v', '1', '-q:v', '3',
+                outputPath
+            ]);
+        } else {
+            await runFfmpeg(['-i', sourcePath, '-vf', CARD_FILTER, '-frames:v', '1', '-q:v', '3', outputPath]);
+        }
+
+        // Re-check: someone may have uploaded a thumbnail while we were generating
+        const current = await Series.findById(seriesId);
+        const latest = current && findMedia(current, mediaId);
+        if (!latest || !canGenerateThumbnail(latest.episode, auto)) {
+            return { skipped: 'Episode thumbnail changed during generation' };
+        }
+
+        const thumbnailKey = generateKey('thumbnails', 'thumbnail.jpg');
+        await uploadFile(thumbnailKey, outputPath, 'image/jpeg');
+        const url = getS3Url(thumbnailKey);
+
+        // Only replace the thumbnail seen above, not one uploaded since
+        const updated = await updateEpisodeFieldsByMedia(seriesId, mediaId, {
+            thumbnail: url,
+            thumbnailSource: 'generated',
+            thumbnailMediaId: found.media._id
+        }, {
+            thumbnail: latest.episode.thumbnail,
+            thumbnailSource: latest.episode.thumbnailSource
+        });
+        if (!updated) {
+            await deleteAsset(url);
+            return { skipped: 'Episode thumbnail changed during generation' };
+        }
+        await deleteAsset(latest.episode.thumbnail);
+        await queueHeroImage(seriesId);
+
+        return { url };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+async function runHero(job) {
+    const { seriesId } = job.payload;
+
+    const series = await Series.findById(seriesId);
+    if (!series) {
+        return { skipped: 'Series no longer exists' };
+    }
+
+    const keys = series.seasons
+        .flatMap(season => season.episodes)
+        .map(episode => getKeyFromUrl(episode.thumbnail))
+        .filter(Boolean)
+        .slice(0, HERO_MAX_TILES);
+    if (keys.length === 0) {
+        return { skipped: 'No episode thumbnails yet' };
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hero-'));
+    try {
+        const inputs = [];
+        for (const [i, key] of keys.entries()) {
+            const inputPath = path.join(workDir, `tile${i}${path.extname(key)}`);
+            await downloadFile(key, inputPath);
+            inputs.push('-i', inputPath);
+        }
+
+        // 1 tile fills the frame, 2-3 sit side by side, 4 make a 2x2 grid
+        let filter;
+        if (keys.length === 1) {
+            filter = `[0:v]${fillFilter(HERO_WIDTH, HERO_HEIGHT)}[out]`;
+        } else if (keys.length < 4) {
+            const tileWidth = Math.floor(HERO_WIDTH / keys.length / 2) * 2;
+            filter = keys.map((_, i) => `[${i}:v]${fillFilter(tileWidth, HERO_HEIGHT)}[t${i}]`).join(';') +
+                `;${keys.map((_, i) => `[t${i}]`).join('')}hstack=inputs=${keys.length}[out]`;
+        } else {
+            filter = keys.map((_, i) => `[${i}:v]${fillFilter(HERO_WIDTH / 2, HERO_HEIGHT / 2)}[t${i}]`).join(';') +
+                ';[t0][t1][t2][t3]xstack=inputs=4:layout=0_0|w0_0|0_h0|w0_h0[out]';
+        }
+
+        const outputPath = path.join(workDir, 'hero.jpg');
+        await runFfmpeg([...inputs, '-filter_complex', filter, '-map', '[out]', '-frames:v', '1', '-q:v', '3', outputPath]);
+
+        const heroKey = generateKey('series-thumbnails', 'hero.jpg');
+        await uploadFile(heroKey, outputPath, 'image/jpeg');
+        const url = getS3Url(heroKey);
+
+        // Re-read so a thumbnail uploaded meanwhile is respected
+        const current = await Series.findById(seriesId);
+        if (!current) {
+            await deleteAsset(url);
+            return { skipped: 'Series was deleted during generation' };
+        }
+
+        const match = { _id: seriesId };
+        const update = { heroImage: url };
+        const replaceThumbnail = !current.thumbnail || current.thumbnailSource === 'generated';
+        if (replaceThumbnail) {
+            // Only replace the thumbnail seen above, not one uploaded since
+            match.thumbnail = current.thumbnail || null;
+            match.thumbnailSource = current.thumbnailSource || null;
+            update.thumbnail = url;
+            update.thumbnailSource = 'generated';
+        }
+        const { matchedCount } = await Series.updateOne(match, { $set: update });
+        if (matchedCount === 0) {
+            await deleteAsset(url);
+            return { skipped: 'Series thumbnail changed during generation' };
+        }
+
+        await deleteAsset(current.heroImage);
+        if (replaceThumbnail && current.thumbnail !== current.heroImage) {
+            await deleteAsset(current.thumbnail);
+        }
+
+        return { url, tiles: keys.length };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    canGenerateThumbnail,
+    queueEpisodeThumbnail,
+    queueHeroImage,
+    thumbnailJob: { run: runThumbnail },
+    heroJob: { run: runHero }
+};
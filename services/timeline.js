@@ -0,0 +1,206 @@
+/**
+ * Episode Timeline
+ * Slideshow timing for an episode: how long each media item is on screen, how it
+ * transitions into the next one, where it starts, and the resulting runtime. Media items
+ * can set their own duration, transition, caption, focal point and (videos) trim points;
+ * anything unset falls back to the episode's slideDefaults. The player and the renderer
+ * (services/renderer.js) both play from this timeline.
+ */
+
+const Series = require('../models/Series');
+
+const { TRANSITIONS } = Series;
+const DEFAULTS = {
+    imageDuration: 4,
+    transition: 'crossfade',
+    transitionDuration: 1
+};
+const MAX_IMAGE_DURATION = 60;
+const MAX_TRANSITION_DURATION = 3;
+const MAX_CAPTION_LENGTH = 300;
+
+// Number in [min, max], or null to clear. Throws otherwise.
+function parseNumber(value, field, min, max) {
+    if (value === null) return null;
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`${field} must be a number from ${min} to ${max}`);
+    }
+    return number;
+}
+
+function parseTransition(value) {
+    if (value === null) return null;
+    if (!TRANSITIONS.includes(value)) {
+        throw new Error(`transition must be one of: ${TRANSITIONS.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Check episode slide defaults ({ imageDuration, transition, transitionDuration }),
+ * returning only the fields given. Null clears a field. Throws on invalid values.
+ */
+function parseSlideDefaults(input) {
+    if (!input || typeof input !== 'object') throw new Error('defaults must be an object');
+    const fields = {};
+    if (input.imageDuration !== undefined) {
+        fields.imageDuration = parseNumber(input.imageDuration, 'imageDuration', 0.5, MAX_IMAGE_DURATION);
+    }
+    if (input.transition !== undefined) fields.transition = parseTransition(input.transition);
+    if (input.transitionDuration !== undefined) {
+        fields.transitionDuration = parseNumber(input.transitionDuration, 'transitionDuration', 0, MAX_TRANSITION_DURATION);
+    }
+    return fields;
+}
+
+/**
+ * Check slide fields for one media item ({ duration, caption, transition, focalPoint,
+ * trimStart, trimEnd }), returning only the fields given. Null clears a field.
+ * Throws on invalid values, including fields that don't apply to the media type.
+ */
+function parseSlideFields(input, media) {
+    const fields = {};
+    const isVideo = media.type === 'video';
+
+    if (input.duration !== undefined) {
+        if (isVideo && input.duration !== null) throw new Error('Videos play for their length: set trimStart/trimEnd instead');
+        fields.duration = parseNumber(input.duration, 'duration', 0.5, MAX_IMAGE_DURATION);
+    }
+    if (input.caption !== undefined) {
+        if (input.caption !== null && typeof input.caption !== 'string') throw new Error('caption must be text');
+        const caption = input.caption && input.caption.trim();
+        if (caption && caption.length > MAX_CAPTION_LENGTH) {
+            throw new Error(`caption can be at most ${MAX_CAPTION_LENGTH} characters`);
+        }
+        fields.caption = caption || null;
+    }
+    if (input.transition !== undefined) fields.transition = parseTransition(input.transition);
+    if (input.focalPoint !== undefined) {
+        const point = input.focalPoint;
+        if (point !== null && (typeof point !== 'object' || point.x === undefined || point.y === undefined)) {
+            throw new Error('focalPoint must be { x, y }');
+        }
+        fields.focalPoint = point && {
+            x: parseNumber(point.x, 'focalPoint.x', 0, 1),
+            y: parseNumber(point.y, 'focalPoint.y', 0, 1)
+        };
+    }
+
+    if (input.trimStart !== undefined || input.trimEnd !== undefined) {
+        if (!isVideo) throw new Error('Only videos can be trimmed');
+        const length = (media.metadata && media.metadata.duration) || Infinity;
+        if (input.trimStart !== undefined) fields.trimStart = parseNumber(input.trimStart, 'trimStart', 0, length);
+        if (input.trimEnd !== undefined) fields.trimEnd = parseNumber(input.trimEnd, 'trimEnd', 0, length);
+
+        const start = fields.trimStart !== undefined ? fields.trimStart : media.trimStart;
+        const end = fields.trimEnd !== undefined ? fields.trimEnd : media.trimEnd;
+        if (start != null && end != null && end <= start) throw new Error('trimEnd must be after trimStart');
+    }
+    return fields;
+}
+
+/**
+ * Episode defaults with any overrides applied (only fields that are set count)
+ */
+function resolveDefaults(episode, overrides = {}) {
+    const defaults = { ...DEFAULTS };
+    for (const source of [episode.slideDefaults || {}, overrides]) {
+        Object.keys(DEFAULTS).forEach(field => {
+            if (source[field] != null) defaults[field] = source[field];
+        });
+    }
+    return defaults;
+}
+
+/**
+ * An episode's timeline. Items are in media order with start, duration and end in
+ * seconds and the transition into the next item; transitions overlap the two items, so
+ * the next item starts that much before this one ends. Videos whose length isn't known
+ * yet (metadata not extracted) count as one image and are flagged estimated.
+ * Overrides replace the episode defaults, as render options do.
+ */
+function buildTimeline(episode, overrides = {}) {
+    const defaults = resolveDefaults(episode, overrides);
+
+    const items = episode.media.map((media) => {
+        let duration = media.duration != null ? media.duration : defaults.imageDuration;
+        let estimated = false;
+        if (media.type === 'video') {
+            const length = media.metadata && media.metadata.duration;
+            const trimStart = media.trimStart || 0;
+            const trimEnd = media.trimEnd != null ? media.trimEnd : length;
+            if (trimEnd != null) {
+                duration = Math.max(trimEnd - trimStart, 0);
+            } else {
+                duration = defaults.imageDuration;
+                estimated = true;
+            }
+        }
+
+        return {
+            mediaId: media._id,
+            type: media.type,
+            url: media.url,
+            duration,
+            caption: media.caption || null,
+            focalPoint: media.focalPoint && media.focalPoint.x != null ? media.focalPoint : null,
+            trimStart: media.type === 'video' ? media.trimStart || 0 : undefined,
+            trimEnd: media.type === 'video' ? (media.trimEnd != null ? media.trimEnd : null) : undefined,
+            transitionType: media.transition || defaults.transition,
+            estimated
+        };
+    });
+
+    let position = 0;
+    items.forEach((item, i) => {
+        item.start = round(position);
+        item.end = round(position + item.duration);
+        const next = items[i + 1];
+        // Transitions can't be longer than half of either item
+        item.transition = next
+            ? {
+                type: item.transitionType,
+                duration: item.transitionType === 'cut'
+                    ? 0
+                    : round(Math.min(defaults.transitionDuration, item.duration / 2, next.duration / 2))
+            }
+            : null;
+        delete item.transitionType;
+        position += item.duration - (item.transition ? item.transition.duration : 0);
+    });
+    const runtime = round(position);
+
+    let music = null;
+    if (episode.music) {
+        const duration = episode.musicDuration || null;
+        music = {
+            url: episode.music,
+            duration,
+            // Music loops when shorter than the episode and is cut off when longer
+            loops: duration && runtime > 0 ? Math.ceil(runtime / duration) : null,
+            trimmed: duration ? duration > runtime : null
+        };
+    }
+
+    return {
+        defaults,
+        runtime,
+        estimated: items.some(item => item.estimated),
+        items,
+        music
+    };
+}
+
+function round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = {
+    TRANSITIONS,
+    DEFAULTS,
+    parseSlideDefaults,
+    parseSlideFields,
+    resolveDefaults,
+    buildTimeline
+};
@@ -0,0 +1,215 @@
+/**
+ * Video Transcoder
+ * Turns an uploaded video into an H.264 MP4 plus multi-bitrate HLS, stored next to the
+ * original (media/<uuid>.mov -> media/<uuid>/video.mp4, media/<uuid>/hls/master.m3u8).
+ * Media sharing one stored file (see services/assetRegistry.js) share its transcode too.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getS3Url, getKeyFromUrl, downloadFile, uploadDirectory, deletePrefix } = require('../config/s3');
+const { runFfmpeg, probe } = require('./ffmpeg');
+const { enqueueJob } = require('./jobQueue');
+const { findMedia, updateMediaFields } = require('./seriesAssets');
+const { countReferences } = require('./assetRegistry');
+const Series = require('../models/Series');
+
+// HLS ladder; renditions taller than the source are skipped
+const RENDITIONS = [
+    { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+    { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+    { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+/**
+ * Queue a transcode for a video and mark it as queued on the media item
+ */
+async function queueTranscode(seriesId, mediaId) {
+    const job = await enqueueJob('transcode', { seriesId: String(seriesId), mediaId: String(mediaId) });
+    await updateMediaFields(seriesId, mediaId, {
+        'transcode.status': 'queued',
+        'transcode.jobId': job._id,
+        'transcode.error': null
+    });
+    return job;
+}
+
+// Display size of the video stream, accounting for phone rotation metadata
+function getDisplaySize(stream) {
+    const rotation = parseInt(
+        (stream.tags && stream.tags.rotate) ||
+        ((stream.side_data_list || []).find(d => d.rotation !== undefined) || {}).rotation ||
+        0
+    );
+    return Math.abs(rotation) % 180 === 90
+        ? { width: stream.height, height: stream.width }
+        : { width: stream.width, height: stream.height };
+}
+
+// Even width for a rendition height, keeping the source aspect ratio
+function scaledWidth(source, height) {
+    return Math.round((source.width * height) / source.height / 2) * 2;
+}
+
+// Finished transcode of another media item using the same stored file, if there is one
+async function findSharedTranscode(mediaId, url) {
+    const series = await Series.findOne({
+        'seasons.episodes.media': { $elemMatch: { url, 'transcode.status': 'completed' } }
+    }).select('seasons.episodes.media');
+    if (!series) return null;
+
+    for (const season of series.seasons) {
+        for (const episode of season.episodes) {
+            const media = episode.media.find(m => m.url === url && m.transcode && m.transcode.status === 'completed');
+            if (media && media._id.toString() !== String(mediaId)) return media.transcode.toObject();
+        }
+    }
+    return null;
+}
+
+async function run(job, { setProgress }) {
+    const { seriesId, mediaId } = job.payload;
+
+    const series = await Series.findById(seriesId);
+    const found = series && findMedia(series, mediaId);
+    if (!found) {
+        return { skipped: 'Media no longer exists' };
+    }
+
+    const key = getKeyFromUrl(found.media.url);
+    if (!key) {
+        throw new Error('Media is not in managed storage');
+    }
+
+    if (await countReferences(key) > 1) {
+        const shared = await findSharedTranscode(mediaId, found.media.url);
+        if (shared) {
+            await updateMediaFields(seriesId, mediaId, { transcode: { ...shared, jobId: job._id } });
+            return { mp4Url: shared.mp4Url, hlsUrl: shared.hlsUrl, shared: true };
+        }
+    }
+
+    await updateMediaFields(seriesId, mediaId, { 'transcode.status': 'processing', 'transcode.jobId': job._id });
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcode-'));
+    try {
+        const sourcePath = path.join(workDir, `source${path.extname(key)}`);
+        const outDir = path.join(workDir, 'out');
+        await fs.promises.mkdir(path.join(outDir, 'hls'), { recursive: true });
+        await downloadFile(key, sourcePath);
+
+        const info = await probe(sourcePath);
+        const videoStream = info.streams.find(s => s.codec_type === 'video');
+        if (!videoStream) {
+            throw new Error('No video stream found');
+        }
+        const source = getDisplaySize(videoStream);
+        const duration = parseFloat(info.format.duration) || 0;
+        const ladder = RENDITIONS.filter(r => r.height <= source.height);
+        if (ladder.length === 0) ladder.push(RENDITIONS[RENDITIONS.length - 1]);
+
+        // Overall progress is split evenly between the MP4 and each HLS rendition
+        const steps = 1 + ladder.length;
+        const stepProgress = (step) => (p) => setProgress(((step + p / 100) / steps) * 100);
+
+        const mp4Path = path.join(outDir, 'video.mp4');
+        await runFfmpeg([
+            '-i', sourcePath,
+            '-map', '0:v:0', '-map', '0:a:0?',
+            '-vf', "scale=-2:'min(1080,ih)'",
+            '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+            '-c:a', 'aac', '-b:a', '128k', '-ac', '2',
+            '-movflags', '+faststart',
+            mp4Path
+        ], { duration, onProgress: stepProgress(0) });
+
+        for (const [i, rendition] of ladder.entries()) {
+            const renditionDir = path.join(outDir, 'hls', rendition.name);
+            await fs.promises.mkdir(renditionDir);
+            await runFfmpeg([
+                '-i', mp4Path,
+                '-map', '0:v:0', '-map', '0:a:0?',
+                '-vf', `scale=-2:${rendition.height}`,
+                '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p',
+                '-b:v', `${rendition.videoBitrate}k`,
+                '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+                '-bufsize', `${Math.round(rendition.videoBitrate * 1.5)}k`,
+                '-g', '48', '-keyint_min', '48', '-sc_threshold', '0',
+                '-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2',
+                '-f', 'hls', '-hls_time', '6', '-hls_playlist_type', 'vod',
+                '-hls_segment_filename', path.join(renditionDir, 'segment_%03d.ts'),
+                path.join(renditionDir, 'index.m3u8')
+            ], { duration, onProgress: stepProgress(i + 1) });
+        }
+
+        const renditions = ladder.map(r => ({
+            name: r.name,
+            width: scaledWidth(source, r.height),
+            height: r.height,
+            bandwidth: (r.videoBitrate + r.audioBitrate) * 1000
+        }));
+        const masterPlaylist = [
+            '#EXTM3U',
+            '#EXT-X-VERSION:3',
+            ...renditions.flatMap(r => [
+                `#EXT-X-STREAM-INF:BANDWIDTH=${r.bandwidth},RESOLUTION=${r.width}x${r.height}`,
+                `${r.name}/index.m3u8`
+            ])
+        ].join('\n') + '\n';
+        await fs.promises.writeFile(path.join(outDir, 'hls', 'master.m3u8'), masterPlaylist);
+
+        // Output goes in a folder named after the original key, minus its extension
+        const folder = key.slice(0, key.length - path.extname(key).length);
+        await uploadDirectory(folder, outDir);
+
+        const transcode = {
+            status: 'completed',
+            jobId: job._id,
+            error: null,
+            folder: `${folder}/`,
+            mp4Url: getS3Url(`${folder}/video.mp4`),
+            hlsUrl: getS3Url(`${folder}/hls/master.m3u8`),
+            renditions: renditions.map(r => ({ ...r, url: getS3Url(`${folder}/hls/${r.name}/index.m3u8`) })),
+            completedAt: new Date()
+        };
+
+        // The media may have been deleted while we were encoding. If it was moved to another
+        // series instead, the move queued a new transcode that writes to the same folder.
+        // The output stays while other media still use the same file.
+        if (!await updateMediaFields(seriesId, mediaId, { transcode })) {
+            if (await Series.exists({ 'seasons.episodes.media._id': mediaId })) {
+                return { skipped: 'Media was moved to another series during transcoding' };
+            }
+            if (await countReferences(key) > 0) {
+                return { skipped: 'Media was deleted during transcoding' };
+            }
+            await deletePrefix(`${folder}/`);
+            return { skipped: 'Media was deleted during transcoding' };
+        }
+
+        return { mp4Url: transcode.mp4Url, hlsUrl: transcode.hlsUrl, renditions: renditions.length };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+async function onFailure(job, error, willRetry) {
+    const { seriesId, mediaId } = job.payload;
+    await updateMediaFields(seriesId, mediaId, {
+        'transcode.status': willRetry ? 'queued' : 'failed',
+        'transcode.error': error.message
+    });
+}
+
+async function onRetry(job) {
+    const { seriesId, mediaId } = job.payload;
+    await updateMediaFields(seriesId, mediaId, { 'transcode.status': 'queued', 'transcode.error': null });
+}
+
+module.exports = {
+    RENDITIONS,
+    queueTranscode,
+    transcodeJob: { run, onFailure, onRetry }
+};
@@ -0,0 +1,288 @@
+/**
+ * Trash
+ * Deleting a series, season, episode or media item moves it into the trash (see
+ * models/TrashItem.js) and leaves its stored files alone. The profile data pointing at it
+ * (watch progress, ratings, My List entries, ...) is removed right away, so trashed content
+ * never shows up in Continue Watching, My List or rating counts, and doesn't come back on
+ * restore. Restoring puts it back where it was; purging - TRASH_RETENTION_DAYS after
+ * deletion, or on demand - deletes its files.
+ */
+
+const mongoose = require('mongoose');
+const {
+    findSeason,
+    findEpisode,
+    deleteMediaAssets,
+    deleteEpisodeAssets,
+    deleteSeasonAssets,
+    deleteSeriesAssets
+} = require('./seriesAssets');
+const { clearSeriesData, clearEpisodeData } = require('./profileData');
+const Series = require('../models/Series');
+const TrashItem = require('../models/TrashItem');
+
+const RETENTION = (parseInt(process.env.TRASH_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL = (parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const PURGE_BATCH = 100;
+
+/**
+ * Trash items a profile can see and act on: from series it owned, items it deleted, and
+ * items from series without an owner
+ */
+function trashFilter(profileId) {
+    const id = new mongoose.Types.ObjectId(String(profileId));
+    return { $or: [{ owner: id }, { deletedBy: id }, { owner: null }] };
+}
+
+async function createItem(kind, series, fields, profileId) {
+    const deletedAt = new Date();
+    return TrashItem.create({
+        kind,
+        series: series._id,
+        seriesTitle: series.title,
+        owner: series.owner || null,
+        deletedBy: profileId || null,
+        deletedAt,
+        purgeAt: new Date(deletedAt.getTime() + RETENTION),
+        ...fields
+    });
+}
+
+// Move an entry of one of a series' lists to the trash, remembering its position
+async function trashFromList(series, list, entry, kind, fields, profileId) {
+    const position = list.indexOf(entry);
+    const item = await createItem(kind, series, { ...fields, position, data: entry.toObject() }, profileId);
+
+    list.splice(position, 1);
+    try {
+        await series.save();
+    } catch (error) {
+        await item.deleteOne();
+        throw error;
+    }
+    return item;
+}
+
+/**
+ * Move a whole series to the trash and clear the profile data about it. Resolves to the trash item.
+ */
+async function trashSeries(series, profileId) {
+    const item = await createItem('series', series, {
+        title: series.title,
+        thumbnail: series.thumbnail,
+        data: series.toObject()
+    }, profileId);
+
+    try {
+        await Series.deleteOne({ _id: series._id });
+    } catch (error) {
+        await item.deleteOne();
+        throw error;
+    }
+    await clearSeriesData(series._id);
+    return item;
+}
+
+/**
+ * Move a season to the trash, save the series and clear the profile data about its
+ * episodes. Resolves to the trash item.
+ */
+async function trashSeason(series, season, profileId) {
+    const thumbnail = (season.episodes.find(episode => episode.thumbnail) || {}).thumbnail;
+    const item = await trashFromList(series, series.seasons, season, 'season', { title: season.title, thumbnail }, profileId);
+    await clearEpisodeData(season.episodes);
+    return item;
+}
+
+/**
+ * Move an episode to the trash, save the series and clear the profile data about the
+ * episode. Resolves to the trash item.
+ */
+async function trashEpisode(series, season, episode, profileId) {
+    const item = await trashFromList(series, season.episodes, episode, 'episode', {
+        season: season._id,
+        title: episode.title,
+        thumbnail: episode.thumbnail
+    }, profileId);
+    await clearEpisodeData([episode]);
+    return item;
+}
+
+/**
+ * Move a media item to the trash and save the series. Resolves to the trash item.
+ */
+async function trashMedia(series, episode, media, profileId) {
+    return trashFromList(series, episode.media, media, 'media', {
+        episode: episode._id,
+        title: media.originalName,
+        thumbnail: media.type === 'image' ? media.url : null
+    }, profileId);
+}
+
+// Episodes held in a trashed item's data
+function trashedEpisodes(kind, data) {
+    if (kind === 'series') return data.seasons.flatMap(season => season.episodes);
+    if (kind === 'season') return data.episodes;
+    if (kind === 'episode') return [data];
+    return [];
+}
+
+/**
+ * Put a trash item back where it was, clamped to the current length of its list.
+ * Resolves to { series, restored: [{ episode, media }] } (the media that came back, by
+ * episode, for follow-up processing), or { status, error } if its place is gone or full.
+ */
+async function restoreItem(item) {
+    const data = item.data;
+
+    // Jobs for the item were skipped while it was in the trash, so unfinished
+    // transcodes are cleared to be queued again
+    const mediaList = item.kind === 'media' ? [data] : trashedEpisodes(item.kind, data).flatMap(e => e.media);
+    for (const media of mediaList) {
+        if (media.transcode && media.transcode.status !== 'completed') delete media.transcode;
+    }
+
+    let series;
+    let restored;
+    const allMedia = episodes => episodes.map(episode => ({ episode, media: episode.media }));
+    if (item.kind === 'series') {
+        if (await Series.exists({ _id: item.series })) {
+            return { status: 409, error: 'This series already exists' };
+        }
+        series = new Series(data);
+        restored = allMedia(series.seasons.flatMap(season => season.episodes));
+    } else {
+        series = await Series.findById(item.series);
+        if (!series) {
+            return { status: 409, error: 'Its series was deleted: restore the series first' };
+        }
+
+        if (item.kind === 'season') {
+            if (series.seasons.length >= Series.MAX_SEASONS) {
+                return { status: 409, error: `Maximum ${Series.MAX_SEASONS} seasons allowed` };
+            }
+            series.seasons.splice(Math.min(item.position, series.seasons.length), 0, data);
+            restored = allMedia(findSeason(series, String(data._id)).episodes);
+        } else if (item.kind === 'episode') {
+            const season = findSeason(series, String(item.season));
+            if (!season) {
+                return { status: 409, error: 'Its season was deleted: restore the season first' };
+            }
+            if (season.episodes.length >= Series.MAX_EPISODES_PER_SEASON) {
+                return { status: 409, error: `Maximum ${Series.MAX_EPISODES_PER_SEASON} episodes per season` };
+            }
+            season.episodes.splice(Math.min(item.position, season.episodes.length), 0, data);
+            restored = allMedia([findEpisode(series, data._id).episode]);
+        } else {
+            const found = findEpisode(series, item.episode);
+            if (!found) {
+                return { status: 409, error: 'Its episode was deleted: restore the episode first' };
+            }
+            found.episode.media.splice(Math.min(item.position, found.episode.media.length), 0, data);
+            const media = found.episode.media.find(m => m._id.toString() === data._id.toString());
+            restored = [{ episode: found.episode, media: [media] }];
+        }
+    }
+
+    await series.save();
+    await item.deleteOne();
+    return { series, restored };
+}
+
+/**
+ * Permanently delete a trash item and its stored files
+ */
+async function purgeItem(item) {
+    const data = item.data;
+    if (item.kind === 'series') {
+        await deleteSeriesAssets(data);
+    } else if (item.kind === 'season') {
+        await deleteSeasonAssets(data);
+    } else if (item.kind === 'episode') {
+        await deleteEpisodeAssets(data);
+    } else {
+        await deleteMediaAssets(data);
+    }
+    await TrashItem.deleteOne({ _id: item._id });
+}
+
+/**
+ * A page of a profile's trash, newest first, without the stored data
+ */
+async function listTrash(profileId, { kind, offset = 0, limit = 50 } = {}) {
+    const filter = kind ? { $and: [trashFilter(profileId), { kind }] } : trashFilter(profileId);
+    const [total, items] = await Promise.all([
+        TrashItem.countDocuments(filter),
+        TrashItem.find(filter).select('-data').sort({ deletedAt: -1 }).skip(offset).limit(limit).lean()
+    ]);
+    return { total, items, nextOffset: offset + limit < total ? offset + limit : null };
+}
+
+/**
+ * Purge everything in a profile's trash now. Items that fail to purge stay in the trash.
+ * Resolves to { purged, failed } counts.
+ */
+async function emptyTrash(profileId) {
+    const items = await TrashItem.find(trashFilter(profileId));
+
+    let purged = 0;
+    for (const item of items) {
+        try {
+            await purgeItem(item);
+            purged++;
+        } catch (error) {
+            console.error(`[TRASH] ❌ Failed to purge ${item.kind} ${item._id}:`, error.message);
+        }
+    }
+
+    console.log(`[TRASH] 🗑️  Emptied trash: ${purged} item(s) purged, ${items.length - purged} failed`);
+    return { purged, failed: items.length - purged };
+}
+
+/**
+ * Purge items whose retention period is over. Resolves to the number purged.
+ */
+async function purgeExpiredItems() {
+    const items = await TrashItem.find({ purgeAt: { $lte: new Date() } }).limit(PURGE_BATCH);
+
+    let purged = 0;
+    for (const item of items) {
+        try {
+            await purgeItem(item);
+            purged++;
+        } catch (error) {
+            console.error(`[TRASH] ❌ Failed to purge ${item.kind} ${item._id}:`, error.message);
+        }
+    }
+
+    if (purged > 0) {
+        console.log(`[TRASH] 🧹 Purged ${purged} expired trash item(s)`);
+    }
+    return purged;
+}
+
+/**
+ * Run the purge now and then on an interval
+ */
+function startTrashPurger() {
+    const purge = () => purgeExpiredItems().catch(error => {
+        console.error('[TRASH] ❌ Failed to purge trash:', error.message);
+    });
+
+    purge();
+    setInterval(purge, PURGE_INTERVAL).unref();
+}
+
+module.exports = {
+    trashFilter,
+    trashSeries,
+    trashSeason,
+    trashEpisode,
+    trashMedia,
+    restoreItem,
+    purgeItem,
+    listTrash,
+    emptyTrash,
+    purgeExpiredItems,
+    startTrashPurger
+};
@@ -0,0 +1,48 @@
+/**
+ * Upload Session Sweeper
+ * Periodically aborts multipart uploads that were abandoned mid-way,
+ * so their parts don't sit in the bucket forever.
+ */
+
+const { abortMultipartUpload } = require('../config/s3');
+const { MULTIPART_SESSION_TTL } = require('../config/uploads');
+const UploadSession = require('../models/UploadSession');
+
+const SWEEP_INTERVAL = (parseInt(process.env.MULTIPART_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Abort every active session with no activity within the session TTL
+ */
+async function sweepStaleUploadSessions() {
+    const cutoff = new Date(Date.now() - MULTIPART_SESSION_TTL);
+    const staleSessions = await UploadSession.find({ status: 'active', lastActivityAt: { $lt: cutoff } });
+
+    for (const session of staleSessions) {
+        if (await abortMultipartUpload(session.key, session.uploadId)) {
+            session.status = 'expired';
+            await session.save();
+        }
+    }
+
+    if (staleSessions.length > 0) {
+        console.log(`[SWEEPER] 🧹 Expired ${staleSessions.length} stale upload session(s)`);
+    }
+    return staleSessions.length;
+}
+
+/**
+ * Run the sweeper now and then on an interval
+ */
+function startUploadSessionSweeper() {
+    const sweep = () => sweepStaleUploadSessions().catch(error => {
+        console.error('[SWEEPER] ❌ Failed to sweep upload sessions:', error.message);
+    });
+
+    sweep();
+    setInterval(sweep, SWEEP_INTERVAL).unref();
+}
+
+module.exports = {
+    sweepStaleUploadSessions,
+    startUploadSessionSweeper
+};
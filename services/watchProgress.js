@@ -0,0 +1,143 @@
+/**
+ * Watch Progress
+ * Recording playback heartbeats per profile and episode, and building the
+ * "Continue Watching" row from them.
+ */
+
+const mongoose = require('mongoose');
+const Series = require('../models/Series');
+const WatchProgress = require('../models/WatchProgress');
+const { visibleSeriesFilter } = require('./seriesAccess');
+
+// A video watched this far through counts as finished
+const COMPLETION_RATIO = 0.9;
+
+// Episodes of a series in viewing order
+function episodesInOrder(series) {
+    return series.seasons.flatMap(season => season.episodes.map(episode => ({ season, episode })));
+}
+
+/**
+ * Record a heartbeat for an episode: { mediaIndex, position, duration, completed }.
+ * The episode completes when asked to, or when the last media item is reached
+ * (and, for a video, mostly played).
+ */
+async function recordProgress(profileId, series, episode, { mediaIndex = 0, position = 0, duration, completed }) {
+    const index = Math.min(Math.max(parseInt(mediaIndex) || 0, 0), Math.max(episode.media.length - 1, 0));
+    const media = episode.media[index];
+    const seconds = Math.max(parseFloat(position) || 0, 0);
+    const length = parseFloat(duration) || (media && media.metadata && media.metadata.duration) || undefined;
+
+    const onLastItem = index >= episode.media.length - 1;
+    const finished = completed === true || (onLastItem && (
+        !media || media.type !== 'video' || (length && seconds >= length * COMPLETION_RATIO)
+    ));
+
+    const update = {
+        series: series._id,
+        mediaIndex: index,
+        mediaId: media ? media._id : null,
+        position: seconds,
+        duration: length,
+        lastWatchedAt: new Date()
+    };
+    // Rewatching a finished episode doesn't un-finish it until it's cleared
+    if (finished) {
+        update.completed = true;
+        update.completedAt = new Date();
+    }
+
+    return WatchProgress.findOneAndUpdate(
+        { profile: profileId, episode: episode._id },
+        { $set: update },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Mark episodes as watched (completed) or unwatched (progress removed)
+ */
+async function setWatched(profileId, series, episodes, watched) {
+    const episodeIds = episodes.map(episode => episode._id);
+    if (!watched) {
+        await WatchProgress.deleteMany({ profile: profileId, episode: { $in: episodeIds } });
+        return;
+    }
+
+    const now = new Date();
+    await WatchProgress.bulkWrite(episodes.map(episode => ({
+        updateOne: {
+            filter: { profile: profileId, episode: episode._id },
+            update: {
+                $set: { series: series._id, completed: true, completedAt: now, lastWatchedAt: now },
+                $setOnInsert: { mediaIndex: 0, position: 0 }
+            },
+            upsert: true
+        }
+    })));
+}
+
+/**
+ * The "Continue Watching" row: for each series the profile watched recently (and can still
+ * see), the episode in progress, or else the next unwatched episode after the last one
+ * finished. Finished series are left out.
+ */
+async function getContinueWatching(profileId, limit = 20) {
+    const recent = await WatchProgress.aggregate([
+        { $match: { profile: new mongoose.Types.ObjectId(String(profileId)) } },
+        { $sort: { lastWatchedAt: -1 } },
+        { $group: { _id: '$series', latest: { $first: '$$ROOT' } } },
+        { $sort: { 'latest.lastWatchedAt': -1 } }
+    ]);
+
+    const seriesList = await Series.find({
+        $and: [{ _id: { $in: recent.map(r => r._id) } }, visibleSeriesFilter(profileId)]
+    });
+    const seriesById = new Map(seriesList.map(s => [s._id.toString(), s]));
+
+    const rows = [];
+    for (const { _id, latest } of recent) {
+        const series = seriesById.get(_id.toString());
+        if (!series) continue;
+
+        const episodes = episodesInOrder(series);
+        const current = episodes.findIndex(({ episode }) => episode._id.toString() === latest.episode.toString());
+        if (current === -1) continue;
+
+        let next = current;
+        let progress = latest;
+        if (latest.completed) {
+            const completed = await WatchProgress.find({ profile: profileId, series: series._id, completed: true }).select('episode');
+            const done = new Set(completed.map(p => p.episode.toString()));
+            next = episodes.findIndex(({ episode }, i) => i > current && !done.has(episode._id.toString()));
+            if (next === -1) continue;
+            progress = null;
+        }
+
+        const { season, episode } = episodes[next];
+        rows.push({
+            series: { _id: series._id, title: series.title, thumbnail: series.thumbnail, heroImage: series.heroImage },
+            seasonId: season._id,
+            seasonTitle: season.title,
+            episode: { _id: episode._id, title: episode.title, thumbnail: episode.thumbnail, mediaCount: episode.media.length },
+            progress: progress && {
+                mediaIndex: progress.mediaIndex,
+                mediaId: progress.mediaId,
+                position: progress.position,
+                duration: progress.duration,
+                lastWatchedAt: progress.lastWatchedAt
+            },
+            upNext: progress === null,
+            lastWatchedAt: latest.lastWatchedAt
+        });
+        if (rows.length >= limit) break;
+    }
+    return rows;
+}
+
+module.exports = {
+    COMPLETION_RATIO,
+    recordProgress,
+    setWatched,
+    getContinueWatching
+};